@@ -3,7 +3,7 @@
  * Main application logic and initialization
  */
 
-// Global constants for localStorage keys
+// Global constants for storage keys
 const STORAGE_KEYS = {
   GOAL_PREFIX: 'goal_',
   INTAKE_PREFIX: 'intake_',
@@ -12,9 +12,20 @@ const STORAGE_KEYS = {
   WORKOUT_STATE: 'workout_state',
   WORKOUT_COUNT: 'workout_count',
   WORKOUT_HISTORY: 'workout_history',
+  WORKOUT_PROGRAM: 'workout_program',
+  WORKOUT_TIMER: 'workout_timer',
+  WORKOUT_ENERGY: 'workout_energy',
+  WORKOUT_SESSION: 'workout_session',
   HABITS: 'habits_data',
+  HABIT_COLLAPSED_GROUPS: 'habits_collapsed_groups',
   THEME: 'theme',
   REMINDER: 'reminder',
+  REMINDERS: 'reminders_data',
+  USER_ID: 'health_tracker_user_id',
+  SCHEMA_VERSION: 'schema_version',
+  TRACKER_CONFIG: 'tracker_config',
+  IMPORT_BACKUP: 'pre_import_backup',
+  LEGACY_NOTIFICATION_PREFIX: 'notification',
   LAST_RESET_PREFIX: 'last_reset_'
 };
 
@@ -27,13 +38,358 @@ const THEME_COLORS = {
 };
 
 /**
- * Storage Manager - Handles localStorage operations with error handling
+ * Storage Manager - Persistent storage backed by IndexedDB with a localStorage fallback.
+ *
+ * All app data lives in one IndexedDB database with an object store per domain.
+ * init() hydrates an in-memory cache so getItem() can stay synchronous for the
+ * trackers; every write goes to the cache immediately and is persisted to
+ * IndexedDB in the background. If IndexedDB cannot be opened the manager falls
+ * back to plain localStorage.
  */
 const storageManager = {
+  DB_NAME: 'health_tracker_db',
+  DB_VERSION: 1,
+  STORES: ['trackers', 'workouts', 'habits', 'reminders', 'settings'],
+  MIGRATION_FLAG: '__migrated_from_localstorage',
+
+  db: null,
+  backend: 'localStorage', // 'indexedDB' once init() succeeds
+  cache: new Map(),
+  pendingWrites: Promise.resolve(),
+  quota: null,
+  writeErrorShown: false,
+  failedWrites: 0,
+  fallbackKeys: new Set(), // keys with a localStorage copy from a failed write
+
+  /**
+   * Open the database, migrate legacy localStorage data once and hydrate the cache
+   * @returns {Promise<string>} The active backend
+   */
+  async init() {
+    if (!('indexedDB' in window)) {
+      console.warn('IndexedDB not supported, using localStorage');
+      return this.backend;
+    }
+
+    try {
+      this.db = await this.openDatabase();
+      await this.hydrateCache();
+
+      // First run copies the legacy layout; later runs only add keys IndexedDB
+      // doesn't have yet
+      await this.migrateFromLocalStorage();
+
+      this.backend = 'indexedDB';
+
+      if (navigator.storage && navigator.storage.estimate) {
+        const estimate = await navigator.storage.estimate();
+        this.quota = estimate.quota || null;
+      }
+
+      // Ask the browser not to evict our data under storage pressure
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+
+      console.log(`Storage ready (IndexedDB, ${this.cache.size} keys)`);
+    } catch (error) {
+      console.error('IndexedDB unavailable, falling back to localStorage:', error);
+      this.db = null;
+      this.cache.clear();
+      this.backend = 'localStorage';
+    }
+
+    return this.backend;
+  },
+
+  /**
+   * Open (and create/upgrade) the IndexedDB database
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        this.STORES.forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName);
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+    });
+  },
+
+  /**
+   * Load every object store into the in-memory cache
+   */
+  hydrateCache() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.STORES, 'readonly');
+
+      this.STORES.forEach(storeName => {
+        const request = transaction.objectStore(storeName).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            this.cache.set(cursor.key, cursor.value);
+            cursor.continue();
+          }
+        };
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Copy the STORAGE_KEYS localStorage layout into IndexedDB.
+   * localStorage copies are only removed after the transaction has committed.
+   * After the first run a localStorage value never replaces one IndexedDB
+   * already has; leftovers stay as fallback copies until the key is written.
+   */
+  migrateFromLocalStorage() {
+    const firstRun = !this.cache.has(this.MIGRATION_FLAG);
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!this.isAppKey(key)) continue;
+
+      if (firstRun || !this.cache.has(key)) {
+        keys.push(key);
+      } else {
+        this.fallbackKeys.add(key);
+      }
+    }
+
+    if (keys.length === 0 && !firstRun) {
+      return Promise.resolve(0);
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.STORES, 'readwrite');
+
+      keys.forEach(key => {
+        const value = localStorage.getItem(key);
+        transaction.objectStore(this.getStoreForKey(key)).put(value, key);
+        this.cache.set(key, value);
+      });
+
+      if (!this.cache.has(this.MIGRATION_FLAG)) {
+        const migratedAt = new Date().toISOString();
+        transaction.objectStore('settings').put(migratedAt, this.MIGRATION_FLAG);
+        this.cache.set(this.MIGRATION_FLAG, migratedAt);
+      }
+
+      transaction.oncomplete = () => {
+        keys.forEach(key => localStorage.removeItem(key));
+        console.log(`Migrated ${keys.length} keys from localStorage to IndexedDB`);
+        resolve(keys.length);
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Migration aborted'));
+    });
+  },
+
+  /**
+   * Check whether a key belongs to the data managed by this storage layer
+   */
+  isAppKey(key) {
+    if (!key) return false;
+
+    const prefixes = [
+      STORAGE_KEYS.GOAL_PREFIX,
+      STORAGE_KEYS.INTAKE_PREFIX,
+      STORAGE_KEYS.HISTORY_PREFIX,
+      STORAGE_KEYS.LAST_RESET_PREFIX,
+      STORAGE_KEYS.LEGACY_NOTIFICATION_PREFIX
+    ];
+    const exactKeys = [
+      STORAGE_KEYS.WORKOUT_TYPES,
+      STORAGE_KEYS.WORKOUT_STATE,
+      STORAGE_KEYS.WORKOUT_COUNT,
+      STORAGE_KEYS.WORKOUT_HISTORY,
+      STORAGE_KEYS.WORKOUT_PROGRAM,
+      STORAGE_KEYS.WORKOUT_TIMER,
+      STORAGE_KEYS.WORKOUT_ENERGY,
+      STORAGE_KEYS.WORKOUT_SESSION,
+      STORAGE_KEYS.HABITS,
+      STORAGE_KEYS.HABIT_COLLAPSED_GROUPS,
+      STORAGE_KEYS.THEME,
+      STORAGE_KEYS.REMINDER,
+      STORAGE_KEYS.REMINDERS,
+      STORAGE_KEYS.USER_ID,
+      STORAGE_KEYS.SCHEMA_VERSION,
+      STORAGE_KEYS.TRACKER_CONFIG
+    ];
+
+    return exactKeys.includes(key) || prefixes.some(prefix => key.startsWith(prefix));
+  },
+
+  /**
+   * Map a storage key to its domain object store
+   */
+  getStoreForKey(key) {
+    if (key.startsWith('workout_') || key === `${STORAGE_KEYS.LAST_RESET_PREFIX}workout`) {
+      return 'workouts';
+    }
+    if (key === STORAGE_KEYS.HABITS || key === STORAGE_KEYS.HABIT_COLLAPSED_GROUPS ||
+        key === `${STORAGE_KEYS.LAST_RESET_PREFIX}habits`) {
+      return 'habits';
+    }
+    if (key === STORAGE_KEYS.REMINDERS) {
+      return 'reminders';
+    }
+    if (key === STORAGE_KEYS.TRACKER_CONFIG ||
+        key.startsWith(STORAGE_KEYS.GOAL_PREFIX) ||
+        key.startsWith(STORAGE_KEYS.INTAKE_PREFIX) ||
+        key.startsWith(STORAGE_KEYS.HISTORY_PREFIX) ||
+        key.startsWith(STORAGE_KEYS.LAST_RESET_PREFIX)) {
+      return 'trackers';
+    }
+    return 'settings';
+  },
+
+  /**
+   * Read a value (synchronous, served from the hydrated cache)
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value or null
+   */
+  getItem(key) {
+    if (this.backend !== 'indexedDB') {
+      return localStorage.getItem(key);
+    }
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  },
+
+  /**
+   * Write a value. Values are stored as strings, matching localStorage semantics.
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   * @returns {Promise} Resolves once the value is persisted
+   */
+  setItem(key, value) {
+    const stringValue = String(value);
+
+    if (this.backend !== 'indexedDB') {
+      localStorage.setItem(key, stringValue);
+      return Promise.resolve();
+    }
+
+    this.cache.set(key, stringValue);
+    return this.queueWrite(key, store => store.put(stringValue, key));
+  },
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   */
+  removeItem(key) {
+    if (this.backend !== 'indexedDB') {
+      localStorage.removeItem(key);
+      return Promise.resolve();
+    }
+
+    this.cache.delete(key);
+    return this.queueWrite(key, store => store.delete(key));
+  },
+
+  /**
+   * List all keys currently stored
+   */
+  keys() {
+    if (this.backend !== 'indexedDB') {
+      return Object.keys(localStorage).filter(key => !this.isInternalKey(key));
+    }
+    return Array.from(this.cache.keys()).filter(key => !this.isInternalKey(key));
+  },
+
+  /**
+   * Bookkeeping keys that are not user data (skipped by keys() and backups)
+   */
+  isInternalKey(key) {
+    return key === this.MIGRATION_FLAG || key === STORAGE_KEYS.IMPORT_BACKUP;
+  },
+
+  /**
+   * Queue an IndexedDB write so writes land in the order they were made
+   */
+  queueWrite(key, operation) {
+    const storeName = this.getStoreForKey(key);
+
+    const write = () => new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => {
+        this.removeFallbackCopy(key);
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Write aborted'));
+    });
+
+    this.pendingWrites = this.pendingWrites
+      .then(write)
+      .catch(error => this.handleWriteError(key, error));
+
+    return this.pendingWrites;
+  },
+
+  /**
+   * Never drop data on a failed write - keep a localStorage copy and tell the user
+   */
+  handleWriteError(key, error) {
+    console.error(`Error persisting "${key}" to IndexedDB:`, error);
+    this.failedWrites++;
+
+    try {
+      if (this.cache.has(key)) {
+        localStorage.setItem(key, this.cache.get(key));
+        this.fallbackKeys.add(key);
+      }
+    } catch (e) {
+      console.error('localStorage fallback write failed:', e);
+    }
+
+    if (!this.writeErrorShown) {
+      this.writeErrorShown = true;
+      utils.showToast('Unable to save some data. Please export a backup.', 'error', 5000);
+    }
+  },
+
+  /**
+   * Drop the localStorage copy of a failed write once IndexedDB has the key again
+   */
+  removeFallbackCopy(key) {
+    if (!this.fallbackKeys.has(key)) return;
+
+    this.fallbackKeys.delete(key);
+    try {
+      localStorage.removeItem(key);
+    } catch (e) {
+      console.error('Could not remove localStorage fallback copy:', e);
+    }
+  },
+
+  /**
+   * Wait for all queued writes to be persisted (call before reloading the page).
+   * Failed writes don't reject; they are counted in failedWrites.
+   */
+  flush() {
+    return this.pendingWrites;
+  },
+
   /**
-   * Check if localStorage is available
+   * Check if persistent storage is available
    */
   isAvailable() {
+    if (this.backend === 'indexedDB') return true;
+
     try {
       const test = '__localStorage_test__';
       localStorage.setItem(test, test);
@@ -53,14 +409,13 @@ const storageManager = {
     try {
       // Calculate approximate usage
       let totalSize = 0;
-      for (let key in localStorage) {
-        if (localStorage.hasOwnProperty(key)) {
-          totalSize += localStorage[key].length + key.length;
-        }
-      }
+      this.keys().forEach(key => {
+        const value = this.getItem(key);
+        totalSize += (value ? value.length : 0) + key.length;
+      });
       
-      // Most browsers have 5-10MB localStorage limit
-      const estimatedLimit = 5 * 1024 * 1024; // 5MB in bytes
+      // IndexedDB reports its real quota; most browsers have a 5-10MB localStorage limit
+      const estimatedLimit = this.quota || 5 * 1024 * 1024; // 5MB in bytes
       const usagePercentage = (totalSize / estimatedLimit) * 100;
       
       return {
@@ -79,41 +434,6 @@ const storageManager = {
   isNearQuota() {
     const info = this.getStorageInfo();
     return info && info.isNearLimit;
-  },
-
-  /**
-   * Clean up old data to free space
-   */
-  cleanupOldData() {
-    try {
-      // Remove old history entries beyond 90 days
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - 90);
-      const cutoffString = cutoffDate.toISOString().split('T')[0];
-      
-      ['water', 'protein'].forEach(type => {
-        const historyKey = STORAGE_KEYS.HISTORY_PREFIX + type;
-        const history = JSON.parse(localStorage.getItem(historyKey) || '{}');
-        
-        let cleaned = false;
-        Object.keys(history).forEach(date => {
-          if (date < cutoffString) {
-            delete history[date];
-            cleaned = true;
-          }
-        });
-        
-        if (cleaned) {
-          localStorage.setItem(historyKey, JSON.stringify(history));
-        }
-      });
-      
-      console.log('Cleaned up old data beyond 90 days');
-      return true;
-    } catch (e) {
-      console.error('Error cleaning up data:', e);
-      return false;
-    }
   }
 };
 
@@ -217,8 +537,9 @@ const utils = {
   
   /**
    * Create and show a toast notification
+   * @param {Object} [action] - Optional button shown in the toast ({ label, onClick })
    */
-  showToast(message, type = 'success', duration = 3000) {
+  showToast(message, type = 'success', duration = 3000, action = null) {
     const toastContainer = document.getElementById('toast-container');
     if (!toastContainer) {
       console.error('Toast container not found');
@@ -247,6 +568,20 @@ const utils = {
     
     toast.appendChild(icon);
     toast.appendChild(document.createTextNode(message));
+    
+    if (action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'toast-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        if (toast.parentNode) {
+          toastContainer.removeChild(toast);
+        }
+        action.onClick();
+      }, { once: true });
+      toast.appendChild(actionBtn);
+    }
+    
     toastContainer.appendChild(toast);
     
     // Remove toast after specified duration
@@ -279,27 +614,172 @@ const utils = {
     }
     
     metaThemeColor.setAttribute('content', color);
+  },
+
+  /**
+   * Generate a unique ID for stored records
+   * @param {string} prefix - Record kind, e.g. 'habit'
+   * @returns {string} ID such as habit_1718000000000_k3j9x2a1b
+   */
+  generateId(prefix) {
+    return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+};
+
+/**
+ * Goal Timeline - Tracker goals (goal_<type>) are stored as effective-dated
+ * records, oldest first: [{ from: 'YYYY-MM-DD', goal }]. A day is judged
+ * against the last record that started on or before it.
+ *
+ * A record can also schedule its goal:
+ *   weekdays: [sun, mon, ..., sat] - per-weekday goals (0 falls back to goal)
+ *   workoutGoal: n                 - goal on days with a logged workout
+ */
+const goalTimeline = {
+  // The first goal ever set also applies to days logged before it
+  EARLIEST: '1970-01-01',
+
+  /**
+   * Read a stored goal value (timeline JSON, or a plain number from older data)
+   * @param {string|null} value - Stored value
+   * @returns {Array} Timeline records sorted by date
+   */
+  parse(value) {
+    if (value === null || value === undefined || value === '') return [];
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      return [];
+    }
+
+    if (typeof parsed === 'number') {
+      return parsed > 0 ? [{ from: this.EARLIEST, goal: parsed }] : [];
+    }
+
+    return this.isValid(parsed) ? parsed.slice().sort((a, b) => a.from.localeCompare(b.from)) : [];
+  },
+
+  /**
+   * Check the shape of a parsed timeline
+   */
+  isValid(timeline) {
+    const isGoal = value => isFinite(value) && value >= 0;
+    return Array.isArray(timeline) && timeline.every(record =>
+      record && /^\d{4}-\d{2}-\d{2}$/.test(record.from) && isGoal(record.goal) &&
+      (record.weekdays === undefined || (Array.isArray(record.weekdays) && record.weekdays.length === 7 && record.weekdays.every(isGoal))) &&
+      (record.workoutGoal === undefined || isGoal(record.workoutGoal)));
+  },
+
+  /**
+   * Get the record in effect on a date
+   * @returns {Object|null} Timeline record
+   */
+  getRecordForDate(timeline, date) {
+    let current = null;
+    timeline.forEach(record => {
+      if (record.from <= date) current = record;
+    });
+    return current;
+  },
+
+  /**
+   * Get the goal that applied on a date
+   * @param {Array} timeline - Timeline records
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Function} [hasWorkout] - Called with the date for workout-linked goals
+   * @returns {number} Goal (0 if none was set yet)
+   */
+  getGoalForDate(timeline, date, hasWorkout = () => false) {
+    const record = this.getRecordForDate(timeline, date);
+    if (!record) return 0;
+
+    if (record.workoutGoal > 0 && hasWorkout(date)) {
+      return record.workoutGoal;
+    }
+    if (record.weekdays) {
+      const [year, month, day] = date.split('-').map(Number);
+      const weekdayGoal = record.weekdays[new Date(year, month - 1, day).getDay()];
+      if (weekdayGoal > 0) return weekdayGoal;
+    }
+    return record.goal;
+  },
+
+  /**
+   * Set the goal from a date onwards
+   * @param {Object} [schedule] - Optional { weekdays } or { workoutGoal }
+   * @returns {Array} New timeline
+   */
+  setGoal(timeline, date, goal, schedule = {}) {
+    const from = timeline.length === 0 ? this.EARLIEST : date;
+    return timeline
+      .filter(record => record.from !== from)
+      .concat([{ from, goal, ...schedule }])
+      .sort((a, b) => a.from.localeCompare(b.from));
+  },
+
+  /**
+   * Combine two timelines, keyed by start date
+   * @param {boolean} preferSecond - Keep the second timeline's goal when both have a date
+   * @returns {Object} { timeline, added, conflicts }
+   */
+  merge(first, second, preferSecond = false) {
+    const byDate = new Map(first.map(record => [record.from, record]));
+    let added = 0;
+    let conflicts = 0;
+
+    second.forEach(record => {
+      const existing = byDate.get(record.from);
+      if (!existing) {
+        byDate.set(record.from, record);
+        added++;
+      } else if (JSON.stringify(existing) !== JSON.stringify(record)) {
+        conflicts++;
+        if (preferSecond) byDate.set(record.from, record);
+      }
+    });
+
+    const timeline = Array.from(byDate.values()).sort((a, b) => a.from.localeCompare(b.from));
+    return { timeline, added, conflicts };
   }
 };
 
 /**
  * Initialize the application when DOM is fully loaded
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   console.log('DOM loaded, initializing app...');
   
-  // Check if localStorage is available
+  // Open IndexedDB (migrating localStorage data on first run) before any tracker reads
+  await storageManager.init();
+  
+  // Check if storage is available
   if (!storageManager.isAvailable()) {
     alert('Your browser does not support local storage or it is disabled. The app may not work properly.');
     return;
   }
   
-  // Check if we're near quota
+  // Upgrade stored data to the current schema before anything reads it
+  try {
+    migrationManager.run();
+  } catch (error) {
+    console.error('Error running data migrations:', error);
+  }
+  
+  // Check if we're near quota - warn only, history is never deleted automatically
   if (storageManager.isNearQuota()) {
-    utils.showToast('Storage space is running low. Consider exporting and clearing old data.', 'warning');
-    storageManager.cleanupOldData();
+    utils.showToast('Storage space is running low. Consider exporting a backup of your data.', 'warning');
   }
 
+  // Build DOM for user-configured trackers before tabs and panels are wired up
+  try {
+    window.trackerManager = new TrackerManager();
+    window.trackerManager.renderCustomTrackers();
+  } catch (error) {
+    console.error('Error rendering custom trackers:', error);
+  }
+  
   // Initialize trackers with error handling
   try {
     console.log('Initializing water tracker...');
@@ -310,6 +790,11 @@ document.addEventListener('DOMContentLoaded', () => {
     window.proteinTracker = new Tracker({ type: 'protein', unit: 'g' });
     console.log('Protein tracker initialized successfully');
     
+    if (window.trackerManager) {
+      window.trackerManager.createCustomTrackers();
+      console.log(`${window.trackerManager.customTrackers.length} custom trackers initialized`);
+    }
+    
     console.log('Initializing workout tracker...');
     window.workoutTracker = new WorkoutTracker();
     console.log('Workout tracker initialized successfully');
@@ -391,6 +876,10 @@ document.addEventListener('DOMContentLoaded', () => {
       console.log('Protein tracker actions initialized');
     }
     
+    Object.values(window.customTrackers || {}).forEach(tracker => {
+      initializeTrackerActions(tracker);
+    });
+    
     if (window.workoutTracker) {
       initializeWorkoutTrackerActions(window.workoutTracker);
       console.log('Workout tracker actions initialized');
@@ -399,6 +888,15 @@ document.addEventListener('DOMContentLoaded', () => {
     console.error('Error initializing tracker actions:', error);
   }
   
+  // Set up manage trackers modal
+  try {
+    if (window.trackerManager) {
+      window.trackerManager.initializeManagement();
+    }
+  } catch (error) {
+    console.error('Error initializing tracker management:', error);
+  }
+  
   // Set up data import/export with error handling
   try {
     initializeDataManagement();
@@ -424,6 +922,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (window.remindersManager && typeof updateNotificationButtonStates === 'function') {
         updateNotificationButtonStates('water');
         updateNotificationButtonStates('protein');
+        Object.keys(window.customTrackers || {}).forEach(type => updateNotificationButtonStates(type));
         console.log('Notification button states initialized');
       }
     }, 500); // Small delay to ensure reminders manager is fully ready
@@ -443,6 +942,18 @@ function initializeDataManagement() {
     exportBtn.addEventListener('click', exportData);
   }
   
+  const exportBackupBtn = document.getElementById('export-backup');
+  if (exportBackupBtn) {
+    exportBackupBtn.addEventListener('click', exportBackup);
+  }
+  
+  // Only offered while there is an import to undo
+  const restoreBtn = document.getElementById('restore-import-backup');
+  if (restoreBtn) {
+    restoreBtn.style.display = getPreImportBackup() ? '' : 'none';
+    restoreBtn.addEventListener('click', restorePreImportBackup);
+  }
+  
   const importFileInput = document.getElementById('import-file');
   if (importFileInput) {
     importFileInput.addEventListener('change', importData);
@@ -479,57 +990,59 @@ function exportData() {
 }
 
 /**
- * Import tracking data from CSV file
+ * Import tracking data from a CSV export or a JSON backup file
  */
 function importData(event) {
   const file = event.target.files[0];
   if (!file) return;
   
-  if (file.size > 5 * 1024 * 1024) {
-    utils.showToast('File is too large. Maximum size is 5MB.', 'error');
+  if (file.size > 25 * 1024 * 1024) {
+    utils.showToast('File is too large. Maximum size is 25MB.', 'error');
     event.target.value = '';
     return;
   }
   
-  if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-    utils.showToast('Invalid file type. Please upload a CSV file.', 'error');
+  const isBackup = file.type === 'application/json' || file.name.endsWith('.json');
+  if (!isBackup && file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
+    utils.showToast('Invalid file type. Please upload a CSV export or JSON backup.', 'error');
     event.target.value = '';
     return;
   }
   
   const reader = new FileReader();
   
-  reader.onload = function(e) {
+  reader.onload = async function(e) {
     try {
-      const csvData = e.target.result;
-      const importedData = parseCSVData(csvData);
-      
-      if (!importedData) {
-        throw new Error('Import file is empty or corrupt.');
-      }
-      
-      // Create backup before import
-      const backup = {};
-      Object.keys(localStorage).forEach(key => {
-        backup[key] = localStorage.getItem(key);
-      });
+      let incoming;
+      let applyReplace;
+      let rejectedRows = [];
       
-      try {
-        applyImportedData(importedData);
-        utils.showToast('Data imported successfully! Reloading app...', 'success');
+      if (isBackup) {
+        // Validate the whole bundle before anything is written
+        const bundle = await parseBackupBundle(e.target.result);
+        incoming = upgradeImportEntries(bundleToEntries(bundle), bundle.schemaVersion);
+        applyReplace = () => applyBackupBundle(bundle, incoming);
+      } else {
+        const importedData = parseCSVData(e.target.result);
         
-        setTimeout(() => location.reload(), 1500);
-      } catch (storageError) {
-        console.error('Storage error during import:', storageError);
+        if (!importedData) {
+          throw new Error('Import file is empty or corrupt.');
+        }
         
-        // Restore backup
-        localStorage.clear();
-        Object.keys(backup).forEach(key => {
-          localStorage.setItem(key, backup[key]);
-        });
+        if (importedData.schemaVersion > migrationManager.currentVersion) {
+          throw new Error('Export is newer than this app supports. Please update first.');
+        }
         
-        throw new Error('Error saving imported data. Your previous data has been restored.');
+        incoming = upgradeImportEntries(csvDataToEntries(importedData), importedData.schemaVersion);
+        applyReplace = () => applyImportedData(incoming);
+        rejectedRows = importedData.rejectedRows;
       }
+      
+      // Dry run first - the dialog shows what will happen and nothing is written until confirmed
+      showImportDialog(incoming, {
+        onMerge: entries => commitImport(() => applyMergedEntries(entries)),
+        onReplace: () => commitImport(applyReplace)
+      }, rejectedRows);
     } catch (error) {
       utils.showToast(`Error importing data: ${error.message}`, 'error');
       console.error('Import error:', error);
@@ -547,51 +1060,994 @@ function importData(event) {
 }
 
 /**
- * Convert application data to CSV format (includes reminders)
+ * Apply an import, restoring the previous data if anything goes wrong
+ * @param {Function} applyImport - Writes the imported data to storage
+ * @returns {Promise} Resolves once the import is persisted or rolled back
  */
-function convertDataToCSV() {
-  const rows = []; 
-  
-  const headers = [
-    "data_type", "key", "value", "date", "amount", "timestamp", 
-    "type", "count", "name", "color", "completed", "order"
-  ];
-  rows.push(headers.join(","));
+async function commitImport(applyImport) {
+  // Create backup before import
+  const backup = {};
+  storageManager.keys().forEach(key => {
+    backup[key] = storageManager.getItem(key);
+  });
+  const failedWrites = storageManager.failedWrites;
   
-  const escapeCSV = (value) => {
-    if (value === null || value === undefined) return '';
-    const stringValue = String(value);
-    if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-      return `"${stringValue.replace(/"/g, '""')}"`;
+  try {
+    applyImport();
+    
+    // Writes reach IndexedDB in the background; a failed one rolls back too
+    await storageManager.flush();
+    if (storageManager.failedWrites > failedWrites) {
+      throw new Error(`${storageManager.failedWrites - failedWrites} imported values could not be saved`);
     }
-    return stringValue;
-  };
+  } catch (storageError) {
+    console.error('Storage error during import:', storageError);
+    restoreStorageSnapshot(backup);
+    await storageManager.flush();
+    utils.showToast('Error saving imported data. Your previous data has been restored.', 'error');
+    return;
+  }
   
-  const addRow = (dataType, key, value) => {
-    const row = new Array(headers.length).fill('');
+  // Keep the previous values of the changed keys (null for keys the import
+  // added) so the import can be undone from the options panel
+  const changes = {};
+  const currentKeys = storageManager.keys();
+  new Set(Object.keys(backup).concat(currentKeys)).forEach(key => {
+    const previous = key in backup ? backup[key] : null;
+    const current = currentKeys.includes(key) ? storageManager.getItem(key) : null;
+    if (String(previous) !== String(current)) changes[key] = previous;
+  });
+  
+  try {
+    const undoData = JSON.stringify({ createdAt: new Date().toISOString(), changes });
+    if (undoData.length > IMPORT_BACKUP_MAX_SIZE) {
+      storageManager.removeItem(STORAGE_KEYS.IMPORT_BACKUP);
+      console.warn(`Pre-import backup is ${undoData.length} characters, not keeping it`);
+    } else {
+      storageManager.setItem(STORAGE_KEYS.IMPORT_BACKUP, undoData);
+    }
+  } catch (error) {
+    console.warn('Could not keep pre-import backup:', error);
+  }
+  
+  await storageManager.flush();
+  utils.showToast('Data imported successfully! Reloading app...', 'success');
+  setTimeout(() => location.reload(), 1500);
+}
+
+/**
+ * Replace all stored data with a snapshot of key/value pairs
+ * @param {Object} snapshot - Stored strings keyed by storage key
+ */
+function restoreStorageSnapshot(snapshot) {
+  storageManager.keys().forEach(key => {
+    if (!(key in snapshot)) storageManager.removeItem(key);
+  });
+  Object.keys(snapshot).forEach(key => {
+    storageManager.setItem(key, snapshot[key]);
+  });
+}
+
+// The undo copy of the last import is dropped when it is too large or too old
+const IMPORT_BACKUP_MAX_SIZE = 5 * 1024 * 1024;
+const IMPORT_BACKUP_MAX_AGE_DAYS = 7;
+
+/**
+ * Read the undo copy of the last import, removing it once it has expired
+ * @returns {Object|null} { createdAt, changes } (older copies: { createdAt, data }), or null
+ */
+function getPreImportBackup() {
+  let backup = null;
+  try {
+    backup = JSON.parse(storageManager.getItem(STORAGE_KEYS.IMPORT_BACKUP));
+  } catch (e) {
+    console.error('Pre-import backup is unreadable:', e);
+  }
+  if (!backup || !(backup.changes || backup.data)) return null;
+  
+  const age = Date.now() - new Date(backup.createdAt).getTime();
+  if (!(age < IMPORT_BACKUP_MAX_AGE_DAYS * 24 * 60 * 60 * 1000)) {
+    storageManager.removeItem(STORAGE_KEYS.IMPORT_BACKUP);
+    return null;
+  }
+  return backup;
+}
+
+/**
+ * Undo the last import by restoring the data saved just before it
+ */
+function restorePreImportBackup() {
+  const backup = getPreImportBackup();
+  
+  if (!backup) {
+    utils.showToast('No pre-import backup available.', 'warning');
+    return;
+  }
+  
+  const importDate = new Date(backup.createdAt).toLocaleString();
+  if (!confirm(`Restore your data from before the import on ${importDate}? Changes made since then will be lost.`)) {
+    return;
+  }
+  
+  if (backup.changes) {
+    Object.entries(backup.changes).forEach(([key, value]) => {
+      if (value === null) {
+        storageManager.removeItem(key);
+      } else {
+        storageManager.setItem(key, value);
+      }
+    });
+  } else {
+    restoreStorageSnapshot(backup.data);
+  }
+  storageManager.removeItem(STORAGE_KEYS.IMPORT_BACKUP);
+  
+  utils.showToast('Previous data restored! Reloading app...', 'success');
+  setTimeout(() => storageManager.flush().then(() => location.reload()), 1500);
+}
+
+/**
+ * JSON backup format - full-fidelity alternative to the CSV export
+ */
+const BACKUP_FORMAT = 'health-tracker-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// Server integration data stays in localStorage but is part of a full backup
+const SERVER_SETTINGS_KEYS = ['server_settings_data', 'server_notifications_user_id'];
+
+// Per-habit settings, compared on merge and exported as JSON in the CSV "value" column
+const HABIT_SETTING_FIELDS = ['schedule', 'target', 'freezesPerMonth', 'archived', 'group', 'time', 'remind', 'after', 'quitDate'];
+
+/**
+ * Export all data as a versioned JSON backup bundle
+ */
+async function exportBackup() {
+  try {
+    const bundle = await createBackupBundle();
+    const jsonBlob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const jsonUrl = URL.createObjectURL(jsonBlob);
+    
+    const link = document.createElement('a');
+    link.setAttribute('href', jsonUrl);
+    link.setAttribute('download', `health-tracker-backup-${utils.getCurrentDate()}.json`);
+    
+    document.body.appendChild(link);
+    link.click();
+    
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(jsonUrl);
+    }, 100);
+    
+    utils.showToast('Backup exported successfully!', 'success');
+    document.getElementById('more-options-panel').classList.remove('active');
+  } catch (error) {
+    console.error('Backup export error:', error);
+    utils.showToast(`Error exporting backup: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Build the backup bundle: every stored key grouped by domain, plus a checksum
+ * @returns {Promise<Object>} Backup bundle
+ */
+async function createBackupBundle() {
+  const data = {};
+  storageManager.STORES.forEach(storeName => {
+    data[storeName] = {};
+  });
+  
+  storageManager.keys().forEach(key => {
+    const storeName = storageManager.getStoreForKey(key);
+    data[storeName][key] = parseStoredValue(storageManager.getItem(key));
+  });
+  
+  data.serverSettings = {};
+  SERVER_SETTINGS_KEYS.forEach(key => {
+    const value = localStorage.getItem(key);
+    if (value !== null) {
+      data.serverSettings[key] = parseStoredValue(value);
+    }
+  });
+  
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion: migrationManager.getVersion(),
+    exportDate: new Date().toISOString(),
+    checksum: await computeChecksum(JSON.stringify(data)),
+    data
+  };
+}
+
+/**
+ * Stored values are strings; keep nested structures as real JSON in the backup
+ */
+function parseStoredValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Convert a backup value back to the string form it is stored in
+ */
+function serializeStoredValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Compute a checksum of the backup payload (SHA-256, FNV-1a where WebCrypto is unavailable)
+ * @param {string} text - Serialized payload
+ * @returns {Promise<Object>} { algorithm, value }
+ */
+async function computeChecksum(text, algorithm = 'SHA-256') {
+  if (algorithm === 'SHA-256' && window.crypto && crypto.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    const value = Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+    return { algorithm: 'SHA-256', value };
+  }
+  
+  // Insecure contexts have no crypto.subtle - fall back to a plain FNV-1a hash
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return { algorithm: 'FNV-1a', value: hash.toString(16).padStart(8, '0') };
+}
+
+/**
+ * Parse and validate a JSON backup without touching storage
+ * @param {string} text - File contents
+ * @returns {Promise<Object>} The validated bundle
+ */
+async function parseBackupBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Backup file is not valid JSON.');
+  }
+  
+  if (!bundle || bundle.format !== BACKUP_FORMAT || !bundle.data || typeof bundle.data !== 'object') {
+    throw new Error('File is not a Health Tracker backup.');
+  }
+  
+  if (bundle.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error('Backup was made with a newer version of the app. Please update first.');
+  }
+  
+  if (bundle.schemaVersion > migrationManager.currentVersion) {
+    throw new Error('Backup data is newer than this app supports. Please update first.');
+  }
+  
+  if (!bundle.checksum || !bundle.checksum.value) {
+    throw new Error('Backup is missing its checksum.');
+  }
+  
+  const checksum = await computeChecksum(JSON.stringify(bundle.data), bundle.checksum.algorithm);
+  if (checksum.algorithm !== bundle.checksum.algorithm || checksum.value !== bundle.checksum.value) {
+    throw new Error('Backup checksum does not match. The file may be corrupt or edited.');
+  }
+  
+  const errors = validateBackupData(bundle.data);
+  if (errors.length > 0) {
+    throw new Error(`Backup contains invalid data: ${errors.slice(0, 3).join('; ')}`);
+  }
+  
+  return bundle;
+}
+
+/**
+ * Check that every key is in the right domain and nested data has the expected shape
+ * @param {Object} data - Backup payload
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateBackupData(data) {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  
+  Object.entries(data).forEach(([section, entries]) => {
+    if (!isObject(entries)) {
+      errors.push(`section "${section}" is not an object`);
+      return;
+    }
+    
+    if (section === 'serverSettings') {
+      Object.keys(entries).forEach(key => {
+        if (!SERVER_SETTINGS_KEYS.includes(key)) errors.push(`unknown server setting "${key}"`);
+      });
+      return;
+    }
+    
+    if (!storageManager.STORES.includes(section)) {
+      errors.push(`unknown section "${section}"`);
+      return;
+    }
+    
+    Object.entries(entries).forEach(([key, value]) => {
+      if (!storageManager.isAppKey(key) || storageManager.getStoreForKey(key) !== section) {
+        errors.push(`unexpected key "${key}" in ${section}`);
+        return;
+      }
+      
+      const isIntakeHistory = key.startsWith(STORAGE_KEYS.HISTORY_PREFIX);
+      if (isIntakeHistory || key === STORAGE_KEYS.WORKOUT_HISTORY) {
+        if (!isObject(value)) {
+          errors.push(`${key} is not a date map`);
+          return;
+        }
+        Object.entries(value).forEach(([date, dayEntries]) => {
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Array.isArray(dayEntries)) {
+            errors.push(`${key} has an invalid entry for "${date}"`);
+          } else if (isIntakeHistory && dayEntries.some(entry => !isFinite(entry.amount))) {
+            errors.push(`${key} has a non-numeric amount on ${date}`);
+          } else if (!isIntakeHistory && dayEntries.some(entry => !workoutLog.isValidSession(entry))) {
+            errors.push(`${key} has invalid session details on ${date}`);
+          }
+        });
+      }
+      
+      if (key === STORAGE_KEYS.WORKOUT_PROGRAM && !workoutProgram.isValid(value)) {
+        errors.push('workout_program is not a valid program');
+      }
+      
+      if (key === STORAGE_KEYS.HABITS) {
+        if (!Array.isArray(value)) {
+          errors.push('habits_data is not a list');
+        } else if (value.some(habit => !isObject(habit) || typeof habit.name !== 'string')) {
+          errors.push('habits_data contains a habit without a name');
+        } else if (value.some(habit => habit.id !== undefined && typeof habit.id !== 'string')) {
+          errors.push('habits_data contains a habit with an invalid id');
+        } else if (value.some(habit => habit.group !== undefined && typeof habit.group !== 'string')) {
+          errors.push('habits_data contains a habit with an invalid group');
+        } else if (value.some(habit => habit.after !== undefined && typeof habit.after !== 'string')) {
+          errors.push('habits_data contains a habit stacked after an invalid habit');
+        } else if (value.some(habit => habit.quitDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(habit.quitDate))) {
+          errors.push('habits_data contains a habit with an invalid quit date');
+        } else if (value.some(habit => habit.time !== undefined && !habitSchedule.isValidTime(habit.time))) {
+          errors.push('habits_data contains a habit with an invalid time of day');
+        } else if (value.some(habit => habit.schedule !== undefined && !habitSchedule.isValid(habit.schedule))) {
+          errors.push('habits_data contains a habit with an invalid schedule');
+        } else if (value.some(habit => habit.freezesPerMonth !== undefined && !Number.isInteger(habit.freezesPerMonth))) {
+          errors.push('habits_data contains a habit with an invalid freeze allowance');
+        } else if (value.some(habit => habit.target !== undefined && !(isObject(habit.target) && habit.target.amount > 0))) {
+          errors.push('habits_data contains a habit with an invalid target');
+        } else if (value.some(habit => habit.values !== undefined &&
+            (!isObject(habit.values) || Object.values(habit.values).some(amount => !isFinite(amount))))) {
+          errors.push('habits_data contains a habit with non-numeric values');
+        } else if (value.some(habit => habit.notes !== undefined && (!isObject(habit.notes) ||
+            Object.values(habit.notes).some(note => !isObject(note) ||
+              (note.text !== undefined && typeof note.text !== 'string') ||
+              (note.mood !== undefined && !(Number.isInteger(note.mood) && note.mood >= 1 && note.mood <= 5)))))) {
+          errors.push('habits_data contains a habit with an invalid day note');
+        }
+      }
+      
+      if (key.startsWith(STORAGE_KEYS.GOAL_PREFIX) && typeof value !== 'number' && !goalTimeline.isValid(value)) {
+        errors.push(`${key} is not a goal timeline`);
+      }
+      
+      if (key === STORAGE_KEYS.REMINDERS && !isObject(value)) {
+        errors.push('reminders_data is not an object');
+      }
+      
+      if (key === STORAGE_KEYS.TRACKER_CONFIG) {
+        const configsError = Array.isArray(value) && getTrackerConfigsError(value);
+        if (!Array.isArray(value)) {
+          errors.push('tracker_config is not a list');
+        } else if (configsError) {
+          errors.push(`tracker_config ${configsError}`);
+        }
+      }
+    });
+  });
+  
+  return errors;
+}
+
+/**
+ * Replace stored data with the contents of a validated backup bundle
+ * @param {Object} bundle - Bundle returned by parseBackupBundle()
+ * @param {Object} entries - The bundle's entries, upgraded by upgradeImportEntries()
+ */
+function applyBackupBundle(bundle, entries) {
+  // A backup is a full snapshot - drop keys it doesn't contain
+  storageManager.keys().forEach(key => storageManager.removeItem(key));
+  
+  applyMergedEntries(entries);
+  storageManager.setItem(STORAGE_KEYS.SCHEMA_VERSION, migrationManager.currentVersion);
+  
+  Object.entries(bundle.data.serverSettings || {}).forEach(([key, value]) => {
+    localStorage.setItem(key, serializeStoredValue(value));
+  });
+}
+
+/**
+ * Convert parsed CSV data to storage entries (key -> stored string)
+ * @param {Object} data - Result of parseCSVData()
+ * @returns {Object} Storage entries
+ */
+function csvDataToEntries(data) {
+  const entries = {};
+  const set = (key, value) => {
+    if (value !== null && value !== undefined && value !== '') entries[key] = String(value);
+  };
+  
+  ['water', 'protein'].forEach(type => {
+    if (!data[type]) return;
+    set(STORAGE_KEYS.GOAL_PREFIX + type, data[type].goal);
+    set(STORAGE_KEYS.INTAKE_PREFIX + type, data[type].intake);
+    set(STORAGE_KEYS.HISTORY_PREFIX + type, data[type].history);
+  });
+  
+  if (data.trackers) {
+    set(STORAGE_KEYS.TRACKER_CONFIG, data.trackers.config);
+    Object.entries(data.trackers.data || {}).forEach(([type, tracker]) => {
+      set(STORAGE_KEYS.GOAL_PREFIX + type, tracker.goal);
+      set(STORAGE_KEYS.INTAKE_PREFIX + type, tracker.intake);
+      set(STORAGE_KEYS.HISTORY_PREFIX + type, tracker.history);
+    });
+  }
+  
+  if (data.workout) {
+    set(STORAGE_KEYS.WORKOUT_TYPES, data.workout.types);
+    set(STORAGE_KEYS.WORKOUT_STATE, data.workout.state);
+    set(STORAGE_KEYS.WORKOUT_COUNT, data.workout.count);
+    set(STORAGE_KEYS.WORKOUT_HISTORY, data.workout.history);
+    set(STORAGE_KEYS.WORKOUT_PROGRAM, data.workout.program);
+  }
+  
+  if (data.habits) set(STORAGE_KEYS.HABITS, data.habits.data);
+  if (data.reminders) set(STORAGE_KEYS.REMINDERS, data.reminders.data);
+  
+  if (data.settings) {
+    set(STORAGE_KEYS.THEME, data.settings.theme);
+    set(STORAGE_KEYS.REMINDER, data.settings.reminder);
+  }
+  
+  return entries;
+}
+
+/**
+ * Convert a validated backup bundle to storage entries (key -> stored string)
+ * @param {Object} bundle - Bundle returned by parseBackupBundle()
+ * @returns {Object} Storage entries
+ */
+function bundleToEntries(bundle) {
+  const entries = {};
+  storageManager.STORES.forEach(storeName => {
+    Object.entries(bundle.data[storeName] || {}).forEach(([key, value]) => {
+      entries[key] = serializeStoredValue(value);
+    });
+  });
+  return entries;
+}
+
+/**
+ * Merge imported entries into the current data instead of overwriting it.
+ * Intake entries are unioned by id, workout entries by timestamp, habit
+ * history per date.
+ * @param {Object} incoming - Imported storage entries
+ * @param {string} policy - 'keep-existing' or 'use-imported' for conflicting values
+ * @returns {Object} { entries: keys to write, summary: per-section counts }
+ */
+function mergeImportEntries(incoming, policy = 'keep-existing') {
+  const entries = {};
+  const summary = {};
+  const useImported = policy === 'use-imported';
+  
+  const count = (section, field, amount = 1) => {
+    summary[section] = summary[section] || { added: 0, changed: 0, conflicts: 0 };
+    summary[section][field] += amount;
+  };
+  const readJSON = (value, fallback) => {
+    try {
+      return value ? JSON.parse(value) : fallback;
+    } catch (e) {
+      return fallback;
+    }
+  };
+  
+  // Keys that only describe this device's current day or install
+  const localOnlyKeys = [
+    STORAGE_KEYS.WORKOUT_STATE,
+    STORAGE_KEYS.WORKOUT_COUNT,
+    STORAGE_KEYS.WORKOUT_SESSION,
+    STORAGE_KEYS.HABIT_COLLAPSED_GROUPS,
+    STORAGE_KEYS.SCHEMA_VERSION,
+    STORAGE_KEYS.USER_ID
+  ];
+  
+  Object.entries(incoming).forEach(([key, value]) => {
+    const current = storageManager.getItem(key);
+    
+    if (localOnlyKeys.includes(key) ||
+        key.startsWith(STORAGE_KEYS.LAST_RESET_PREFIX) ||
+        key.startsWith(STORAGE_KEYS.INTAKE_PREFIX)) {
+      return;
+    }
+    
+    // Intake history: union per-day entries by id (by timestamp for entries
+    // without one); an edited entry keeps its id but not its timestamp
+    if (key.startsWith(STORAGE_KEYS.HISTORY_PREFIX)) {
+      const type = key.slice(STORAGE_KEYS.HISTORY_PREFIX.length);
+      const section = type.charAt(0).toUpperCase() + type.slice(1);
+      const merged = readJSON(current, {});
+      const modifiedDates = new Set();
+      
+      Object.entries(readJSON(value, {})).forEach(([date, dayEntries]) => {
+        const existing = merged[date] || [];
+        dayEntries.forEach(entry => {
+          const match = existing.find(e => entry.id ? e.id === entry.id : e.timestamp === entry.timestamp);
+          if (!match) {
+            existing.push(entry);
+            count(section, 'added');
+            modifiedDates.add(date);
+          } else if (match.amount !== entry.amount || match.timestamp !== entry.timestamp) {
+            count(section, 'conflicts');
+            if (useImported) {
+              match.amount = entry.amount;
+              match.timestamp = entry.timestamp;
+              count(section, 'changed');
+              modifiedDates.add(date);
+            }
+          }
+        });
+        existing.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        merged[date] = existing;
+      });
+      
+      if (modifiedDates.size > 0) {
+        entries[key] = JSON.stringify(merged);
+      }
+      
+      // Keep today's running total in step with today's entries
+      const today = utils.getCurrentDate();
+      if (modifiedDates.has(today)) {
+        entries[STORAGE_KEYS.INTAKE_PREFIX + type] = String(merged[today].reduce((sum, e) => sum + e.amount, 0));
+      }
+      return;
+    }
+    
+    // Workout history: union by timestamp and workout type
+    if (key === STORAGE_KEYS.WORKOUT_HISTORY) {
+      const merged = readJSON(current, {});
+      let modified = false;
+      
+      Object.entries(readJSON(value, {})).forEach(([date, dayEntries]) => {
+        const existing = merged[date] || [];
+        dayEntries.forEach(entry => {
+          const match = existing.find(e => e.timestamp === entry.timestamp && e.type === entry.type);
+          if (!match) {
+            existing.push(entry);
+            count('Workouts', 'added');
+            modified = true;
+          } else {
+            // Details logged on only one side are kept without a conflict
+            const fields = workoutLog.SESSION_FIELDS;
+            const missing = fields.filter(field => match[field] === undefined && entry[field] !== undefined);
+            if (match.count === entry.count && missing.length > 0) {
+              missing.forEach(field => { match[field] = entry[field]; });
+              count('Workouts', 'changed');
+              modified = true;
+            }
+            
+            const differs = match.count !== entry.count || fields.some(field =>
+              entry[field] !== undefined && JSON.stringify(match[field]) !== JSON.stringify(entry[field]));
+            if (!differs) return;
+            
+            count('Workouts', 'conflicts');
+            if (useImported) {
+              match.count = entry.count;
+              fields.forEach(field => {
+                if (entry[field] !== undefined) match[field] = entry[field];
+              });
+              count('Workouts', 'changed');
+              modified = true;
+            }
+          }
+        });
+        merged[date] = existing;
+      });
+      
+      if (modified) entries[key] = JSON.stringify(merged);
+      return;
+    }
+    
+    // Workout types: union, keeping the local order
+    if (key === STORAGE_KEYS.WORKOUT_TYPES) {
+      const types = readJSON(current, []);
+      const newTypes = readJSON(value, []).filter(type => !types.includes(type));
+      if (newTypes.length > 0) {
+        entries[key] = JSON.stringify(types.concat(newTypes));
+        count('Workout types', 'added', newTypes.length);
+      }
+      return;
+    }
+    
+    // Goal timelines: union by start date
+    if (key.startsWith(STORAGE_KEYS.GOAL_PREFIX)) {
+      const { timeline, added, conflicts } = goalTimeline.merge(
+        goalTimeline.parse(current), goalTimeline.parse(value), useImported);
+      
+      if (added > 0) count('Goals', 'added', added);
+      if (conflicts > 0) count('Goals', 'conflicts', conflicts);
+      if (conflicts > 0 && useImported) count('Goals', 'changed', conflicts);
+      if (added > 0 || (conflicts > 0 && useImported)) entries[key] = JSON.stringify(timeline);
+      return;
+    }
+    
+    // Custom trackers: match configs by type
+    if (key === STORAGE_KEYS.TRACKER_CONFIG) {
+      const configs = readJSON(current, []);
+      let modified = false;
+      
+      readJSON(value, []).forEach(importedConfig => {
+        const index = configs.findIndex(c => c.type === importedConfig.type);
+        if (index === -1) {
+          configs.push(importedConfig);
+          count('Trackers', 'added');
+          modified = true;
+        } else if (JSON.stringify(configs[index]) !== JSON.stringify(importedConfig)) {
+          count('Trackers', 'conflicts');
+          if (useImported) {
+            configs[index] = importedConfig;
+            count('Trackers', 'changed');
+            modified = true;
+          }
+        }
+      });
+      
+      if (modified) entries[key] = JSON.stringify(configs);
+      return;
+    }
+    
+    // Habits: match by id (by name for habits created on different devices), merge history per date
+    if (key === STORAGE_KEYS.HABITS) {
+      const habits = readJSON(current, []);
+      let modified = false;
+      
+      readJSON(value, []).forEach(importedHabit => {
+        const name = (importedHabit.name || '').trim().toLowerCase();
+        const habit = habits.find(h => importedHabit.id && h.id === importedHabit.id) ||
+          habits.find(h => (h.name || '').trim().toLowerCase() === name);
+        
+        if (!habit) {
+          habits.push(importedHabit);
+          count('Habits', 'added');
+          modified = true;
+          return;
+        }
+        
+        // Habit settings; missing values compare equal to their defaults
+        const getSetting = (h, field) => field === 'schedule' ? habitSchedule.get(h) : h[field] || null;
+        HABIT_SETTING_FIELDS.forEach(field => {
+          const importedSetting = getSetting(importedHabit, field);
+          if (JSON.stringify(getSetting(habit, field)) === JSON.stringify(importedSetting)) return;
+          
+          count('Habits', 'conflicts');
+          if (useImported) {
+            // A setting the imported habit doesn't have is removed rather than stored as null
+            const hasSetting = field === 'schedule' ? habitSchedule.isValid(importedHabit.schedule) : importedSetting !== null;
+            if (hasSetting) {
+              habit[field] = importedSetting;
+            } else {
+              delete habit[field];
+            }
+            count('Habits', 'changed');
+            modified = true;
+          }
+        });
+        
+        habit.history = habit.history || {};
+        const importedValues = importedHabit.values || {};
+        const values = habit.values || {};
+        // A measurable day's value travels with its status
+        const takeDay = date => {
+          habit.history[date] = importedHabit.history[date];
+          if (importedValues[date] !== undefined) {
+            habit.values = values;
+            values[date] = importedValues[date];
+          } else {
+            delete values[date];
+          }
+        };
+        
+        Object.entries(importedHabit.history || {}).forEach(([date, status]) => {
+          if (habit.history[date] === undefined) {
+            takeDay(date);
+            count('Habit days', 'added');
+            modified = true;
+          } else if (habit.history[date] !== status || values[date] !== importedValues[date]) {
+            count('Habit days', 'conflicts');
+            if (useImported) {
+              takeDay(date);
+              count('Habit days', 'changed');
+              modified = true;
+            }
+          }
+        });
+        
+        // Day notes merge per date like the history
+        Object.entries(importedHabit.notes || {}).forEach(([date, note]) => {
+          const notes = habit.notes || {};
+          if (notes[date] === undefined) {
+            habit.notes = notes;
+            notes[date] = note;
+            count('Habit notes', 'added');
+            modified = true;
+          } else if (JSON.stringify(notes[date]) !== JSON.stringify(note)) {
+            count('Habit notes', 'conflicts');
+            if (useImported) {
+              notes[date] = note;
+              count('Habit notes', 'changed');
+              modified = true;
+            }
+          }
+        });
+      });
+      
+      if (modified) entries[key] = JSON.stringify(habits);
+      return;
+    }
+    
+    // Reminders: add custom reminders this device doesn't have
+    if (key === STORAGE_KEYS.REMINDERS && current) {
+      const data = readJSON(current, {});
+      const imported = readJSON(value, {});
+      data.customReminders = data.customReminders || [];
+      let modified = false;
+      
+      (imported.customReminders || []).forEach(reminder => {
+        const index = data.customReminders.findIndex(r => r.id === reminder.id);
+        if (index === -1) {
+          data.customReminders.push(reminder);
+          count('Reminders', 'added');
+          modified = true;
+        } else if (JSON.stringify(data.customReminders[index]) !== JSON.stringify(reminder)) {
+          count('Reminders', 'conflicts');
+          if (useImported) {
+            data.customReminders[index] = reminder;
+            count('Reminders', 'changed');
+            modified = true;
+          }
+        }
+      });
+      
+      if (modified) entries[key] = JSON.stringify(data);
+      return;
+    }
+    
+    // Everything else (goals, settings): a single value
+    if (current === null) {
+      entries[key] = value;
+      count('Settings', 'added');
+    } else if (current !== value) {
+      count('Settings', 'conflicts');
+      if (useImported) {
+        entries[key] = value;
+        count('Settings', 'changed');
+      }
+    }
+  });
+  
+  return { entries, summary };
+}
+
+/**
+ * Show the import dialog: rows that failed validation, a preview of what a
+ * merge would add or change, the conflict policy, and the choice between
+ * merging and replacing. Nothing is written until the user confirms.
+ * @param {Object} incoming - Imported storage entries
+ * @param {Object} handlers - { onMerge(entries), onReplace() }
+ * @param {Array} rejectedRows - Rows left out of the import ({ line, dataType, reason })
+ */
+function showImportDialog(incoming, handlers, rejectedRows = []) {
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.style.display = 'flex';
+  modal.style.zIndex = '1001';
+  
+  modal.innerHTML = `
+    <div class="modal-content import-dialog">
+      <div class="modal-header">Import Data</div>
+      <div class="import-report" id="import-report"></div>
+      <div class="import-summary" id="import-summary"></div>
+      <div class="form-group import-policy">
+        <label for="import-conflict-policy">When both devices have a different value</label>
+        <select id="import-conflict-policy">
+          <option value="keep-existing">Keep my data</option>
+          <option value="use-imported">Use imported data</option>
+        </select>
+      </div>
+      <div class="modal-buttons">
+        <button class="modal-button cancel" id="import-cancel">Cancel</button>
+        <button class="modal-button cancel" id="import-replace">Replace All</button>
+        <button class="modal-button confirm" id="import-merge">Merge</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  
+  const summaryEl = modal.querySelector('#import-summary');
+  const policySelect = modal.querySelector('#import-conflict-policy');
+  let preview = null;
+  
+  // Validation report - rejected rows are skipped, the rest can still be imported
+  const reportEl = modal.querySelector('#import-report');
+  if (rejectedRows.length > 0) {
+    const maxShown = 50;
+    const heading = document.createElement('p');
+    heading.innerHTML = `<b>${rejectedRows.length} row${rejectedRows.length === 1 ? '' : 's'} will be skipped:</b>`;
+    reportEl.appendChild(heading);
+    
+    const list = document.createElement('ul');
+    rejectedRows.slice(0, maxShown).forEach(({ line, dataType, reason }) => {
+      const item = document.createElement('li');
+      item.textContent = `Line ${line} (${dataType}): ${reason}`;
+      list.appendChild(item);
+    });
+    if (rejectedRows.length > maxShown) {
+      const more = document.createElement('li');
+      more.textContent = `...and ${rejectedRows.length - maxShown} more`;
+      list.appendChild(more);
+    }
+    reportEl.appendChild(list);
+  } else {
+    reportEl.style.display = 'none';
+  }
+  
+  const renderPreview = () => {
+    preview = mergeImportEntries(incoming, policySelect.value);
+    const sections = Object.entries(preview.summary);
+    
+    if (sections.length === 0) {
+      summaryEl.innerHTML = '<p>Merging adds nothing new - this device already has all of this data.</p>';
+      return;
+    }
+    
+    summaryEl.innerHTML = '<p>Merging will:</p>';
+    const list = document.createElement('ul');
+    sections.forEach(([section, counts]) => {
+      const parts = [];
+      if (counts.added) parts.push(`${counts.added} added`);
+      if (counts.changed) parts.push(`${counts.changed} updated`);
+      if (counts.conflicts && !counts.changed) parts.push(`${counts.conflicts} conflicting (keeping yours)`);
+      if (parts.length === 0) return;
+      
+      const item = document.createElement('li');
+      item.textContent = `${section}: ${parts.join(', ')}`;
+      list.appendChild(item);
+    });
+    summaryEl.appendChild(list);
+  };
+  
+  const close = () => {
+    if (modal.parentNode) document.body.removeChild(modal);
+  };
+  
+  renderPreview();
+  policySelect.addEventListener('change', renderPreview);
+  
+  modal.querySelector('#import-cancel').addEventListener('click', () => {
+    close();
+    if (handlers.onCancel) handlers.onCancel();
+  });
+  
+  modal.querySelector('#import-merge').addEventListener('click', () => {
+    close();
+    handlers.onMerge(preview.entries);
+  });
+  
+  modal.querySelector('#import-replace').addEventListener('click', () => {
+    if (!confirm('This will replace ALL existing data with the imported file. Continue?')) return;
+    close();
+    handlers.onReplace();
+  });
+}
+
+/**
+ * Upgrade imported entries to the current schema before they are written.
+ * Only the imported entries are migrated, starting from their own version;
+ * data already on the device is current and left alone.
+ * @param {Object} entries - Imported storage entries (modified in place)
+ * @param {number} version - Schema version the entries were exported with
+ * @returns {Object} The upgraded entries, without a schema version entry
+ */
+function upgradeImportEntries(entries, version) {
+  const store = {
+    getItem: key => (key in entries ? entries[key] : null),
+    setItem: (key, value) => { entries[key] = String(value); },
+    removeItem: key => { delete entries[key]; }
+  };
+  
+  store.setItem(STORAGE_KEYS.SCHEMA_VERSION, version || 0);
+  const upgradedVersion = migrationManager.run(store);
+  delete entries[STORAGE_KEYS.SCHEMA_VERSION];
+  
+  if (upgradedVersion < migrationManager.currentVersion) {
+    throw new Error('Imported data could not be upgraded to this app version.');
+  }
+  return entries;
+}
+
+/**
+ * Write merged entries to storage
+ * @param {Object} entries - Storage entries from mergeImportEntries()
+ */
+function applyMergedEntries(entries) {
+  Object.entries(entries).forEach(([key, value]) => {
+    storageManager.setItem(key, value);
+  });
+}
+
+/**
+ * Convert application data to CSV format (includes reminders)
+ */
+function convertDataToCSV() {
+  const rows = []; 
+  
+  const headers = [
+    "data_type", "key", "value", "date", "amount", "timestamp", 
+    "type", "count", "name", "color", "completed", "order"
+  ];
+  rows.push(headers.join(","));
+  
+  const escapeCSV = (value) => {
+    if (value === null || value === undefined) return '';
+    const stringValue = String(value);
+    if (/[,"\r\n]/.test(stringValue)) {
+      return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+    return stringValue;
+  };
+  
+  const addRow = (dataType, key, value) => {
+    const row = new Array(headers.length).fill('');
     row[0] = dataType;
     row[1] = key;
     row[2] = value;
     rows.push(row.map(escapeCSV).join(','));
   };
   
+  // Intake entry details besides amount and time (its id, and the session a
+  // calories entry came from) are JSON in "value"
+  const entryDetails = entry => {
+    const details = {};
+    if (entry.id) details.id = entry.id;
+    if (entry.source === 'workout') {
+      details.source = entry.source;
+      details.sessionTimestamp = entry.sessionTimestamp;
+    }
+    return Object.keys(details).length > 0 ? JSON.stringify(details) : '';
+  };
+  
   // Add version info
   addRow("meta", "version", "2.1");
   addRow("meta", "exportDate", new Date().toISOString());
+  addRow("meta", "schemaVersion", migrationManager.currentVersion);
   
   // Process water data
-  const waterGoal = localStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + 'water');
+  const waterGoal = storageManager.getItem(STORAGE_KEYS.GOAL_PREFIX + 'water');
   addRow("water", "goal", waterGoal);
   
-  const waterIntake = localStorage.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'water');
+  const waterIntake = storageManager.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'water');
   addRow("water", "intake", waterIntake);
   
-  const waterHistory = JSON.parse(localStorage.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'water') || '{}');
+  const waterHistory = JSON.parse(storageManager.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'water') || '{}');
   Object.entries(waterHistory).forEach(([date, entries]) => {
     entries.forEach((entry, index) => {
       const row = new Array(headers.length).fill('');
       row[0] = "water_history";
       row[1] = `${date}_${index}`;
+      row[2] = entryDetails(entry);
       row[3] = date;
       row[4] = entry.amount;
       row[5] = entry.timestamp;
@@ -600,18 +2056,19 @@ function convertDataToCSV() {
   });
   
   // Process protein data
-  const proteinGoal = localStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + 'protein');
+  const proteinGoal = storageManager.getItem(STORAGE_KEYS.GOAL_PREFIX + 'protein');
   addRow("protein", "goal", proteinGoal);
   
-  const proteinIntake = localStorage.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'protein');
+  const proteinIntake = storageManager.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'protein');
   addRow("protein", "intake", proteinIntake);
   
-  const proteinHistory = JSON.parse(localStorage.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'protein') || '{}');
+  const proteinHistory = JSON.parse(storageManager.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'protein') || '{}');
   Object.entries(proteinHistory).forEach(([date, entries]) => {
     entries.forEach((entry, index) => {
       const row = new Array(headers.length).fill('');
       row[0] = "protein_history";
       row[1] = `${date}_${index}`;
+      row[2] = entryDetails(entry);
       row[3] = date;
       row[4] = entry.amount;
       row[5] = entry.timestamp;
@@ -619,11 +2076,47 @@ function convertDataToCSV() {
     });
   });
   
+  // Process custom tracker data - rows carry the tracker in the type column
+  const trackerConfig = storageManager.getItem(STORAGE_KEYS.TRACKER_CONFIG);
+  if (trackerConfig) {
+    addRow("trackers", "config", trackerConfig);
+    
+    JSON.parse(trackerConfig).forEach(config => {
+      ['goal', 'intake'].forEach(key => {
+        const prefix = key === 'goal' ? STORAGE_KEYS.GOAL_PREFIX : STORAGE_KEYS.INTAKE_PREFIX;
+        const row = new Array(headers.length).fill('');
+        row[0] = "tracker";
+        row[1] = key;
+        row[2] = storageManager.getItem(prefix + config.type);
+        row[6] = config.type;
+        rows.push(row.map(escapeCSV).join(','));
+      });
+      
+      const trackerHistory = JSON.parse(storageManager.getItem(STORAGE_KEYS.HISTORY_PREFIX + config.type) || '{}');
+      Object.entries(trackerHistory).forEach(([date, entries]) => {
+        entries.forEach((entry, index) => {
+          const row = new Array(headers.length).fill('');
+          row[0] = "tracker_history";
+          row[1] = `${date}_${index}`;
+          row[3] = date;
+          row[4] = entry.amount;
+          row[2] = entryDetails(entry);
+          row[5] = entry.timestamp;
+          row[6] = config.type;
+          rows.push(row.map(escapeCSV).join(','));
+        });
+      });
+    });
+  }
+  
   // Process workout data
-  const workoutTypes = localStorage.getItem(STORAGE_KEYS.WORKOUT_TYPES);
+  const workoutTypes = storageManager.getItem(STORAGE_KEYS.WORKOUT_TYPES);
   addRow("workout", "types", workoutTypes);
   
-  const workoutState = JSON.parse(localStorage.getItem(STORAGE_KEYS.WORKOUT_STATE) || '{}');
+  const workoutProgramData = storageManager.getItem(STORAGE_KEYS.WORKOUT_PROGRAM);
+  if (workoutProgramData) addRow("workout", "program", workoutProgramData);
+  
+  const workoutState = JSON.parse(storageManager.getItem(STORAGE_KEYS.WORKOUT_STATE) || '{}');
   Object.entries(workoutState).forEach(([type, state]) => {
     const row = new Array(headers.length).fill('');
     row[0] = "workout_state";
@@ -634,7 +2127,7 @@ function convertDataToCSV() {
     rows.push(row.map(escapeCSV).join(','));
   });
   
-  const workoutCount = JSON.parse(localStorage.getItem(STORAGE_KEYS.WORKOUT_COUNT) || '{}');
+  const workoutCount = JSON.parse(storageManager.getItem(STORAGE_KEYS.WORKOUT_COUNT) || '{}');
   Object.entries(workoutCount).forEach(([type, count]) => {
     const row = new Array(headers.length).fill('');
     row[0] = "workout_count";
@@ -644,12 +2137,14 @@ function convertDataToCSV() {
     rows.push(row.map(escapeCSV).join(','));
   });
   
-  const workoutHistory = JSON.parse(localStorage.getItem(STORAGE_KEYS.WORKOUT_HISTORY) || '{}');
+  const workoutHistory = JSON.parse(storageManager.getItem(STORAGE_KEYS.WORKOUT_HISTORY) || '{}');
   Object.entries(workoutHistory).forEach(([date, entries]) => {
     entries.forEach((entry, index) => {
       const row = new Array(headers.length).fill('');
       row[0] = "workout_history";
       row[1] = `${date}_${index}`;
+      const details = workoutLog.getSessionDetails(entry);
+      row[2] = details ? JSON.stringify(details) : '';
       row[3] = date;
       row[5] = entry.timestamp;
       row[6] = entry.type;
@@ -659,208 +2154,506 @@ function convertDataToCSV() {
   });
   
   // Process habits data
-  const habitsData = JSON.parse(localStorage.getItem(STORAGE_KEYS.HABITS) || '[]');
+  const habitsData = JSON.parse(storageManager.getItem(STORAGE_KEYS.HABITS) || '[]');
   habitsData.forEach((habit, habitIndex) => {
+    // Keyed by id so reordering habits doesn't mix up their history
+    const habitKey = habit.id || habitIndex.toString();
+    const settings = {};
+    HABIT_SETTING_FIELDS.forEach(field => {
+      if (habit[field] !== undefined) settings[field] = habit[field];
+    });
     const row = new Array(headers.length).fill('');
     row[0] = "habit";
-    row[1] = habitIndex.toString();
+    row[1] = habitKey;
+    row[2] = JSON.stringify(settings);
     row[8] = habit.name;
     row[9] = habit.color;
+    row[11] = habitIndex;
     rows.push(row.map(escapeCSV).join(','));
     
     if (habit.history) {
       Object.entries(habit.history).forEach(([date, status]) => {
         const historyRow = new Array(headers.length).fill('');
         historyRow[0] = "habit_history";
-        historyRow[1] = `${habitIndex}_${date}`;
+        historyRow[1] = `${habitKey}_${date}`;
         historyRow[2] = status;
         historyRow[3] = date;
+        historyRow[4] = habit.values && habit.values[date] !== undefined ? habit.values[date] : '';
         rows.push(historyRow.map(escapeCSV).join(','));
       });
     }
+    
+    if (habit.notes) {
+      Object.entries(habit.notes).forEach(([date, note]) => {
+        const noteRow = new Array(headers.length).fill('');
+        noteRow[0] = "habit_note";
+        noteRow[1] = `${habitKey}_${date}`;
+        noteRow[2] = note.text || '';
+        noteRow[3] = date;
+        noteRow[4] = note.mood || '';
+        rows.push(noteRow.map(escapeCSV).join(','));
+      });
+    }
   });
   
   // Process reminders data
-  const remindersData = localStorage.getItem('reminders_data');
+  const remindersData = storageManager.getItem(STORAGE_KEYS.REMINDERS);
   if (remindersData) {
     addRow("reminders", "data", remindersData);
   }
   
   // Add settings
-  const theme = localStorage.getItem(STORAGE_KEYS.THEME);
+  const theme = storageManager.getItem(STORAGE_KEYS.THEME);
   addRow("settings", "theme", theme);
   
-  const reminder = localStorage.getItem(STORAGE_KEYS.REMINDER);
+  const reminder = storageManager.getItem(STORAGE_KEYS.REMINDER);
   addRow("settings", "reminder", reminder);
   
   return rows.join('\n');
 }
 
 /**
- * Parse CSV data and import to app (includes reminders)
+ * Parse CSV data and import to app (includes reminders).
+ * Malformed rows are left out and reported in rejectedRows ({ line, dataType, reason }).
  */
 function parseCSVData(csvData) {
-  const rows = csvData.split(/\r?\n/);
+  const rows = splitCSVRows(csvData);
   if (rows.length < 2) throw new Error('Invalid CSV file format');
   
-  const headers = parseCSVRow(rows[0]);
+  const headers = parseCSVRow(rows[0].text);
   const headerMap = {};
   headers.forEach((header, index) => {
     headerMap[header] = index;
   });
   
+  if (headerMap.data_type === undefined || headerMap.key === undefined) {
+    throw new Error('Missing data_type/key columns - this is not a Health Tracker export');
+  }
+  
   // Initialize data structure (includes reminders)
   const importedData = {
     version: "2.1",
     exportDate: new Date().toISOString(),
+    schemaVersion: null,
     water: { goal: null, intake: null, history: {} },
     protein: { goal: null, intake: null, history: {} },
-    workout: { types: [], state: {}, count: {}, history: {} },
+    trackers: { config: null, data: {} },
+    workout: { types: [], state: {}, count: {}, history: {}, program: null },
     habits: { data: [] },
     reminders: { data: null },
     settings: { theme: null, reminder: null }
   };
   
+  const rejectedRows = [];
+  const habitsByKey = {};
+  const habitOrder = {};
+  const habitHistoryRows = [];
+  
+  const isTrackerType = type => /^[a-z0-9-]+$/.test(type || '') && type !== 'water' && type !== 'protein';
+  const trackerData = type => {
+    if (!importedData.trackers.data[type]) {
+      importedData.trackers.data[type] = { goal: null, intake: null, history: {} };
+    }
+    return importedData.trackers.data[type];
+  };
+  const isValidDate = date => /^\d{4}-\d{2}-\d{2}$/.test(date || '') && !isNaN(new Date(date).getTime());
+  const isNumeric = value => value === '' || value === null || value === undefined || isFinite(Number(value));
+  const isJSON = value => {
+    try {
+      JSON.parse(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+  // A habit's settings are a JSON object in "value" (empty in exports from
+  // before habits had settings)
+  const readHabitSettings = value => {
+    if (!value) return {};
+    
+    const parsed = isJSON(value) ? JSON.parse(value) : null;
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+    
+    const settings = {};
+    HABIT_SETTING_FIELDS.forEach(field => {
+      if (parsed[field] !== undefined) settings[field] = parsed[field];
+    });
+    return settings;
+  };
+  // An intake entry's details are a JSON object in "value"; only its id and
+  // the link of a calories entry to its workout session are kept
+  const readEntryDetails = value => {
+    if (!value) return {};
+    
+    const parsed = isJSON(value) ? JSON.parse(value) : null;
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+    
+    const details = {};
+    if (typeof parsed.id === 'string' && parsed.id) details.id = parsed.id;
+    if (parsed.source === 'workout' && typeof parsed.sessionTimestamp === 'string') {
+      details.source = parsed.source;
+      details.sessionTimestamp = parsed.sessionTimestamp;
+    }
+    return details;
+  };
+  const getHabitSettingsError = settings => {
+    const { schedule, target, freezesPerMonth, time, quitDate } = settings;
+    if (schedule !== undefined && !habitSchedule.isValid(schedule)) return 'bad habit schedule';
+    if (freezesPerMonth !== undefined && !(Number.isInteger(freezesPerMonth) && freezesPerMonth >= 0)) {
+      return `bad freeze allowance "${freezesPerMonth}"`;
+    }
+    if (target !== undefined && !(target && typeof target.amount === 'number' && target.amount > 0 && typeof target.unit === 'string')) {
+      return `bad habit target "${target && target.amount}"`;
+    }
+    if (time !== undefined && !habitSchedule.isValidTime(time)) return `bad habit time "${time}"`;
+    if (quitDate !== undefined && !isValidDate(quitDate)) return 'bad quit date';
+    if (['group', 'after'].some(field => settings[field] !== undefined && typeof settings[field] !== 'string')) {
+      return 'bad habit group or anchor habit';
+    }
+    if (['archived', 'remind'].some(field => settings[field] !== undefined && typeof settings[field] !== 'boolean')) {
+      return 'bad habit flag';
+    }
+    return null;
+  };
+  
+  // Goals are exported as timelines; older exports have a plain number
+  const isGoalOrNumber = (key, value) => isNumeric(value) ||
+    (key === 'goal' && isJSON(value) && goalTimeline.isValid(JSON.parse(value)));
+  
   // Process each data row
   for (let i = 1; i < rows.length; i++) {
-    if (!rows[i].trim()) continue;
+    if (!rows[i].text.trim()) continue;
     
-    const row = parseCSVRow(rows[i]);
+    const row = parseCSVRow(rows[i].text);
     const dataType = row[headerMap.data_type];
     const key = row[headerMap.key];
     const value = row[headerMap.value];
+    const reject = reason => rejectedRows.push({ line: rows[i].line, dataType: dataType || '(empty)', reason });
+    
+    if (row.length !== headers.length) {
+      reject(`expected ${headers.length} columns, found ${row.length}`);
+      continue;
+    }
     
     switch (dataType) {
       case 'meta':
         if (key === 'version') importedData.version = value;
         if (key === 'exportDate') importedData.exportDate = value;
+        if (key === 'schemaVersion') importedData.schemaVersion = parseInt(value) || 0;
         break;
         
       case 'water':
-        if (key === 'goal') importedData.water.goal = value;
-        if (key === 'intake') importedData.water.intake = value;
+      case 'protein':
+        if (key !== 'goal' && key !== 'intake') {
+          reject(`unknown key "${key}"`);
+        } else if (!isGoalOrNumber(key, value)) {
+          reject(`${key} "${value}" is not a number`);
+        } else {
+          importedData[dataType][key] = value;
+        }
         break;
         
       case 'water_history':
-        const waterDate = row[headerMap.date];
-        const waterAmount = parseFloat(row[headerMap.amount]);
-        const waterTimestamp = row[headerMap.timestamp];
+      case 'protein_history': {
+        const trackerType = dataType.replace('_history', '');
+        const date = row[headerMap.date];
+        const amount = parseFloat(row[headerMap.amount]);
+        const details = readEntryDetails(value);
+        
+        if (!isValidDate(date)) {
+          reject(`bad date "${date}"`);
+          break;
+        }
+        if (isNaN(amount)) {
+          reject(`amount "${row[headerMap.amount]}" is not a number`);
+          break;
+        }
+        if (!details) {
+          reject('entry details are not a JSON object');
+          break;
+        }
         
-        if (!importedData.water.history[waterDate]) {
-          importedData.water.history[waterDate] = [];
+        if (!importedData[trackerType].history[date]) {
+          importedData[trackerType].history[date] = [];
         }
         
-        importedData.water.history[waterDate].push({
-          amount: waterAmount,
-          timestamp: waterTimestamp
+        importedData[trackerType].history[date].push({
+          amount: amount,
+          timestamp: row[headerMap.timestamp],
+          ...details
         });
         break;
+      }
         
-      case 'protein':
-        if (key === 'goal') importedData.protein.goal = value;
-        if (key === 'intake') importedData.protein.intake = value;
+      case 'trackers':
+        if (key !== 'config') break;
+        if (!isJSON(value) || !Array.isArray(JSON.parse(value))) {
+          reject('tracker config is not a valid JSON list');
+        } else if (getTrackerConfigsError(JSON.parse(value))) {
+          reject(`tracker config ${getTrackerConfigsError(JSON.parse(value))}`);
+        } else {
+          importedData.trackers.config = value;
+        }
+        break;
+        
+      case 'tracker': {
+        const trackerType = row[headerMap.type];
+        if (!isTrackerType(trackerType)) {
+          reject(`bad tracker type "${trackerType}"`);
+        } else if (key !== 'goal' && key !== 'intake') {
+          reject(`unknown key "${key}"`);
+        } else if (!isGoalOrNumber(key, value)) {
+          reject(`${key} "${value}" is not a number`);
+        } else {
+          trackerData(trackerType)[key] = value;
+        }
         break;
+      }
         
-      case 'protein_history':
-        const proteinDate = row[headerMap.date];
-        const proteinAmount = parseFloat(row[headerMap.amount]);
-        const proteinTimestamp = row[headerMap.timestamp];
+      case 'tracker_history': {
+        const trackerType = row[headerMap.type];
+        const date = row[headerMap.date];
+        const amount = parseFloat(row[headerMap.amount]);
+        const details = readEntryDetails(value);
         
-        if (!importedData.protein.history[proteinDate]) {
-          importedData.protein.history[proteinDate] = [];
+        if (!isTrackerType(trackerType)) {
+          reject(`bad tracker type "${trackerType}"`);
+          break;
+        }
+        if (!isValidDate(date)) {
+          reject(`bad date "${date}"`);
+          break;
+        }
+        if (isNaN(amount)) {
+          reject(`amount "${row[headerMap.amount]}" is not a number`);
+          break;
+        }
+        if (!details) {
+          reject('entry details are not a JSON object');
+          break;
+        }
+        
+        const history = trackerData(trackerType).history;
+        if (!history[date]) {
+          history[date] = [];
         }
         
-        importedData.protein.history[proteinDate].push({
-          amount: proteinAmount,
-          timestamp: proteinTimestamp
+        history[date].push({
+          amount: amount,
+          timestamp: row[headerMap.timestamp],
+          ...details
         });
         break;
+      }
         
       case 'workout':
-        if (key === 'types') importedData.workout.types = JSON.parse(value || '[]');
+        if (key === 'program') {
+          if (!isJSON(value) || !workoutProgram.isValid(JSON.parse(value))) {
+            reject('workout program is not valid');
+          } else {
+            importedData.workout.program = value;
+          }
+          break;
+        }
+        if (key !== 'types') break;
+        if (value && !isJSON(value)) {
+          reject('workout types are not valid JSON');
+        } else {
+          importedData.workout.types = JSON.parse(value || '[]');
+        }
         break;
         
-      case 'workout_state':
+      case 'workout_state': {
         const workoutType = row[headerMap.type];
-        const completed = row[headerMap.completed] === 'true';
-        const order = parseInt(row[headerMap.order]) || 0;
+        if (!workoutType) {
+          reject('missing workout type');
+          break;
+        }
         
         importedData.workout.state[workoutType] = {
-          completed: completed,
-          order: order
+          completed: row[headerMap.completed] === 'true',
+          order: parseInt(row[headerMap.order]) || 0
         };
         break;
+      }
         
-      case 'workout_count':
+      case 'workout_count': {
         const countType = row[headerMap.type];
         const count = parseInt(row[headerMap.count]);
         
-        importedData.workout.count[countType] = count;
+        if (!countType) {
+          reject('missing workout type');
+        } else if (isNaN(count)) {
+          reject(`count "${row[headerMap.count]}" is not a number`);
+        } else {
+          importedData.workout.count[countType] = count;
+        }
         break;
+      }
         
-      case 'workout_history':
+      case 'workout_history': {
         const workoutDate = row[headerMap.date];
         const entryType = row[headerMap.type];
         const entryCount = parseInt(row[headerMap.count]);
-        const entryTimestamp = row[headerMap.timestamp];
+        
+        if (!isValidDate(workoutDate)) {
+          reject(`bad date "${workoutDate}"`);
+          break;
+        }
+        if (!entryType) {
+          reject('missing workout type');
+          break;
+        }
+        if (isNaN(entryCount)) {
+          reject(`count "${row[headerMap.count]}" is not a number`);
+          break;
+        }
+        // Session details; older exports only had the exercises list
+        let details = null;
+        if (value) {
+          details = isJSON(value) ? JSON.parse(value) : null;
+          if (Array.isArray(details)) details = { exercises: details };
+          if (!details || typeof details !== 'object' || !workoutLog.isValidSession(details)) {
+            reject('bad session details');
+            break;
+          }
+        }
         
         if (!importedData.workout.history[workoutDate]) {
           importedData.workout.history[workoutDate] = [];
         }
         
-        importedData.workout.history[workoutDate].push({
+        const workoutEntry = {
           type: entryType,
           count: entryCount,
-          timestamp: entryTimestamp
-        });
+          timestamp: row[headerMap.timestamp]
+        };
+        if (details) {
+          workoutLog.SESSION_FIELDS.forEach(field => {
+            if (details[field] !== undefined) workoutEntry[field] = details[field];
+          });
+        }
+        importedData.workout.history[workoutDate].push(workoutEntry);
         break;
+      }
         
-      case 'habit':
-        const habitIndex = parseInt(key);
+      case 'habit': {
         const habitName = row[headerMap.name];
-        const habitColor = row[headerMap.color];
+        // Older exports key habits by their index, newer ones by id with the index in "order"
+        const isIndexKey = /^\d+$/.test(key || '');
+        const order = parseInt(isIndexKey ? key : row[headerMap.order]);
         
-        while (importedData.habits.data.length <= habitIndex) {
-          importedData.habits.data.push({ history: {} });
-        }
+        const settings = readHabitSettings(value);
+        const settingsError = settings && getHabitSettingsError(settings);
         
-        importedData.habits.data[habitIndex] = {
-          name: habitName,
-          color: habitColor,
-          history: importedData.habits.data[habitIndex].history || {}
-        };
+        if (!/^[\w-]+$/.test(key || '')) {
+          reject(`bad habit key "${key}"`);
+        } else if (!habitName) {
+          reject('habit has no name');
+        } else if (!settings) {
+          reject('habit settings are not a JSON object');
+        } else if (settingsError) {
+          reject(settingsError);
+        } else {
+          const habit = {
+            name: habitName,
+            color: row[headerMap.color],
+            history: {},
+            ...settings
+          };
+          if (!isIndexKey) habit.id = key;
+          if (habit.target) habit.values = {};
+          habitsByKey[key] = habit;
+          habitOrder[key] = isNaN(order) ? Number.MAX_SAFE_INTEGER : order;
+        }
         break;
+      }
         
       case 'habit_history':
-        const [habitIdx, historyDate] = key.split('_');
-        const status = value;
-        
-        const idx = parseInt(habitIdx);
-        while (importedData.habits.data.length <= idx) {
-          importedData.habits.data.push({ history: {} });
-        }
-        
-        if (!importedData.habits.data[idx].history) {
-          importedData.habits.data[idx].history = {};
-        }
-        
-        importedData.habits.data[idx].history[historyDate] = status;
+      case 'habit_note':
+        // Resolved once all habit rows are known
+        habitHistoryRows.push({ dataType, key, value, amount: row[headerMap.amount], reject });
         break;
         
       case 'reminders':
-        if (key === 'data') importedData.reminders.data = value;
+        if (key !== 'data') break;
+        if (!isJSON(value)) {
+          reject('reminders data is not valid JSON');
+        } else {
+          importedData.reminders.data = value;
+        }
         break;
         
       case 'settings':
         if (key === 'theme') importedData.settings.theme = value;
         if (key === 'reminder') importedData.settings.reminder = value;
         break;
+        
+      default:
+        reject('unknown data type');
+    }
+  }
+  
+  habitHistoryRows.forEach(({ dataType, key, value, amount, reject }) => {
+    // Habit ids contain underscores too, the date is after the last one
+    const separator = (key || '').lastIndexOf('_');
+    if (separator === -1) {
+      reject(`bad habit history key "${key}"`);
+      return;
+    }
+    
+    const habit = habitsByKey[key.slice(0, separator)];
+    const historyDate = key.slice(separator + 1);
+    
+    if (!habit) {
+      reject(`unknown habit "${key.slice(0, separator)}"`);
+    } else if (!isValidDate(historyDate)) {
+      reject(`bad date "${historyDate}"`);
+    } else if (dataType === 'habit_note') {
+      // Notes carry the text in "value" and the 1-5 mood rating in "amount"
+      const mood = Number(amount);
+      if (amount && !(Number.isInteger(mood) && mood >= 1 && mood <= 5)) {
+        reject(`bad mood "${amount}"`);
+      } else if (value || amount) {
+        habit.notes = habit.notes || {};
+        habit.notes[historyDate] = {};
+        if (value) habit.notes[historyDate].text = value;
+        if (amount) habit.notes[historyDate].mood = mood;
+      }
+    } else if (!['done', 'fail', 'skip', 'relapse'].includes(value)) {
+      reject(`unknown status "${value}"`);
+    } else if (amount && !(habit.values && isFinite(amount))) {
+      reject(`bad habit value "${amount}"`);
+    } else {
+      habit.history[historyDate] = value;
+      if (amount) habit.values[historyDate] = Number(amount);
+    }
+  });
+  
+  // Keep the exported habit order, without gaps left by rejected rows
+  importedData.habits.data = Object.keys(habitsByKey)
+    .sort((a, b) => habitOrder[a] - habitOrder[b])
+    .map(key => habitsByKey[key]);
+  
+  rejectedRows.sort((a, b) => a.line - b.line);
+  
+  // Exports from before the schemaVersion row: custom trackers came with
+  // schema v5 and goal timelines with v6
+  if (importedData.schemaVersion === null) {
+    const goals = [importedData.water.goal, importedData.protein.goal]
+      .concat(Object.values(importedData.trackers.data).map(tracker => tracker.goal));
+    if (goals.some(goal => String(goal || '').trim().startsWith('['))) {
+      importedData.schemaVersion = 6;
+    } else {
+      importedData.schemaVersion = importedData.trackers.config ? 5 : 0;
     }
   }
   
   return {
     version: importedData.version,
     exportDate: importedData.exportDate,
+    schemaVersion: importedData.schemaVersion,
+    rejectedRows,
     water: {
       goal: importedData.water.goal,
       intake: importedData.water.intake,
@@ -871,11 +2664,20 @@ function parseCSVData(csvData) {
       intake: importedData.protein.intake,
       history: JSON.stringify(importedData.protein.history)
     },
+    trackers: {
+      config: importedData.trackers.config,
+      data: Object.fromEntries(Object.entries(importedData.trackers.data).map(([type, tracker]) => [type, {
+        goal: tracker.goal,
+        intake: tracker.intake,
+        history: JSON.stringify(tracker.history)
+      }]))
+    },
     workout: {
       types: JSON.stringify(importedData.workout.types),
       state: JSON.stringify(importedData.workout.state),
       count: JSON.stringify(importedData.workout.count),
-      history: JSON.stringify(importedData.workout.history)
+      history: JSON.stringify(importedData.workout.history),
+      program: importedData.workout.program
     },
     habits: {
       data: JSON.stringify(importedData.habits.data)
@@ -887,6 +2689,43 @@ function parseCSVData(csvData) {
   };
 }
 
+/**
+ * Split CSV text into rows. Line breaks inside quoted values (e.g. multi-line
+ * habit notes) belong to the value, not to a new row.
+ * @param {string} csvData - Raw CSV text
+ * @returns {Array<{text: string, line: number}>} Rows with the file line they start on
+ */
+function splitCSVRows(csvData) {
+  const rows = [];
+  let insideQuotes = false;
+  let current = '';
+  let line = 1;
+  let startLine = 1;
+  
+  for (let i = 0; i < csvData.length; i++) {
+    const char = csvData[i];
+    
+    if (char === '"') {
+      insideQuotes = !insideQuotes;
+    } else if (char === '\r' && csvData[i + 1] === '\n') {
+      continue;
+    } else if (char === '\n') {
+      line++;
+      if (!insideQuotes) {
+        rows.push({ text: current, line: startLine });
+        current = '';
+        startLine = line;
+        continue;
+      }
+    }
+    
+    current += char;
+  }
+  
+  rows.push({ text: current, line: startLine });
+  return rows;
+}
+
 /**
  * Parse a single CSV row, handling quoted values correctly
  */
@@ -927,62 +2766,28 @@ function parseCSVRow(row) {
 }
 
 /**
- * Apply imported data with reminders support
+ * Apply an imported CSV export: data in the file replaces the stored data,
+ * anything the file doesn't contain is kept
+ * @param {Object} entries - Upgraded storage entries from csvDataToEntries()
  */
-function applyImportedData(data) {
+function applyImportedData(entries) {
   try {
     console.log('Applying imported data...');
     
-    // Apply water data
-    if (data.water) {
-      if (data.water.goal) localStorage.setItem(STORAGE_KEYS.GOAL_PREFIX + 'water', data.water.goal);
-      if (data.water.intake) localStorage.setItem(STORAGE_KEYS.INTAKE_PREFIX + 'water', data.water.intake);
-      if (data.water.history) localStorage.setItem(STORAGE_KEYS.HISTORY_PREFIX + 'water', data.water.history);
-    }
-    
-    // Apply protein data
-    if (data.protein) {
-      if (data.protein.goal) localStorage.setItem(STORAGE_KEYS.GOAL_PREFIX + 'protein', data.protein.goal);
-      if (data.protein.intake) localStorage.setItem(STORAGE_KEYS.INTAKE_PREFIX + 'protein', data.protein.intake);
-      if (data.protein.history) localStorage.setItem(STORAGE_KEYS.HISTORY_PREFIX + 'protein', data.protein.history);
-    }
-    
-    // Apply workout data
-    if (data.workout) {
-      if (data.workout.types) localStorage.setItem(STORAGE_KEYS.WORKOUT_TYPES, data.workout.types);
-      if (data.workout.state) localStorage.setItem(STORAGE_KEYS.WORKOUT_STATE, data.workout.state);
-      if (data.workout.count) localStorage.setItem(STORAGE_KEYS.WORKOUT_COUNT, data.workout.count);
-      if (data.workout.history) localStorage.setItem(STORAGE_KEYS.WORKOUT_HISTORY, data.workout.history);
-    }
-    
-    // Apply habits data
-    if (data.habits && data.habits.data) {
-      localStorage.setItem(STORAGE_KEYS.HABITS, data.habits.data);
-    }
+    applyMergedEntries(entries);
     
-    // Apply reminders data
-    if (data.reminders && data.reminders.data) {
-      console.log('Applying reminders data:', data.reminders.data);
-      localStorage.setItem('reminders_data', data.reminders.data);
-      
-      // Reload reminders manager data if it exists
-      if (window.remindersManager && typeof window.remindersManager.loadData === 'function') {
-        try {
-          window.remindersManager.loadData();
-          window.remindersManager.scheduleAllReminders();
-          console.log('Reminders data reloaded');
-        } catch (error) {
-          console.error('Error reloading reminders data:', error);
-        }
+    // Reload reminders manager data if it exists
+    if (entries[STORAGE_KEYS.REMINDERS] &&
+        window.remindersManager && typeof window.remindersManager.loadData === 'function') {
+      try {
+        window.remindersManager.loadData();
+        window.remindersManager.scheduleAllReminders();
+        console.log('Reminders data reloaded');
+      } catch (error) {
+        console.error('Error reloading reminders data:', error);
       }
     }
     
-    // Apply settings
-    if (data.settings) {
-      if (data.settings.theme) localStorage.setItem(STORAGE_KEYS.THEME, data.settings.theme);
-      if (data.settings.reminder) localStorage.setItem(STORAGE_KEYS.REMINDER, data.settings.reminder);
-    }
-    
     console.log('Data import completed successfully');
   } catch (error) {
     console.error('Error applying imported data:', error);
@@ -0,0 +1,187 @@
+/**
+ * Health Tracker App - Year Heatmap
+ * GitHub-style overview of a calendar year with one cell per day, shared by
+ * habits, trackers and workouts. Weeks are columns running Monday to Sunday,
+ * like the habit calendar.
+ */
+
+class YearHeatmap {
+  /**
+   * Create a heatmap
+   * @param {Element} container - Element the heatmap renders into
+   * @param {Object} options - Heatmap options
+   * @param {Function} options.getDay - (dateKey, date) => { level, label }; level is
+   *   0 (nothing) to 1 (complete), or null for days that don't count (not due, skipped)
+   * @param {string} [options.color] - Cell color
+   * @param {number} [options.firstYear] - Earliest year to navigate to (defaults to this year)
+   * @param {Function} [options.summary] - ({ complete, active, counted }) => text shown when no day
+   *   is selected; defaults to "X of Y days complete"
+   */
+  constructor(container, options) {
+    this.container = container;
+    if (container) container.classList.add('year-heatmap');
+    this.year = new Date().getFullYear();
+    this.selectedKey = null;
+    this.setOptions(options);
+  }
+
+  /**
+   * Replace the data source or color, e.g. when the shown habit changes
+   * @param {Object} options - Same as the constructor options
+   */
+  setOptions(options) {
+    this.getDay = options.getDay;
+    this.color = options.color || 'var(--neutral-primary)';
+    this.firstYear = Math.min(options.firstYear || this.year, new Date().getFullYear());
+    this.summarize = options.summary || (days => `${days.complete} of ${days.counted} days complete`);
+  }
+
+  /**
+   * Map a 0-1 level to one of the four intensity steps (0 for none)
+   * @param {number} level - Completion from 0 to 1
+   * @returns {number} Step from 0 to 4
+   */
+  getStep(level) {
+    if (!(level > 0)) return 0;
+    return Math.min(4, Math.ceil(level * 4));
+  }
+
+  /**
+   * Render the year: navigation, month labels, day grid, legend and the inspected day
+   */
+  render() {
+    if (!this.container) return;
+
+    const currentYear = new Date().getFullYear();
+    const todayKey = utils.formatDate(new Date());
+    const firstDay = new Date(this.year, 0, 1);
+    const leadingDays = (firstDay.getDay() + 6) % 7;
+    const days = { complete: 0, active: 0, counted: 0 };
+
+    this.container.innerHTML = `
+      <div class="heatmap-header">
+        <button class="icon-btn heatmap-prev" aria-label="Previous year"${this.year <= this.firstYear ? ' disabled' : ''}>
+          <i class="material-icons-round">chevron_left</i>
+        </button>
+        <span class="heatmap-year">${this.year}</span>
+        <button class="icon-btn heatmap-next" aria-label="Next year"${this.year >= currentYear ? ' disabled' : ''}>
+          <i class="material-icons-round">chevron_right</i>
+        </button>
+      </div>
+      <div class="heatmap-scroll">
+        <div class="heatmap-months"></div>
+        <div class="heatmap-body">
+          <div class="heatmap-weekdays"><span>Mon</span><span></span><span>Wed</span><span></span><span>Fri</span><span></span><span></span></div>
+          <div class="heatmap-grid"></div>
+        </div>
+      </div>
+      <div class="heatmap-footer">
+        <span class="heatmap-detail"></span>
+        <span class="heatmap-legend">Less${[0, 1, 2, 3, 4].map(step => `<span class="heatmap-cell step-${step}"></span>`).join('')}More</span>
+      </div>
+    `;
+
+    const grid = this.container.querySelector('.heatmap-grid');
+    const months = this.container.querySelector('.heatmap-months');
+    const cells = [];
+
+    // Blank cells before January 1st so it lands on its weekday
+    for (let i = 0; i < leadingDays; i++) {
+      cells.push('<span class="heatmap-cell blank"></span>');
+    }
+
+    for (const date = new Date(firstDay); date.getFullYear() === this.year; date.setDate(date.getDate() + 1)) {
+      const dateKey = utils.formatDate(date);
+
+      if (date.getDate() === 1) {
+        const column = Math.floor(cells.length / 7) + 1;
+        months.insertAdjacentHTML('beforeend',
+          `<span style="grid-column: ${column};">${date.toLocaleDateString(undefined, { month: 'short' })}</span>`);
+      }
+
+      if (dateKey > todayKey) {
+        cells.push(`<span class="heatmap-cell future" data-date="${dateKey}"></span>`);
+        continue;
+      }
+
+      const day = this.getDay(dateKey, new Date(date)) || { level: 0, label: '' };
+      let className = 'off';
+      if (day.level !== null && day.level !== undefined) {
+        const step = this.getStep(day.level);
+        className = `step-${step}`;
+        days.counted++;
+        if (day.level > 0) days.active++;
+        if (day.level >= 1) days.complete++;
+      }
+      if (dateKey === this.selectedKey) className += ' selected';
+
+      cells.push(`<span class="heatmap-cell ${className}" data-date="${dateKey}" title="${this.escape(day.label)}"></span>`);
+    }
+
+    grid.innerHTML = cells.join('');
+    this.container.style.setProperty('--heatmap-color', this.color);
+    this.summary = days.counted > 0 ? this.summarize(days) : 'No data this year';
+    this.showDetail();
+
+    this.container.querySelector('.heatmap-prev').addEventListener('click', () => this.showYear(this.year - 1));
+    this.container.querySelector('.heatmap-next').addEventListener('click', () => this.showYear(this.year + 1));
+    grid.addEventListener('click', (e) => {
+      const cell = e.target.closest('.heatmap-cell[data-date]');
+      if (cell && !cell.classList.contains('future')) this.inspect(cell.dataset.date);
+    });
+
+    // Start with the latest weeks in view
+    const scroll = this.container.querySelector('.heatmap-scroll');
+    if (this.year === currentYear) scroll.scrollLeft = scroll.scrollWidth;
+  }
+
+  /**
+   * Navigate to another year
+   * @param {number} year - Year to show
+   */
+  showYear(year) {
+    this.year = Math.max(this.firstYear, Math.min(year, new Date().getFullYear()));
+    this.selectedKey = null;
+    this.render();
+  }
+
+  /**
+   * Select a day and show its label below the grid; selecting it again clears it
+   * @param {string} dateKey - Day in YYYY-MM-DD format
+   */
+  inspect(dateKey) {
+    const previous = this.container.querySelector('.heatmap-cell.selected');
+    if (previous) previous.classList.remove('selected');
+
+    this.selectedKey = this.selectedKey === dateKey ? null : dateKey;
+    const cell = this.selectedKey && this.container.querySelector(`.heatmap-cell[data-date="${dateKey}"]`);
+    if (cell) cell.classList.add('selected');
+    this.showDetail();
+  }
+
+  /**
+   * Show the selected day's label, or the year summary when no day is selected
+   */
+  showDetail() {
+    const detail = this.container.querySelector('.heatmap-detail');
+    if (!detail) return;
+
+    if (!this.selectedKey) {
+      detail.textContent = this.summary;
+      return;
+    }
+
+    const [year, month, day] = this.selectedKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    const dayInfo = this.getDay(this.selectedKey, date) || {};
+    const dateLabel = date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    detail.textContent = dayInfo.label ? `${dateLabel} · ${dayInfo.label}` : dateLabel;
+  }
+
+  /**
+   * Escape text for an HTML attribute
+   */
+  escape(text) {
+    return String(text || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+}
@@ -0,0 +1,360 @@
+/**
+ * Health Tracker App - Schema Migrations
+ * Ordered, versioned upgrades for every persisted key. Runs once at startup,
+ * after storage is ready and before any tracker reads its data.
+ */
+
+/**
+ * Migration Manager - Upgrades stored data to the current schema version
+ */
+const migrationManager = {
+  /**
+   * Ordered migration registry. Each migration receives a store with
+   * getItem/setItem/removeItem (storageManager at runtime) and must be
+   * safe to run again on data that is already in the new shape.
+   * Each version has a fixture in tests/fixtures/migrations; run `npm test`
+   * after adding one.
+   */
+  migrations: [
+    {
+      version: 1,
+      description: 'Move legacy notification_* keys into reminders_data',
+      migrate(store) {
+        const legacyKeys = {
+          global: 'notifications_enabled',
+          waterAlert: 'notification_water',
+          waterInterval: 'notification_water_interval_enabled',
+          proteinAlert: 'notification_protein'
+        };
+        const intervalKey = 'notification_water_interval';
+
+        const hasLegacyData = Object.values(legacyKeys).some(key => store.getItem(key) !== null);
+        if (!hasLegacyData) return;
+
+        const data = migrationManager.readJSON(store, STORAGE_KEYS.REMINDERS, {});
+        data.systemNotifications = data.systemNotifications || {};
+
+        Object.entries(legacyKeys).forEach(([newKey, legacyKey]) => {
+          const legacyValue = store.getItem(legacyKey);
+          if (legacyValue === null) return;
+
+          if (newKey === 'global') {
+            data.globalEnabled = legacyValue === 'true';
+            return;
+          }
+
+          const notification = data.systemNotifications[newKey] || {};
+          notification.enabled = legacyValue === 'true';
+          if (notification.enabled && (!Array.isArray(notification.days) || notification.days.length === 0)) {
+            notification.days = [1, 2, 3, 4, 5];
+          }
+
+          if (newKey === 'waterInterval') {
+            const interval = parseInt(store.getItem(intervalKey));
+            if (!isNaN(interval)) notification.interval = interval;
+          }
+
+          data.systemNotifications[newKey] = notification;
+        });
+
+        // Legacy users who had already granted permission keep notifications on
+        if ('Notification' in window && Notification.permission === 'granted') {
+          data.globalEnabled = true;
+        }
+
+        store.setItem(STORAGE_KEYS.REMINDERS, JSON.stringify(data));
+        Object.values(legacyKeys).concat(intervalKey).forEach(key => store.removeItem(key));
+      }
+    },
+    {
+      version: 2,
+      description: 'Derive workout_types for data saved before custom workout types existed',
+      migrate(store) {
+        const workoutState = migrationManager.readJSON(store, STORAGE_KEYS.WORKOUT_STATE, {});
+        const workoutCounts = migrationManager.readJSON(store, STORAGE_KEYS.WORKOUT_COUNT, {});
+        const storedTypes = migrationManager.readJSON(store, STORAGE_KEYS.WORKOUT_TYPES, null);
+
+        if (!Array.isArray(storedTypes)) {
+          const types = Object.keys(workoutState)
+            .sort((a, b) => (workoutState[a].order || 0) - (workoutState[b].order || 0));
+          Object.keys(workoutCounts).forEach(type => {
+            if (!types.includes(type)) types.push(type);
+          });
+
+          store.setItem(STORAGE_KEYS.WORKOUT_TYPES, JSON.stringify(types));
+        }
+
+        // History entries always carry a numeric count
+        const history = migrationManager.readJSON(store, STORAGE_KEYS.WORKOUT_HISTORY, null);
+        if (history) {
+          Object.keys(history).forEach(date => {
+            if (!Array.isArray(history[date])) {
+              history[date] = [];
+              return;
+            }
+            history[date].forEach(entry => {
+              entry.count = parseInt(entry.count) || 1;
+            });
+          });
+          store.setItem(STORAGE_KEYS.WORKOUT_HISTORY, JSON.stringify(history));
+        }
+      }
+    },
+    {
+      version: 3,
+      description: 'Normalize water/protein goal, intake and history entries',
+      migrate(store) {
+        ['water', 'protein'].forEach(type => {
+          ['GOAL_PREFIX', 'INTAKE_PREFIX'].forEach(prefix => {
+            const key = STORAGE_KEYS[prefix] + type;
+            const value = store.getItem(key);
+            if (value !== null) {
+              store.setItem(key, parseInt(value) || 0);
+            }
+          });
+
+          const historyKey = STORAGE_KEYS.HISTORY_PREFIX + type;
+          const history = migrationManager.readJSON(store, historyKey, null);
+          if (!history) return;
+
+          Object.keys(history).forEach(date => {
+            const entries = Array.isArray(history[date]) ? history[date] : [];
+            history[date] = entries
+              .map(entry => ({
+                ...entry,
+                amount: Number(entry.amount),
+                timestamp: entry.timestamp || `${date}T12:00:00`
+              }))
+              .filter(entry => isFinite(entry.amount));
+          });
+
+          store.setItem(historyKey, JSON.stringify(history));
+        });
+      }
+    },
+    {
+      version: 4,
+      description: 'Ensure every habit has a history object with done/fail statuses',
+      migrate(store) {
+        const habits = migrationManager.readJSON(store, STORAGE_KEYS.HABITS, null);
+        if (!Array.isArray(habits)) return;
+
+        habits.forEach(habit => {
+          if (!habit.history || typeof habit.history !== 'object') {
+            habit.history = {};
+          }
+          // Early versions stored booleans instead of status strings
+          Object.keys(habit.history).forEach(date => {
+            if (habit.history[date] === true) habit.history[date] = 'done';
+            if (habit.history[date] === false) habit.history[date] = 'fail';
+          });
+        });
+
+        store.setItem(STORAGE_KEYS.HABITS, JSON.stringify(habits));
+      }
+    },
+    {
+      version: 5,
+      description: 'Reminders: single time to times[], days arrays and active windows',
+      migrate(store) {
+        const data = migrationManager.readJSON(store, STORAGE_KEYS.REMINDERS, null);
+        if (!data) return;
+
+        // Only these four system notification types are supported
+        const validTypes = ['waterAlert', 'waterInterval', 'proteinAlert', 'proteinInterval'];
+        const systemNotifications = data.systemNotifications || {};
+        Object.keys(systemNotifications).forEach(key => {
+          const notification = systemNotifications[key];
+          if (!validTypes.includes(key)) {
+            delete systemNotifications[key];
+            return;
+          }
+          if (!Array.isArray(notification.days)) {
+            notification.days = [];
+          }
+          // Interval types need an active window, alert types don't
+          if (key.includes('Interval') && !notification.activeWindow) {
+            notification.activeWindow = { start: "08:00", end: "22:00" };
+          }
+          if (key.includes('Alert') && notification.activeWindow) {
+            delete notification.activeWindow;
+          }
+        });
+        data.systemNotifications = systemNotifications;
+
+        data.customReminders = Array.isArray(data.customReminders) ? data.customReminders : [];
+        data.customReminders.forEach(reminder => {
+          if (!reminder.activeWindow) {
+            reminder.activeWindow = { start: "00:00", end: "23:59" };
+          }
+          if (reminder.time && !reminder.times) {
+            reminder.times = [reminder.time];
+            delete reminder.time;
+          }
+          if (!Array.isArray(reminder.times)) {
+            reminder.times = ['12:00'];
+          }
+          if (!Array.isArray(reminder.alerts)) {
+            reminder.alerts = [0];
+          }
+        });
+
+        store.setItem(STORAGE_KEYS.REMINDERS, JSON.stringify(data));
+      }
+    },
+    {
+      version: 6,
+      description: 'Store tracker goals as effective-dated timelines',
+      migrate(store) {
+        const types = ['water', 'protein'].concat(
+          migrationManager.readJSON(store, STORAGE_KEYS.TRACKER_CONFIG, []).map(config => config.type));
+
+        types.forEach(type => {
+          const key = STORAGE_KEYS.GOAL_PREFIX + type;
+          const value = store.getItem(key);
+          if (value === null) return;
+
+          // A plain number becomes a single record covering all past days
+          store.setItem(key, JSON.stringify(goalTimeline.parse(value)));
+        });
+      }
+    },
+    {
+      version: 7,
+      description: 'Give every habit a stable id',
+      migrate(store) {
+        const habits = migrationManager.readJSON(store, STORAGE_KEYS.HABITS, null);
+        if (!Array.isArray(habits)) return;
+
+        habits.forEach(habit => {
+          if (typeof habit.id !== 'string' || !habit.id) habit.id = utils.generateId('habit');
+        });
+
+        store.setItem(STORAGE_KEYS.HABITS, JSON.stringify(habits));
+      }
+    },
+    {
+      version: 8,
+      description: 'Reminders: days arrays and active windows for custom tracker types',
+      migrate(store) {
+        const data = migrationManager.readJSON(store, STORAGE_KEYS.REMINDERS, null);
+        if (!data || !data.systemNotifications) return;
+
+        // Same shape v5 gives water/protein, for each custom tracker's alert and interval
+        migrationManager.readJSON(store, STORAGE_KEYS.TRACKER_CONFIG, []).forEach(config => {
+          const alert = data.systemNotifications[`${config.type}Alert`];
+          const interval = data.systemNotifications[`${config.type}Interval`];
+
+          [alert, interval].forEach(notification => {
+            if (notification && !Array.isArray(notification.days)) notification.days = [];
+          });
+          if (interval && !interval.activeWindow) {
+            interval.activeWindow = { start: "08:00", end: "22:00" };
+          }
+          if (alert && alert.activeWindow) {
+            delete alert.activeWindow;
+          }
+        });
+
+        store.setItem(STORAGE_KEYS.REMINDERS, JSON.stringify(data));
+      }
+    },
+    {
+      version: 9,
+      description: 'Give every intake history entry a stable id',
+      migrate(store) {
+        const types = ['water', 'protein'].concat(
+          migrationManager.readJSON(store, STORAGE_KEYS.TRACKER_CONFIG, []).map(config => config.type));
+
+        types.forEach(type => {
+          const key = STORAGE_KEYS.HISTORY_PREFIX + type;
+          const history = migrationManager.readJSON(store, key, null);
+          if (!history || typeof history !== 'object') return;
+
+          const days = Object.values(history).filter(Array.isArray);
+          const usedIds = new Set();
+          days.forEach(entries => entries.forEach(entry => {
+            if (typeof entry.id === 'string' && entry.id) usedIds.add(entry.id);
+          }));
+
+          // Ids come from the entry's time, so an older backup of the same
+          // entry gets the same id when it is imported and migrated
+          days.forEach(entries => entries.forEach(entry => {
+            if (typeof entry.id === 'string' && entry.id) return;
+
+            const baseId = 'entry_' + String(entry.timestamp).replace(/\D/g, '');
+            let id = baseId;
+            for (let n = 2; usedIds.has(id); n++) id = `${baseId}_${n}`;
+            usedIds.add(id);
+            entry.id = id;
+          }));
+
+          store.setItem(key, JSON.stringify(history));
+        });
+      }
+    }
+  ],
+
+  /**
+   * Latest schema version known to this build
+   */
+  get currentVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  },
+
+  /**
+   * Read the schema version stored alongside the data
+   * @param {Object} store - Storage with getItem/setItem/removeItem
+   * @returns {number} Stored version (0 for data written before versioning)
+   */
+  getVersion(store = storageManager) {
+    return parseInt(store.getItem(STORAGE_KEYS.SCHEMA_VERSION)) || 0;
+  },
+
+  /**
+   * Run every pending migration in order. Stops at the first failure so the
+   * remaining migrations are retried on the next start.
+   * @param {Object} store - Storage with getItem/setItem/removeItem
+   * @returns {number} Schema version after running
+   */
+  run(store = storageManager) {
+    let version = this.getVersion(store);
+
+    if (version > this.currentVersion) {
+      console.warn(`Stored schema v${version} is newer than this app (v${this.currentVersion})`);
+      return version;
+    }
+
+    for (const migration of this.migrations) {
+      if (migration.version <= version) continue;
+
+      try {
+        migration.migrate(store);
+        version = migration.version;
+        store.setItem(STORAGE_KEYS.SCHEMA_VERSION, version);
+        console.log(`Migrated data to schema v${version}: ${migration.description}`);
+      } catch (error) {
+        console.error(`Migration to schema v${migration.version} failed:`, error);
+        utils.showToast('Error upgrading saved data. Please export a backup.', 'error');
+        break;
+      }
+    }
+
+    return version;
+  },
+
+  /**
+   * Parse a JSON value from the store
+   */
+  readJSON(store, key, fallback) {
+    const value = store.getItem(key);
+    if (value === null || value === undefined) return fallback;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn(`Could not parse stored "${key}":`, error);
+      return fallback;
+    }
+  }
+};
@@ -4,7 +4,7 @@
  */
 
 // Cache name (Updated version)
-const CACHE_NAME = "daily-tracker-v2.2";
+const CACHE_NAME = "daily-tracker-v2.5";
 
 // Files to cache
 const FILES_TO_CACHE = [
@@ -12,11 +12,15 @@ const FILES_TO_CACHE = [
   'index.html',
   'core/core-styles.css',
   'core/core-scripts.js',
+  'core/migrations.js',
   'core/ui.js',
   'core/server-settings.js',
   'core/server-settings-styles.css',
+  'core/heatmap.js',
+  'core/heatmap-styles.css',
   'trackers/trackers-scripts.js',
   'trackers/trackers-styles.css',
+  'workouts/workout-timer.js',
   'workouts/workouts-scripts.js',
   'workouts/workouts-styles.css',
   'habits/habits-scripts.js',
@@ -439,6 +443,15 @@ self.addEventListener('message', (event) => {
       console.log('[SW] Reminder cancellation requested:', data);
       break;
       
+    case 'schedule-timer':
+      // Workout timer end - keep the worker alive until it fires or is cancelled
+      event.waitUntil(scheduleTimerNotification(data));
+      break;
+      
+    case 'cancel-timer':
+      cancelTimerNotification(data.id);
+      break;
+      
     case 'update-cache':
       // Force cache update
       event.waitUntil(
@@ -517,6 +530,56 @@ async function getUserId() {
   return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+// Pending workout timer notifications by id
+const scheduledTimers = new Map();
+
+/**
+ * Show a notification when a workout timer ends. This is best-effort: a
+ * timeout keeps the worker alive through waitUntil, but browsers cap how long
+ * that extends its life (minutes) and may stop it sooner, so long timers can
+ * end silently here. The page also notifies when the timer ends while it is
+ * hidden, using the same tag so only one notification shows.
+ * @returns {Promise} Resolves when the timer ends or is cancelled
+ */
+function scheduleTimerNotification({ id, at, title, body }) {
+  cancelTimerNotification(id);
+  
+  return new Promise(resolve => {
+    const timeout = setTimeout(async () => {
+      scheduledTimers.delete(id);
+      try {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (!windows.some(client => client.visibilityState === 'visible')) {
+          await self.registration.showNotification(title, {
+            body,
+            icon: '/icons/icon-192.png',
+            badge: '/icons/icon-192.png',
+            tag: id,
+            renotify: true,
+            vibrate: [200, 100, 200],
+            data: { type: 'workout-timer' }
+          });
+        }
+      } catch (error) {
+        console.error('[SW] Failed to show timer notification:', error);
+      }
+      resolve();
+    }, Math.max(0, at - Date.now()));
+    
+    scheduledTimers.set(id, { timeout, resolve });
+  });
+}
+
+// Cancel a pending workout timer notification
+function cancelTimerNotification(id) {
+  const timer = scheduledTimers.get(id);
+  if (!timer) return;
+  
+  clearTimeout(timer.timeout);
+  scheduledTimers.delete(id);
+  timer.resolve();
+}
+
 // Helper function for VAPID key conversion
 function urlBase64ToUint8Array(base64String) {
   const padding = '='.repeat((4 - base64String.length % 4) % 4);
@@ -7,12 +7,12 @@
  * Initialize theme (light/dark)
  */
 function initializeTheme() {
-  let savedTheme = localStorage.getItem(STORAGE_KEYS.THEME);
+  let savedTheme = storageManager.getItem(STORAGE_KEYS.THEME);
 
   // If no theme saved, default to dark
   if (!savedTheme) {
     savedTheme = 'dark-theme';
-    localStorage.setItem(STORAGE_KEYS.THEME, savedTheme);
+    storageManager.setItem(STORAGE_KEYS.THEME, savedTheme);
   }
 
   document.body.classList.add(savedTheme);
@@ -32,7 +32,7 @@ function initializeTheme() {
 
       document.body.classList.remove('dark-theme', 'light-theme');
       document.body.classList.add(newTheme);
-      localStorage.setItem(STORAGE_KEYS.THEME, newTheme);
+      storageManager.setItem(STORAGE_KEYS.THEME, newTheme);
 
       const newColor = newTheme === 'dark-theme' ? '#121212' : '#F8F9FA';
       utils.changeThemeColor(newColor);
@@ -70,7 +70,8 @@ function initializeTabNavigation() {
                          window.matchMedia('(prefers-color-scheme: dark)').matches);
       
       if (!isDarkTheme && !document.body.classList.contains('light-theme')) {
-        utils.changeThemeColor(THEME_COLORS[appType]);
+        const trackerConfig = window.trackerManager && window.trackerManager.getConfig(appType);
+        utils.changeThemeColor(THEME_COLORS[appType] || (trackerConfig && trackerConfig.color));
       }
     });
   });
@@ -99,6 +100,13 @@ function initializeTabNavigation() {
   document.getElementById('water-daily-history').classList.add('active');
   document.getElementById('protein-daily-history').classList.add('active');
   document.getElementById('workout-daily-history').classList.add('active');
+  
+  if (window.trackerManager) {
+    window.trackerManager.customTrackers.forEach(config => {
+      const historyTab = document.getElementById(`${config.type}-daily-history`);
+      if (historyTab) historyTab.classList.add('active');
+    });
+  }
 }
 
 /**
@@ -120,6 +128,14 @@ function initializePanels() {
     // Note: reminders panel is handled by RemindersManager, not here
   };
   
+  // Custom trackers use the same id pattern as water/protein
+  if (window.trackerManager) {
+    window.trackerManager.customTrackers.forEach(config => {
+      panelToggles[`${config.type}-settings-toggle`] = `${config.type}-settings-section`;
+      panelToggles[`${config.type}-history-toggle`] = `${config.type}-history-popup`;
+    });
+  }
+  
   // Set up panel toggles
   Object.entries(panelToggles).forEach(([toggleId, panelId]) => {
     const toggleBtn = document.getElementById(toggleId);
@@ -221,6 +237,15 @@ function initializeTrackerActions(tracker) {
     });
   }
   
+  // Backdating picker: no entries in the future
+  const manualTimeInput = document.getElementById(`${type}-manual-time`);
+  if (manualTimeInput) {
+    manualTimeInput.addEventListener('focus', () => {
+      const now = new Date();
+      manualTimeInput.max = `${utils.formatDate(now)}T${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    });
+  }
+  
   // Set goal button
   const setGoalBtn = document.getElementById(`${type}-set-goal`);
   if (setGoalBtn) {
@@ -233,9 +258,9 @@ function initializeTrackerActions(tracker) {
   const resetDailyBtn = document.getElementById(`${type}-reset-daily`);
   if (resetDailyBtn) {
     resetDailyBtn.addEventListener('click', () => {
-      if (confirm(`Are you sure you want to reset today's ${type} intake data?`)) {
+      if (confirm(`Are you sure you want to reset today's ${tracker.name.toLowerCase()} intake data?`)) {
         tracker.resetDailyIntake();
-        utils.showToast(`Today's ${type} intake has been reset.`, 'warning');
+        utils.showToast(`Today's ${tracker.name.toLowerCase()} intake has been reset.`, 'warning');
       }
     });
   }
@@ -244,7 +269,7 @@ function initializeTrackerActions(tracker) {
   const resetDataBtn = document.getElementById(`${type}-reset-data`);
   if (resetDataBtn) {
     resetDataBtn.addEventListener('click', () => {
-      if (confirm(`⚠️ WARNING: This will delete ALL ${type} tracking data. This action cannot be undone. Are you sure?`)) {
+      if (confirm(`⚠️ WARNING: This will delete ALL ${tracker.name.toLowerCase()} tracking data. This action cannot be undone. Are you sure?`)) {
         tracker.resetAllData();
       }
     });
@@ -258,14 +283,12 @@ function initializeTrackerActions(tracker) {
     });
   }
   
-  // NEW: Interval Reminder Button (only for water)
-  if (type === 'water') {
-    const intervalReminderBtn = document.getElementById(`${type}-interval-reminder-btn`);
-    if (intervalReminderBtn) {
-      intervalReminderBtn.addEventListener('click', () => {
-        toggleIntervalReminderButton(type);
-      });
-    }
+  // NEW: Interval Reminder Button (water and custom trackers)
+  const intervalReminderBtn = document.getElementById(`${type}-interval-reminder-btn`);
+  if (intervalReminderBtn) {
+    intervalReminderBtn.addEventListener('click', () => {
+      toggleIntervalReminderButton(type);
+    });
   }
   
   // NEW: More Options Button
@@ -292,7 +315,7 @@ function toggleGoalReminderButton(type) {
     return;
   }
   
-  const reminderType = type === 'water' ? 'waterAlert' : 'proteinAlert';
+  const reminderType = `${type}Alert`;
   const currentState = window.remindersManager.data.systemNotifications[reminderType]?.enabled || false;
   const newState = !currentState;
   
@@ -311,7 +334,7 @@ function toggleGoalReminderButton(type) {
 }
 
 /**
- * NEW: Toggle interval reminder button state (water only)
+ * NEW: Toggle interval reminder button state (water and custom trackers)
  */
 function toggleIntervalReminderButton(type) {
   if (!window.remindersManager) {
@@ -319,7 +342,7 @@ function toggleIntervalReminderButton(type) {
     return;
   }
   
-  const reminderType = type === 'water' ? 'waterInterval' : 'proteinInterval';
+  const reminderType = `${type}Interval`;
   const currentState = window.remindersManager.data.systemNotifications[reminderType]?.enabled || false;
   const newState = !currentState;
   
@@ -371,7 +394,7 @@ function updateNotificationButtonStates(type) {
   const goalBtn = document.getElementById(`${type}-goal-reminder-btn`);
   const goalStatus = document.getElementById(`${type}-goal-status`);
   if (goalBtn && goalStatus) {
-    const reminderType = type === 'water' ? 'waterAlert' : 'proteinAlert';
+    const reminderType = `${type}Alert`;
     const isEnabled = window.remindersManager.data.systemNotifications[reminderType]?.enabled || false;
     
     if (isEnabled) {
@@ -383,21 +406,19 @@ function updateNotificationButtonStates(type) {
     }
   }
   
-  // Update interval reminder button (water only)
-  if (type === 'water') {
-    const intervalBtn = document.getElementById(`${type}-interval-reminder-btn`);
-    const intervalStatus = document.getElementById(`${type}-interval-status`);
-    if (intervalBtn && intervalStatus) {
-      const reminderType = 'waterInterval';
-      const isEnabled = window.remindersManager.data.systemNotifications[reminderType]?.enabled || false;
-      
-      if (isEnabled) {
-        intervalBtn.classList.add('active');
-        intervalStatus.textContent = 'ON';
-      } else {
-        intervalBtn.classList.remove('active');
-        intervalStatus.textContent = 'OFF';
-      }
+  // Update interval reminder button (only trackers that have one)
+  const intervalBtn = document.getElementById(`${type}-interval-reminder-btn`);
+  const intervalStatus = document.getElementById(`${type}-interval-status`);
+  if (intervalBtn && intervalStatus) {
+    const reminderType = `${type}Interval`;
+    const isEnabled = window.remindersManager.data.systemNotifications[reminderType]?.enabled || false;
+    
+    if (isEnabled) {
+      intervalBtn.classList.add('active');
+      intervalStatus.textContent = 'ON';
+    } else {
+      intervalBtn.classList.remove('active');
+      intervalStatus.textContent = 'OFF';
     }
   }
 }
@@ -406,8 +427,8 @@ function updateNotificationButtonStates(type) {
  * UPDATED: Setup goal alert reminder (updated to refresh button states)
  */
 function setupGoalAlert(type, enable) {
-  const reminderType = type === 'water' ? 'waterAlert' : 'proteinAlert';
-  const reminderTitle = type === 'water' ? 'Water Goal Alert' : 'Protein Goal Alert';
+  const reminderType = `${type}Alert`;
+  const reminderTitle = `${getTrackerName(type)} Goal Alert`;
   
   // Ensure the notification type exists
   if (!window.remindersManager.data.systemNotifications[reminderType]) {
@@ -416,7 +437,7 @@ function setupGoalAlert(type, enable) {
       time: "20:00",
       days: [1, 2, 3, 4, 5, 6, 0],
       onlyIfGoalNotMet: true,
-      message: `Don't forget your daily ${type} goal!`
+      message: `Don't forget your daily ${getTrackerName(type).toLowerCase()} goal!`
     };
   } else {
     window.remindersManager.data.systemNotifications[reminderType].enabled = enable;
@@ -434,8 +455,8 @@ function setupGoalAlert(type, enable) {
  * UPDATED: Setup interval reminder (updated to refresh button states)
  */
 function setupIntervalReminder(type, enable) {
-  const reminderType = type === 'water' ? 'waterInterval' : 'proteinInterval';
-  const reminderTitle = type === 'water' ? 'Water Interval Reminders' : 'Protein Interval Reminders';
+  const reminderType = `${type}Interval`;
+  const reminderTitle = `${getTrackerName(type)} Interval Reminders`;
   
   // Ensure the notification type exists
   if (!window.remindersManager.data.systemNotifications[reminderType]) {
@@ -445,7 +466,7 @@ function setupIntervalReminder(type, enable) {
       activeWindow: { start: "08:00", end: "22:00" },
       days: [1, 2, 3, 4, 5, 6, 0],
       onlyIfBelowGoal: true,
-      message: `Time to drink ${type}!`
+      message: type === 'water' ? 'Time to drink water!' : `Time to log your ${getTrackerName(type).toLowerCase()}!`
     };
   } else {
     window.remindersManager.data.systemNotifications[reminderType].enabled = enable;
@@ -459,25 +480,31 @@ function setupIntervalReminder(type, enable) {
   utils.showToast(`${reminderTitle} ${action} (every ${interval} minutes)`, enable ? 'success' : 'info');
 }
 
+/**
+ * Get the display name for a tracker type
+ */
+function getTrackerName(type) {
+  const config = window.trackerManager && window.trackerManager.getConfig(type);
+  return config ? config.name : type.charAt(0).toUpperCase() + type.slice(1);
+}
+
 /**
  * NEW: Initialize settings panel events to update button states when panels are opened
  */
 function initializeSettingsPanelEvents() {
-  // Update button states when settings panels are opened
-  const waterSettingsBtn = document.getElementById('water-settings-toggle');
-  const proteinSettingsBtn = document.getElementById('protein-settings-toggle');
-  
-  if (waterSettingsBtn) {
-    waterSettingsBtn.addEventListener('click', () => {
-      setTimeout(() => updateNotificationButtonStates('water'), 100);
-    });
-  }
+  const types = window.trackerManager
+    ? window.trackerManager.getAllConfigs().map(config => config.type)
+    : ['water', 'protein'];
   
-  if (proteinSettingsBtn) {
-    proteinSettingsBtn.addEventListener('click', () => {
-      setTimeout(() => updateNotificationButtonStates('protein'), 100);
-    });
-  }
+  // Update button states when settings panels are opened
+  types.forEach(type => {
+    const settingsBtn = document.getElementById(`${type}-settings-toggle`);
+    if (settingsBtn) {
+      settingsBtn.addEventListener('click', () => {
+        setTimeout(() => updateNotificationButtonStates(type), 100);
+      });
+    }
+  });
 }
 
 /**
@@ -564,89 +591,4 @@ function initializeWorkoutTrackerActions(tracker) {
   
   // Initial history refresh
   tracker.refreshHistory();
-}
-
-/**
- * Initialize data management (import/export)
- */
-function initializeDataManagement() {
-  // Export data button
-  const exportBtn = document.getElementById('export-data');
-  if (exportBtn) {
-    exportBtn.addEventListener('click', () => {
-      try {
-        const allData = {
-          water: window.waterTracker ? window.waterTracker.data : {},
-          protein: window.proteinTracker ? window.proteinTracker.data : {},
-          workout: window.workoutTracker ? window.workoutTracker.data : {},
-          habits: window.habitsTracker ? window.habitsTracker.data : {},
-          reminders: window.remindersManager ? window.remindersManager.data : {}
-        };
-
-        const dataStr = JSON.stringify(allData, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = `health-tracker-data-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-
-        utils.showToast('Data exported successfully!', 'success');
-      } catch (error) {
-        console.error('Export failed:', error);
-        utils.showToast('Export failed: ' + error.message, 'error');
-      }
-    });
-  }
-
-  // Import data file input
-  const importFile = document.getElementById('import-file');
-  if (importFile) {
-    importFile.addEventListener('change', (event) => {
-      const file = event.target.files[0];
-      if (!file) return;
-
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const importedData = JSON.parse(e.target.result);
-          
-          if (confirm('⚠️ WARNING: This will overwrite ALL existing data. Are you sure you want to continue?')) {
-            // Import data to each tracker
-            if (importedData.water && window.waterTracker) {
-              window.waterTracker.importData(importedData.water);
-            }
-            if (importedData.protein && window.proteinTracker) {
-              window.proteinTracker.importData(importedData.protein);
-            }
-            if (importedData.workout && window.workoutTracker) {
-              window.workoutTracker.importData(importedData.workout);
-            }
-            if (importedData.habits && window.habitsTracker) {
-              window.habitsTracker.importData(importedData.habits);
-            }
-            if (importedData.reminders && window.remindersManager) {
-              window.remindersManager.importData(importedData.reminders);
-            }
-
-            utils.showToast('Data imported successfully! Refreshing...', 'success');
-            
-            // Refresh the page to ensure all UI updates
-            setTimeout(() => {
-              window.location.reload();
-            }, 1500);
-          }
-        } catch (error) {
-          console.error('Import failed:', error);
-          utils.showToast('Import failed: Invalid file format', 'error');
-        }
-      };
-
-      reader.readAsText(file);
-      // Reset the input so the same file can be selected again
-      event.target.value = '';
-    });
-  }
 }
\ No newline at end of file
@@ -3,6 +3,168 @@
  * This file contains the implementation of the habits tracker functionality
  */
 
+/**
+ * Habit schedules. Habits saved without one are done every day.
+ * { type: 'daily' }, { type: 'weekdays', days: [0-6] } (Sunday = 0),
+ * { type: 'weekly', times: N } or { type: 'monthly', times: N }
+ * A habit's optional time of day is a slot name or an "HH:MM" time.
+ */
+const habitSchedule = {
+  TYPES: ['daily', 'weekdays', 'weekly', 'monthly'],
+  DAY_NAMES: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+  // When a slot's habits become due, and when their reminder fires
+  TIME_SLOTS: {
+    morning: { label: 'Morning', start: '05:00', reminder: '08:00' },
+    afternoon: { label: 'Afternoon', start: '12:00', reminder: '13:00' },
+    evening: { label: 'Evening', start: '17:00', reminder: '19:00' }
+  },
+
+  /**
+   * Check that a value is a usable schedule
+   * @param {*} schedule - Value to check
+   * @returns {boolean} True if the schedule can be stored
+   */
+  isValid(schedule) {
+    if (!schedule || typeof schedule !== 'object' || !this.TYPES.includes(schedule.type)) return false;
+    
+    if (schedule.type === 'weekdays') {
+      return Array.isArray(schedule.days) && schedule.days.length > 0 &&
+        schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    }
+    if (this.isQuota(schedule)) {
+      const maxTimes = schedule.type === 'weekly' ? 7 : 31;
+      return Number.isInteger(schedule.times) && schedule.times >= 1 && schedule.times <= maxTimes;
+    }
+    return true;
+  },
+
+  /**
+   * Get the schedule of a habit, falling back to daily
+   * @param {Object} habit - Habit object
+   * @returns {Object} Schedule
+   */
+  get(habit) {
+    return habit && this.isValid(habit.schedule) ? habit.schedule : { type: 'daily' };
+  },
+
+  /**
+   * Whether the schedule sets a number of days per week/month rather than fixed days
+   */
+  isQuota(schedule) {
+    return schedule.type === 'weekly' || schedule.type === 'monthly';
+  },
+
+  /**
+   * Whether a date is one of the schedule's days (quota schedules can be done on any day)
+   * @param {Object} schedule - Schedule
+   * @param {Date} date - Date to check
+   * @returns {boolean}
+   */
+  isScheduledDay(schedule, date) {
+    return schedule.type !== 'weekdays' || schedule.days.includes(date.getDay());
+  },
+
+  /**
+   * Get the week (Monday to Sunday, like the calendar) or month containing a date
+   * @param {Object} schedule - Weekly or monthly schedule
+   * @param {Date} date - Date inside the period
+   * @returns {{start: Date, end: Date}} First and last day of the period
+   */
+  getPeriod(schedule, date) {
+    if (schedule.type === 'monthly') {
+      return {
+        start: new Date(date.getFullYear(), date.getMonth(), 1),
+        end: new Date(date.getFullYear(), date.getMonth() + 1, 0)
+      };
+    }
+    
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    return {
+      start,
+      end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6)
+    };
+  },
+
+  /**
+   * Short label for a schedule, e.g. "Mon, Wed, Fri" or "3× per week"
+   * @param {Object} schedule - Schedule
+   * @returns {string} Label
+   */
+  describe(schedule) {
+    switch (schedule.type) {
+      case 'weekdays':
+        // Monday first, like the calendar
+        return [1, 2, 3, 4, 5, 6, 0]
+          .filter(day => schedule.days.includes(day))
+          .map(day => this.DAY_NAMES[day])
+          .join(', ');
+      case 'weekly':
+        return `${schedule.times}× per week`;
+      case 'monthly':
+        return `${schedule.times}× per month`;
+      default:
+        return 'Every day';
+    }
+  },
+
+  /**
+   * Check that a value is a usable time of day
+   * @param {*} time - Slot name or "HH:MM"
+   * @returns {boolean}
+   */
+  isValidTime(time) {
+    return typeof time === 'string' &&
+      (Object.prototype.hasOwnProperty.call(this.TIME_SLOTS, time) || /^([01]\d|2[0-3]):[0-5]\d$/.test(time));
+  },
+
+  /**
+   * Time from which a habit is due, as "HH:MM"
+   * @param {string} time - Slot name or "HH:MM"
+   * @returns {string}
+   */
+  getStartTime(time) {
+    return this.TIME_SLOTS[time] ? this.TIME_SLOTS[time].start : time;
+  },
+
+  /**
+   * Time a habit's reminder fires, as "HH:MM"
+   * @param {string} time - Slot name or "HH:MM"
+   * @returns {string}
+   */
+  getReminderTime(time) {
+    return this.TIME_SLOTS[time] ? this.TIME_SLOTS[time].reminder : time;
+  },
+
+  /**
+   * Label for a time of day, e.g. "Morning" or "07:30"
+   * @param {string} time - Slot name or "HH:MM"
+   * @returns {string}
+   */
+  describeTime(time) {
+    return this.TIME_SLOTS[time] ? this.TIME_SLOTS[time].label : time;
+  },
+
+  /**
+   * Whether a history status excuses the day: skipped by the user or
+   * covered by a monthly freeze
+   * @param {string} status - History status
+   * @returns {boolean}
+   */
+  isSkipped(status) {
+    return status === 'skip' || status === 'frozen';
+  },
+
+  /**
+   * Parse a YYYY-MM-DD key as a local date
+   * @param {string} dateKey - Date key
+   * @returns {Date} Local midnight of that day
+   */
+  parseDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+};
+
 /**
  * HabitsTracker class for tracking daily habits
  */
@@ -31,6 +193,10 @@ class HabitsTracker {
       this.months = [];
       this.currentDateOffset = 0;
       this.selectedTimePeriod = 'weekly'; // Default selected time period
+      this.effectiveHistoryCache = new WeakMap();
+      this.collapsedGroups = [];
+      this.showDueOnly = false;
+      this.dueViewTimer = null;
       
       // For touch event handling
       this.longPressContext = null;
@@ -153,12 +319,26 @@ class HabitsTracker {
       document.getElementById('habit-name-input').value = habit.name;
       document.getElementById('habits-confirm-button').textContent = 'Save';
       this.selectColor(habit.color);
+      this.fillScheduleForm(habitSchedule.get(habit));
+      if (this.freezesInput) this.freezesInput.value = habit.freezesPerMonth || 0;
+      this.fillTargetForm(habit.target);
+      this.fillGroupForm(habit.group);
+      this.fillTimeForm(habit);
+      this.fillStackForm(habit);
+      this.fillKindForm(habit);
     } else {
       // Add mode
       document.getElementById('modal-title').textContent = 'Add New Habit';
       document.getElementById('habit-name-input').value = '';
       document.getElementById('habits-confirm-button').textContent = 'Add';
       this.selectColor('default');
+      this.fillScheduleForm({ type: 'daily' });
+      if (this.freezesInput) this.freezesInput.value = 0;
+      this.fillTargetForm(null);
+      this.fillGroupForm('');
+      this.fillTimeForm({});
+      this.fillStackForm({});
+      this.fillKindForm({});
     }
     
     // Show modal
@@ -187,6 +367,19 @@ class HabitsTracker {
     this.habitNameInput = document.getElementById('habit-name-input');
     this.modalTitle = document.getElementById('modal-title');
     this.confirmButton = document.getElementById('habits-confirm-button');
+    this.scheduleTypeSelect = document.getElementById('habit-schedule-type');
+    this.scheduleDays = document.getElementById('habit-schedule-days');
+    this.scheduleTimesInput = document.getElementById('habit-schedule-times');
+    this.freezesInput = document.getElementById('habit-freezes-input');
+    this.targetAmountInput = document.getElementById('habit-target-amount');
+    this.targetUnitInput = document.getElementById('habit-target-unit');
+    this.groupInput = document.getElementById('habit-group-input');
+    this.timeSlotSelect = document.getElementById('habit-time-slot');
+    this.timeInput = document.getElementById('habit-time-input');
+    this.remindInput = document.getElementById('habit-remind-input');
+    this.afterSelect = document.getElementById('habit-after-select');
+    this.kindSelect = document.getElementById('habit-kind-select');
+    this.quitDateInput = document.getElementById('habit-quit-date');
     
     // Detail view elements
     this.habitDetailTitle = document.getElementById('habit-detail-title');
@@ -203,6 +396,7 @@ class HabitsTracker {
     // Button event listeners - using new modal system
     document.getElementById('habits-add-button').addEventListener('click', () => this.showModal(false));
     document.getElementById('habits-rearrange-button').addEventListener('click', () => this.toggleRearrange());
+    document.getElementById('habits-today-button').addEventListener('click', () => this.toggleDueView());
     document.getElementById('habits-cancel-button').addEventListener('click', () => this.closeModal());
     document.getElementById('habits-confirm-button').addEventListener('click', () => this.handleModalConfirm());
     document.getElementById('habits-back-button').addEventListener('click', () => this.showMainView());
@@ -212,6 +406,24 @@ class HabitsTracker {
       option.addEventListener('click', () => this.selectColor(option.dataset.color));
     });
     
+    // Build or break a habit
+    if (this.kindSelect) {
+      this.kindSelect.addEventListener('change', () => this.updateKindFormVisibility());
+    }
+    
+    // Time of day selection
+    if (this.timeSlotSelect) {
+      this.timeSlotSelect.addEventListener('change', () => this.updateTimeFormVisibility());
+    }
+    
+    // Schedule selection
+    if (this.scheduleTypeSelect) {
+      this.scheduleTypeSelect.addEventListener('change', () => this.updateScheduleFormVisibility());
+      this.scheduleDays.querySelectorAll('.habit-schedule-day').forEach(button => {
+        button.addEventListener('click', () => button.classList.toggle('selected'));
+      });
+    }
+    
     // Enter key on input
     this.habitNameInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
@@ -230,6 +442,17 @@ class HabitsTracker {
       });
     }
     
+    // Outside edit mode, tapping a calendar day opens its note
+    if (this.calendarScrollContent) {
+      this.calendarScrollContent.addEventListener('click', (e) => {
+        const cell = e.target.closest('.habits-calendar-cell[data-date-key]');
+        const habit = this.habits[this.currentHabitIndex];
+        if (!cell || !habit || this.isCalendarEditing || cell.classList.contains('future-date')) return;
+        
+        this.showNoteEditor(habit, cell.dataset.dateKey, () => this.updateCalendarCells(habit));
+      });
+    }
+    
     // Add time period selector event listener
     const timePeriodSelector = document.getElementById('graph-time-period');
     if (timePeriodSelector) {
@@ -422,10 +645,10 @@ alignDateItemsWithHabitDays() {
 }
 
   /**
- * Load habits from localStorage
+ * Load habits from storage
  */
 loadHabits() {
-      const storedHabits = localStorage.getItem(this.habitsKey);
+      const storedHabits = storageManager.getItem(this.habitsKey);
      if (storedHabits) {
         this.habits = JSON.parse(storedHabits);
         this.habits.forEach(habit => {
@@ -435,84 +658,28 @@ loadHabits() {
         // Start with empty habits array - no defaults
         this.habits = [];
     }
+    
+    try {
+      this.collapsedGroups = JSON.parse(storageManager.getItem(STORAGE_KEYS.HABIT_COLLAPSED_GROUPS) || '[]');
+    } catch (error) {
+      console.warn('Could not read collapsed habit groups:', error);
+      this.collapsedGroups = [];
+    }
 }
   
   /**
-   * Save habits to localStorage with storage quota handling
+   * Save habits to storage
    */
   saveHabits() {
-    // Check if we're low on storage space
-    if (storageManager && storageManager.isNearQuota && storageManager.isNearQuota()) {
-      // Try to clean up old data
-      const cleaned = storageManager.cleanupOldData();
-      
-      if (!cleaned) {
-        utils.showToast('Storage space is running low. Old habit history may be archived.', 'warning');
-        
-        // Keep only last 30 days of history for each habit
-        this.habits.forEach(habit => {
-          if (habit.history) {
-            const dates = Object.keys(habit.history).sort();
-            if (dates.length > 30) {
-              const datesToRemove = dates.slice(0, dates.length - 30);
-              datesToRemove.forEach(date => {
-                delete habit.history[date];
-              });
-            }
-          }
-        });
-      }
-    }
+    // Freezes depend on the whole history, so recompute them after any change
+    this.effectiveHistoryCache = new WeakMap();
     
     try {
-      localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
+      storageManager.setItem(this.habitsKey, JSON.stringify(this.habits));
     } catch (error) {
-      // Handle storage errors
-      if (error.name === 'QuotaExceededError' || 
-          error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || 
-          error.code === 22) {
-        utils.showToast('Not enough storage space. Some habit history may be lost.', 'error');
-        
-        // Aggressive cleanup - remove all history except current month
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
-        
-        this.habits.forEach(habit => {
-          if (habit.history) {
-            Object.keys(habit.history).forEach(dateKey => {
-              const date = new Date(dateKey);
-              if (date.getMonth() !== currentMonth || date.getFullYear() !== currentYear) {
-                delete habit.history[dateKey];
-              }
-            });
-          }
-        });
-        
-        // Try again
-        try {
-          localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-        } catch (error2) {
-          // Last resort - only keep today's data
-          const today = utils.formatDate(new Date());
-          
-          this.habits.forEach(habit => {
-            const todayStatus = habit.history && habit.history[today];
-            habit.history = {};
-            if (todayStatus) {
-              habit.history[today] = todayStatus;
-            }
-          });
-          
-          try {
-            localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-            utils.showToast('Storage space critically low. Only today\'s data kept.', 'error');
-          } catch (error3) {
-            utils.showToast('Unable to save habits data. Please export your data.', 'error');
-          }
-        }
-      } else {
-        utils.showToast(`Error saving habits: ${error.message}`, 'error');
-      }
+      // Never trim history to make room - keep the in-memory copy and let the user export it
+      console.error('Error saving habits:', error);
+      utils.showToast('Unable to save habits data. Please export your data.', 'error');
     }
   }
   
@@ -574,25 +741,26 @@ loadHabits() {
       // Ensure history object exists
       if (!habit.history) habit.history = {};
       
-      // Toggle status
-      const currentStatus = habit.history[dateKey] || 'fail';
-      const newStatus = currentStatus === 'fail' ? 'done' : 'fail';
-      habit.history[dateKey] = newStatus;
-      
-      // Update the cell appearance directly instead of re-rendering
-      if (newStatus === 'done') {
-        element.classList.remove('fail');
-        element.classList.add('done', habit.color);
-        element.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
+      if (this.isMeasurable(habit)) {
+        // Measurable habits ask for the day's value
+        this.showValueEditor(habit, dateKey, () => {
+          this.updateHabitRow(habitIndex);
+          this.offerDayNote(habitIndex, dateKey);
+          this.offerNextInStack(habitIndex, dateKey);
+        });
       } else {
-        element.classList.remove('done', habit.color);
-        element.classList.add('fail');
-        element.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+        // Cycle status
+        this.cycleDayStatus(habit, dateKey);
+        
+        // Save changes
+        this.saveHabits();
+        
+        // Update the habit's cells directly instead of re-rendering
+        this.updateHabitRow(habitIndex);
+        this.offerDayNote(habitIndex, dateKey);
+        this.offerNextInStack(habitIndex, dateKey);
       }
       
-      // Save changes
-      this.saveHabits();
-      
       // Add haptic feedback if available
       if (window.navigator && window.navigator.vibrate) {
         window.navigator.vibrate(50); // Short vibration for feedback
@@ -652,26 +820,25 @@ loadHabits() {
     const habit = this.habits[habitIndex];
     if (!habit) return;
     
-    // For standard clicks, implement different behavior - just toggle
+    // For standard clicks, implement different behavior - just cycle the status
     if (!habit.history) habit.history = {};
     
-    const currentStatus = habit.history[dateKey] || 'fail';
-    const newStatus = currentStatus === 'fail' ? 'done' : 'fail';
-    habit.history[dateKey] = newStatus;
-    
-    // Update the UI directly
-    if (newStatus === 'done') {
-      element.classList.remove('fail');
-      element.classList.add('done', habit.color);
-      element.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
-    } else {
-      element.classList.remove('done', habit.color);
-      element.classList.add('fail');
-      element.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+    if (this.isMeasurable(habit)) {
+      this.showValueEditor(habit, dateKey, () => {
+        this.updateHabitRow(habitIndex);
+        this.offerNextInStack(habitIndex, dateKey);
+      });
+      return;
     }
     
+    this.cycleDayStatus(habit, dateKey);
+    
     // Save changes
     this.saveHabits();
+    
+    // Update the UI directly
+    this.updateHabitRow(habitIndex);
+    this.offerNextInStack(habitIndex, dateKey);
   }
   
   /**
@@ -683,8 +850,12 @@ loadHabits() {
     this.habitsContainer.innerHTML = '';
     this.habitsContainer.className = this.isRearranging ? 'rearranging' : '';
     
+    // Archived habits keep their place in this.habits but aren't shown
+    const archivedCount = this.habits.filter(habit => habit.archived).length;
+    this.renderOverviewHeatmap();
+    
     // Handle empty habits
-    if (this.habits.length === 0) {
+    if (this.habits.length === archivedCount) {
       const emptyMessage = document.createElement('div');
       emptyMessage.className = 'empty-habits-message';
       emptyMessage.innerHTML = `
@@ -699,11 +870,36 @@ loadHabits() {
         </div>
       `;
       this.habitsContainer.appendChild(emptyMessage);
+      this.renderArchivedLink(archivedCount);
       return;
     }
     
-    // Create habit elements
-    this.habits.forEach((habit, index) => {
+    // The "due now" view leaves out habits that are done or not due yet
+    const orderedHabits = this.getOrderedHabits()
+      .filter(({ habit }) => !this.showDueOnly || this.isRearranging || this.isDueNow(habit));
+    
+    if (orderedHabits.length === 0) {
+      const caughtUpMessage = document.createElement('div');
+      caughtUpMessage.className = 'empty-habits-message';
+      caughtUpMessage.innerHTML = `
+        <div style="text-align: center; padding: 40px 20px; color: var(--text-secondary);">
+          <p style="font-size: 18px; margin-bottom: 20px;">All caught up</p>
+          <p style="font-size: 14px;">Nothing is due right now</p>
+        </div>
+      `;
+      this.habitsContainer.appendChild(caughtUpMessage);
+    }
+    
+    // Grouped habits follow the ungrouped ones, each group under a collapsible header
+    let currentGroup = '';
+    orderedHabits.forEach(({ habit, index }) => {
+      const group = habit.group || '';
+      if (group !== currentGroup) {
+        currentGroup = group;
+        this.habitsContainer.appendChild(this.createGroupHeader(group));
+      }
+      if (this.isGroupCollapsed(group)) return;
+      
       const habitElement = document.createElement('div');
       habitElement.className = `habit-item ${habit.color}`;
       habitElement.setAttribute('data-index', index);
@@ -725,83 +921,1448 @@ loadHabits() {
         const date = new Date(today);
         date.setDate(today.getDate() - i - this.currentDateOffset);
         const dateKey = this.getDateKey(date);
+        const cell = this.getDayCellState(habit, date);
+        
+        habitGrid += `
+          <div class="habit-day ${cell.className}${this.getDayNote(habit, dateKey) ? ' has-note' : ''}" 
+               data-date="${dateKey}"
+               data-habit="${index}"
+               role="button"
+               tabindex="0"
+               aria-label="${cell.label} on ${date.toLocaleDateString()}">
+            ${cell.symbol}
+          </div>
+        `;
+      }
+      
+      habitElement.innerHTML = `
+        <div class="habit-name-section">
+          <div class="drag-handle">⋮⋮⋮</div>
+          <div class="circle"></div>
+          <div class="habit-name-text">
+            <div class="name">${habit.name}</div>
+            <div class="habit-schedule-label">${this.getScheduleLabel(habit)}</div>
+          </div>
+        </div>
+        <div class="habit-grid-section">
+          <div class="habit-grid">${habitGrid}</div>
+        </div>
+      `;
+      
+      this.habitsContainer.appendChild(habitElement);
+    });
+    
+    this.renderArchivedLink(archivedCount);
+    
+    // Add event listeners for habit names and days
+    if (!this.isRearranging) {
+      document.querySelectorAll('.habit-name-section .name').forEach(nameElement => {
+        const index = parseInt(nameElement.closest('.habit-item').dataset.index);
+        nameElement.addEventListener('click', () => this.showHabitDetail(index));
+        
+        // Add keyboard accessibility
+        nameElement.setAttribute('tabindex', '0');
+        nameElement.setAttribute('role', 'button');
+        nameElement.setAttribute('aria-label', `View details for ${this.habits[index].name}`);
+        nameElement.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.showHabitDetail(index);
+          }
+        });
+      });
+      
+      document.querySelectorAll('.habit-day').forEach(dayElement => {
+        const habitIndex = parseInt(dayElement.dataset.habit);
+        const dateKey = dayElement.dataset.date;
+        
+        // Touch events for longpress
+        dayElement.addEventListener('touchstart', (e) => this.startLongPress(habitIndex, dateKey, e, dayElement));
+        dayElement.addEventListener('touchend', (e) => this.endLongPress(e));
+        dayElement.addEventListener('touchcancel', (e) => this.endLongPress(e));
+        
+        // Mouse events for longpress
+        dayElement.addEventListener('mousedown', (e) => this.startLongPress(habitIndex, dateKey, e, dayElement));
+        dayElement.addEventListener('mouseup', (e) => this.endLongPress(e));
+        dayElement.addEventListener('mouseleave', (e) => this.endLongPress(e));
         
-        const status = habit.history[dateKey] || 'fail';
+        // Keyboard accessibility
+        dayElement.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.handleHabitDayClick(habitIndex, dateKey, dayElement);
+          } else if (e.key === 'n') {
+            e.preventDefault();
+            this.showNoteEditor(this.habits[habitIndex], dateKey, () => this.updateHabitRow(habitIndex));
+          }
+        });
+      });
+    }
+  }
+  
+  /**
+   * Change a day's status when it is tapped. Days of a habit being broken are
+   * clean by default and toggle between clean and relapsed.
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Day that was tapped
+   */
+  cycleDayStatus(habit, dateKey) {
+    if (!habit.quitDate) {
+      habit.history[dateKey] = this.getNextStatus(habit.history[dateKey]);
+    } else if (habit.history[dateKey] === 'relapse') {
+      delete habit.history[dateKey];
+    } else if (dateKey >= habit.quitDate) {
+      habit.history[dateKey] = 'relapse';
+    }
+  }
+  
+  /**
+   * Next status when a day is tapped: not done → done → skipped → not done
+   * @param {string} status - Current status
+   * @returns {string} - New status
+   */
+  getNextStatus(status) {
+    const cycle = ['fail', 'done', 'skip'];
+    return cycle[(cycle.indexOf(status || 'fail') + 1) % cycle.length];
+  }
+  
+  /**
+   * Whether a habit records a daily value against a target (pages, minutes, steps)
+   * @param {Object} habit - Habit object
+   * @returns {boolean}
+   */
+  isMeasurable(habit) {
+    return !!(habit.target && habit.target.amount > 0);
+  }
+  
+  /**
+   * Format a number compactly for grid cells, e.g. 12500 as 12.5k
+   * @param {number} value - Value to format
+   * @returns {string}
+   */
+  formatNumber(value) {
+    if (value >= 10000) return `${Math.round(value / 100) / 10}k`;
+    return String(Math.round(value * 10) / 10);
+  }
+  
+  /**
+   * Format a measurable habit's value with its unit
+   * @param {Object} habit - Measurable habit
+   * @param {number} value - Value to format
+   * @returns {string}
+   */
+  formatValue(habit, value) {
+    return habit.target.unit ? `${value} ${habit.target.unit}` : String(value);
+  }
+  
+  /**
+   * Record a measurable habit's value for a day. The day is done once the
+   * value reaches the target; null clears the day and 'skip' skips it.
+   * @param {Object} habit - Measurable habit
+   * @param {string} dateKey - Day to record
+   * @param {number|null|string} value - Value, null or 'skip'
+   */
+  setDayValue(habit, dateKey, value) {
+    habit.values = habit.values || {};
+    
+    if (value === null || value === 'skip') {
+      delete habit.values[dateKey];
+      habit.history[dateKey] = value === 'skip' ? 'skip' : 'fail';
+    } else {
+      habit.values[dateKey] = value;
+      habit.history[dateKey] = value >= habit.target.amount ? 'done' : 'fail';
+    }
+    
+    this.saveHabits();
+  }
+  
+  /**
+   * Re-derive done days from recorded values after the target changed
+   * @param {Object} habit - Measurable habit
+   */
+  applyTarget(habit) {
+    Object.entries(habit.values || {}).forEach(([dateKey, value]) => {
+      habit.history[dateKey] = value >= habit.target.amount ? 'done' : 'fail';
+    });
+  }
+  
+  /**
+   * Create an open full-screen dialog; the caller fills and appends it
+   * @returns {HTMLElement} Dialog element
+   */
+  createDialog() {
+    const dialog = document.createElement('div');
+    dialog.className = 'modal habits-dialog';
+    dialog.style.display = 'flex';
+    return dialog;
+  }
+  
+  /**
+   * Ask for a measurable habit's value on a day
+   * @param {Object} habit - Measurable habit
+   * @param {string} dateKey - Day to edit
+   * @param {Function} onSave - Called after the value was saved
+   */
+  showValueEditor(habit, dateKey, onSave) {
+    const current = habit.values ? habit.values[dateKey] : undefined;
+    const date = habitSchedule.parseDate(dateKey);
+    
+    const valueModal = this.createDialog();
+    
+    valueModal.innerHTML = `
+      <div class="modal-content" style="position: relative; max-width: 320px;">
+        <div class="modal-header"></div>
+        <p class="habit-value-target"></p>
+        <input type="number" class="modal-input habit-value-input" min="0" step="any">
+        <div class="modal-buttons">
+          <button class="modal-button cancel habit-value-cancel">Cancel</button>
+          <button class="modal-button cancel habit-value-skip">Skip day</button>
+          <button class="modal-button confirm habit-value-save" style="background-color: var(--habits-primary);">Save</button>
+        </div>
+      </div>
+    `;
+    valueModal.querySelector('.modal-header').textContent = `${habit.name} · ${date.toLocaleDateString()}`;
+    valueModal.querySelector('.habit-value-target').textContent = `Target: ${this.formatValue(habit, habit.target.amount)}`;
+    
+    const input = valueModal.querySelector('.habit-value-input');
+    input.placeholder = habit.target.unit || 'Value';
+    if (current !== undefined) input.value = current;
+    
+    document.body.appendChild(valueModal);
+    setTimeout(() => input.focus(), 100);
+    
+    const close = () => valueModal.remove();
+    const save = (value) => {
+      this.setDayValue(habit, dateKey, value);
+      close();
+      onSave();
+    };
+    
+    valueModal.querySelector('.habit-value-cancel').addEventListener('click', close);
+    valueModal.querySelector('.habit-value-skip').addEventListener('click', () => save('skip'));
+    valueModal.querySelector('.habit-value-save').addEventListener('click', () => {
+      // An empty field clears the day
+      if (input.value.trim() === '') {
+        save(null);
+        return;
+      }
+      
+      const value = Number(input.value);
+      if (!isFinite(value) || value < 0) {
+        utils.showToast('Please enter a valid value', 'error');
+        return;
+      }
+      save(value);
+    });
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        valueModal.querySelector('.habit-value-save').click();
+      }
+    });
+  }
+  
+  /**
+   * Note and mood/effort rating for a habit day
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Day
+   * @returns {Object|undefined} - { text, mood }, either may be missing
+   */
+  getDayNote(habit, dateKey) {
+    return habit.notes ? habit.notes[dateKey] : undefined;
+  }
+  
+  /**
+   * Set or clear the note of a habit day and save
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Day
+   * @param {string} text - Note text
+   * @param {number|null} mood - Rating from 1 to 5, null for none
+   */
+  setDayNote(habit, dateKey, text, mood) {
+    const note = {};
+    if (text.trim()) note.text = text.trim();
+    if (mood) note.mood = mood;
+    
+    if (Object.keys(note).length > 0) {
+      habit.notes = habit.notes || {};
+      habit.notes[dateKey] = note;
+    } else if (habit.notes) {
+      delete habit.notes[dateKey];
+    }
+    
+    this.saveHabits();
+  }
+  
+  /**
+   * One-line summary of a day note, used for tooltips
+   * @param {Object} note - Day note
+   * @returns {string} - e.g. "Mood 4/5 · Slept badly"
+   */
+  describeNote(note) {
+    return [note.mood ? `Mood ${note.mood}/5` : '', note.text || ''].filter(Boolean).join(' · ');
+  }
+  
+  /**
+   * Offer to annotate a day right after it was marked from the grid
+   * @param {number} habitIndex - Index of the habit
+   * @param {string} dateKey - Day that was marked
+   */
+  offerDayNote(habitIndex, dateKey) {
+    const habit = this.habits[habitIndex];
+    const date = habitSchedule.parseDate(dateKey);
+    const hasNote = !!this.getDayNote(habit, dateKey);
+    
+    utils.showToast(`${habit.name} · ${date.toLocaleDateString()}`, 'info', 3000, {
+      label: hasNote ? 'Edit note' : 'Add note',
+      onClick: () => this.showNoteEditor(habit, dateKey, () => this.updateHabitRow(habitIndex))
+    });
+  }
+  
+  /**
+   * Edit the note and mood/effort rating of a habit day
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Day to annotate
+   * @param {Function} onSave - Called after the note was saved
+   */
+  showNoteEditor(habit, dateKey, onSave) {
+    const current = this.getDayNote(habit, dateKey) || {};
+    const date = habitSchedule.parseDate(dateKey);
+    let mood = current.mood || null;
+    
+    const noteModal = this.createDialog();
+    
+    noteModal.innerHTML = `
+      <div class="modal-content" style="position: relative; max-width: 360px;">
+        <div class="modal-header"></div>
+        <textarea class="modal-input habit-note-input" rows="3" maxlength="500" placeholder="How did it go?"></textarea>
+        <label class="habit-note-label">Mood / effort</label>
+        <div class="habit-note-moods">
+          ${[1, 2, 3, 4, 5].map(rating => `<button type="button" class="habit-note-mood" data-mood="${rating}">${rating}</button>`).join('')}
+        </div>
+        <div class="modal-buttons">
+          <button class="modal-button cancel habit-note-cancel">Cancel</button>
+          <button class="modal-button confirm habit-note-save" style="background-color: var(--habits-primary);">Save</button>
+        </div>
+      </div>
+    `;
+    noteModal.querySelector('.modal-header').textContent = `${habit.name} · ${date.toLocaleDateString()}`;
+    
+    const input = noteModal.querySelector('.habit-note-input');
+    input.value = current.text || '';
+    
+    // Tapping the selected rating again clears it
+    const moodButtons = noteModal.querySelectorAll('.habit-note-mood');
+    const showMood = () => moodButtons.forEach(button => {
+      button.classList.toggle('selected', parseInt(button.dataset.mood) === mood);
+    });
+    moodButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        const rating = parseInt(button.dataset.mood);
+        mood = mood === rating ? null : rating;
+        showMood();
+      });
+    });
+    showMood();
+    
+    document.body.appendChild(noteModal);
+    setTimeout(() => input.focus(), 100);
+    
+    const close = () => noteModal.remove();
+    noteModal.querySelector('.habit-note-cancel').addEventListener('click', close);
+    noteModal.querySelector('.habit-note-save').addEventListener('click', () => {
+      this.setDayNote(habit, dateKey, input.value, mood);
+      close();
+      onSave();
+    });
+  }
+  
+  /**
+   * Habit history with the monthly freeze allowance applied. Missed due days
+   * before today are marked 'frozen', oldest first, until the month's
+   * freezes are used up. Cached until the habits are saved again.
+   * @param {Object} habit - Habit object
+   * @returns {Object} - History with frozen days
+   */
+  getEffectiveHistory(habit) {
+    const freezesPerMonth = habit.freezesPerMonth || 0;
+    if (!freezesPerMonth && !habit.quitDate) return habit.history;
+    
+    const todayKey = this.getDateKey(new Date());
+    const cached = this.effectiveHistoryCache.get(habit);
+    if (cached && cached.todayKey === todayKey) return cached.history;
+    
+    if (habit.quitDate) {
+      const quitHistory = this.getQuitHistory(habit, todayKey);
+      this.effectiveHistoryCache.set(habit, { todayKey, history: quitHistory });
+      return quitHistory;
+    }
+    
+    const history = { ...habit.history };
+    const schedule = habitSchedule.get(habit);
+    const today = habitSchedule.parseDate(todayKey);
+    const firstKey = Object.keys(habit.history).sort()[0];
+    const freezesUsed = {};
+    
+    if (firstKey) {
+      for (const date = habitSchedule.parseDate(firstKey); date < today; date.setDate(date.getDate() + 1)) {
+        const dateKey = this.getDateKey(date);
+        const month = dateKey.slice(0, 7);
+        
+        if (history[dateKey] === 'done' || (freezesUsed[month] || 0) >= freezesPerMonth) continue;
+        if (this.isMissCounted(history, schedule, date, today)) {
+          history[dateKey] = 'frozen';
+          freezesUsed[month] = (freezesUsed[month] || 0) + 1;
+        }
+      }
+    }
+    
+    this.effectiveHistoryCache.set(habit, { todayKey, history });
+    return history;
+  }
+  
+  /**
+   * History of a habit being broken in the shape of a regular habit: every day
+   * from the quit date to today is done unless a relapse was logged, which
+   * counts as a miss. Streaks, charts and scores then measure clean days.
+   * @param {Object} habit - Habit with a quitDate
+   * @param {string} todayKey - Today's date key
+   * @returns {Object} - History with 'done' and 'fail' days
+   */
+  getQuitHistory(habit, todayKey) {
+    const history = {};
+    const today = habitSchedule.parseDate(todayKey);
+    
+    for (const date = habitSchedule.parseDate(habit.quitDate); date <= today; date.setDate(date.getDate() + 1)) {
+      const dateKey = this.getDateKey(date);
+      history[dateKey] = habit.history[dateKey] === 'relapse' ? 'fail' : 'done';
+    }
+    
+    return history;
+  }
+  
+  /**
+   * Days since the last relapse of a habit being broken, or since the quit date
+   * @param {Object} habit - Habit with a quitDate
+   * @returns {Object} - { days, relapsed } where relapsed tells whether there was a relapse since quitting
+   */
+  getCleanDays(habit) {
+    const todayKey = this.getDateKey(new Date());
+    const lastRelapse = Object.keys(habit.history)
+      .filter(dateKey => habit.history[dateKey] === 'relapse' && dateKey >= habit.quitDate && dateKey <= todayKey)
+      .sort()
+      .pop();
+    const since = habitSchedule.parseDate(lastRelapse || habit.quitDate);
+    
+    return {
+      days: Math.max(0, Math.round((habitSchedule.parseDate(todayKey) - since) / 86400000)),
+      relapsed: !!lastRelapse
+    };
+  }
+  
+  /**
+   * Main grid counter of a habit being broken, e.g. "12 days clean"
+   * @param {Object} habit - Habit with a quitDate
+   * @returns {string}
+   */
+  describeCleanDays(habit) {
+    const { days, relapsed } = this.getCleanDays(habit);
+    if (days === 0) return relapsed ? 'Relapsed today' : 'Quit today';
+    const plural = days === 1 ? '' : 's';
+    return relapsed ? `${days} day${plural} since last relapse` : `${days} day${plural} clean`;
+  }
+  
+  /**
+   * Relapses logged in a window of days
+   * @param {Object} habit - Habit with a quitDate
+   * @param {Date} endDate - Last day of the window
+   * @param {number} days - Number of days to count
+   * @returns {number}
+   */
+  countRelapses(habit, endDate, days) {
+    let relapses = 0;
+    for (let i = 0; i < days; i++) {
+      const date = new Date(endDate);
+      date.setDate(endDate.getDate() - i);
+      if (habit.history[this.getDateKey(date)] === 'relapse') relapses++;
+    }
+    return relapses;
+  }
+  
+  /**
+   * Get the class, symbol and label for a habit's cell on a given day.
+   * Unmarked days that don't count as a miss are shown as off days.
+   * @param {Object} habit - Habit object
+   * @param {Date} date - Day of the cell
+   * @returns {Object} - { className, symbol, label }
+   */
+  getDayCellState(habit, date) {
+    const history = this.getEffectiveHistory(habit);
+    const dateKey = this.getDateKey(date);
+    const status = history[dateKey];
+    const isQuit = !!habit.quitDate;
+    const value = this.isMeasurable(habit) && habit.values ? habit.values[dateKey] : undefined;
+    
+    // Measurable habits show the day's value with a progress bar towards the target
+    if (value !== undefined && (status === 'done' || value > 0)) {
+      const percent = Math.min(100, Math.round(value / habit.target.amount * 100));
+      const color = this.getColorHex(habit.color);
+      return {
+        className: status === 'done' ? `done ${habit.color}` : 'partial',
+        symbol: `<span class="habit-day-value"${status === 'done' ? ` style="color: ${color};"` : ''}>${this.formatNumber(value)}</span>` +
+          `<span class="habit-day-progress" style="width: ${percent}%; background-color: ${color};"></span>`,
+        label: `${this.formatValue(habit, value)} of ${this.formatValue(habit, habit.target.amount)}`
+      };
+    }
+    
+    if (status === 'done') {
+      return {
+        className: `done ${habit.color}`,
+        symbol: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>',
+        label: isQuit ? 'Clean' : 'Completed'
+      };
+    }
+    
+    if (status === 'skip') {
+      return {
+        className: 'skip',
+        symbol: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="13 17 18 12 13 7"></polyline><polyline points="6 17 11 12 6 7"></polyline></svg>',
+        label: 'Skipped'
+      };
+    }
+    
+    if (status === 'frozen') {
+      return {
+        className: 'frozen',
+        symbol: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="2" x2="12" y2="22"></line><line x1="3.3" y1="7" x2="20.7" y2="17"></line><line x1="3.3" y1="17" x2="20.7" y2="7"></line></svg>',
+        label: 'Covered by a freeze'
+      };
+    }
+    
+    // Days before quitting don't count for a habit being broken
+    if (isQuit ? dateKey < habit.quitDate : !this.isMissCounted(history, habitSchedule.get(habit), date)) {
+      return {
+        className: 'off',
+        symbol: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round"><line x1="8" y1="12" x2="16" y2="12"></line></svg>',
+        label: isQuit ? 'Before quitting' : 'Not due'
+      };
+    }
+    
+    return {
+      className: isQuit ? 'fail relapse' : 'fail',
+      symbol: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',
+      label: isQuit ? 'Relapsed' : 'Not completed'
+    };
+  }
+  
+  /**
+   * Label shown under a habit name: daily target, schedule and progress for quota schedules
+   * @param {Object} habit - Habit object
+   * @returns {string} - Label, empty for daily yes/no habits
+   */
+  getScheduleLabel(habit) {
+    const schedule = habitSchedule.get(habit);
+    const anchor = this.getAnchor(habit);
+    const timeLabel = [anchor ? `after ${anchor.name}` : '', habit.time ? habitSchedule.describeTime(habit.time) : '']
+      .filter(Boolean).join(', ');
+    const targetLabel = this.isMeasurable(habit) ? this.formatValue(habit, habit.target.amount) : '';
+    if (habit.quitDate) return [timeLabel, this.describeCleanDays(habit)].filter(Boolean).join(' · ');
+    if (schedule.type === 'daily') return [timeLabel, targetLabel].filter(Boolean).join(' · ');
+    if (!habitSchedule.isQuota(schedule)) {
+      return [timeLabel, targetLabel, habitSchedule.describe(schedule)].filter(Boolean).join(' · ');
+    }
+    
+    // Progress for the period of the last day shown in the grid
+    const date = new Date();
+    date.setDate(date.getDate() - this.currentDateOffset);
+    const period = habitSchedule.getPeriod(schedule, date);
+    const history = this.getEffectiveHistory(habit);
+    const done = this.countDaysInRange(history, period.start, date);
+    const target = this.getPeriodTarget(history, schedule, period);
+    
+    return [
+      timeLabel,
+      targetLabel,
+      habitSchedule.describe(schedule),
+      `${Math.min(done, target)}/${target}`
+    ].filter(Boolean).join(' · ');
+  }
+  
+  /**
+   * Refresh a habit's grid cells and schedule label after its history changed.
+   * Marking one day can change the state of other days in the same week or month.
+   * @param {number} habitIndex - Index of the habit
+   */
+  updateHabitRow(habitIndex) {
+    const habit = this.habits[habitIndex];
+    if (!habit || !this.habitsContainer) return;
+    
+    this.habitsContainer.querySelectorAll(`.habit-day[data-habit="${habitIndex}"]`).forEach(element => {
+      const date = habitSchedule.parseDate(element.dataset.date);
+      const cell = this.getDayCellState(habit, date);
+      const isLongPressed = element.classList.contains('longpress');
+      
+      element.className = `habit-day ${cell.className}`;
+      if (this.getDayNote(habit, element.dataset.date)) element.classList.add('has-note');
+      if (isLongPressed) element.classList.add('longpress');
+      element.innerHTML = cell.symbol;
+      element.setAttribute('aria-label', `${cell.label} on ${date.toLocaleDateString()}`);
+    });
+    
+    const habitElement = this.habitsContainer.querySelector(`.habit-item[data-index="${habitIndex}"]`);
+    const label = habitElement && habitElement.querySelector('.habit-schedule-label');
+    if (label) label.textContent = this.getScheduleLabel(habit);
+    
+    if (habit.group) this.updateGroupSummary(habit.group);
+    this.renderOverviewHeatmap();
+  }
+  
+  /**
+   * Count days in a date range whose status matches
+   * @param {Object} history - Habit history
+   * @param {Date} start - First day (inclusive)
+   * @param {Date} end - Last day (inclusive)
+   * @param {Function} isMatch - Status test, completed days by default
+   * @returns {number} - Number of matching days
+   */
+  countDaysInRange(history, start, end, isMatch = status => status === 'done') {
+    let count = 0;
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    
+    while (date <= end) {
+      if (isMatch(history[this.getDateKey(date)])) count++;
+      date.setDate(date.getDate() + 1);
+    }
+    
+    return count;
+  }
+  
+  /**
+   * Target of a weekly/monthly schedule for one period; each skipped or
+   * frozen day in the period lowers it by one
+   * @param {Object} history - Habit history
+   * @param {Object} schedule - Weekly or monthly schedule
+   * @param {Object} period - { start, end } from habitSchedule.getPeriod()
+   * @returns {number} - Completions needed
+   */
+  getPeriodTarget(history, schedule, period) {
+    const skipped = this.countDaysInRange(history, period.start, period.end, status => habitSchedule.isSkipped(status));
+    return Math.max(0, schedule.times - skipped);
+  }
+  
+  /**
+   * Whether leaving a day unmarked counts as a miss. Skipped days and days
+   * outside a weekday schedule never do; for weekly/monthly targets a day
+   * only counts once the period's target can no longer be reached.
+   * @param {Object} history - Habit history
+   * @param {Object} schedule - Habit schedule
+   * @param {Date} date - Unmarked day
+   * @param {Date} asOf - Last day with known data (defaults to today)
+   * @returns {boolean} - True if the day is a miss
+   */
+  isMissCounted(history, schedule, date, asOf = new Date()) {
+    if (habitSchedule.isSkipped(history[this.getDateKey(date)])) return false;
+    if (!habitSchedule.isQuota(schedule)) return habitSchedule.isScheduledDay(schedule, date);
+    
+    const lastKnown = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+    const period = habitSchedule.getPeriod(schedule, date);
+    const done = this.countDaysInRange(history, period.start, period.end < lastKnown ? period.end : lastKnown);
+    const daysLeft = Math.max(0, Math.round((period.end - lastKnown) / 86400000));
+    
+    return done + daysLeft < this.getPeriodTarget(history, schedule, period);
+  }
+  
+  /**
+   * Group names in the order they first appear in the habit list
+   * @returns {Array} - Group names of habits that aren't archived
+   */
+  getGroupNames() {
+    const groups = [];
+    this.habits.forEach(habit => {
+      if (!habit.archived && habit.group && !groups.includes(habit.group)) groups.push(habit.group);
+    });
+    return groups;
+  }
+  
+  /**
+   * Habits that aren't archived in display order: ungrouped first, then by group.
+   * Within a group habits run by time of day, habits without one last.
+   * @returns {Array} - { habit, index } pairs, index into this.habits
+   */
+  getOrderedHabits() {
+    const groups = this.getGroupNames();
+    const startTime = habit => habit.time ? habitSchedule.getStartTime(habit.time) : '24:00';
+    return this.habits
+      .map((habit, index) => ({ habit, index }))
+      .filter(({ habit }) => !habit.archived)
+      .sort((a, b) => groups.indexOf(a.habit.group) - groups.indexOf(b.habit.group) ||
+        startTime(a.habit).localeCompare(startTime(b.habit)));
+  }
+  
+  /**
+   * Whether a habit still has to be done today: not done or skipped yet,
+   * due today and, for weekly/monthly targets, the target not met yet
+   * @param {Object} habit - Habit object
+   * @returns {boolean}
+   */
+  isPendingToday(habit) {
+    // There's nothing to do for a habit being broken
+    if (habit.quitDate) return false;
+    
+    const today = new Date();
+    const history = this.getEffectiveHistory(habit);
+    const status = history[this.getDateKey(today)];
+    if (status === 'done' || habitSchedule.isSkipped(status)) return false;
+    
+    const schedule = habitSchedule.get(habit);
+    if (!habitSchedule.isQuota(schedule)) return habitSchedule.isScheduledDay(schedule, today);
+    
+    const period = habitSchedule.getPeriod(schedule, today);
+    return this.countDaysInRange(history, period.start, period.end) < this.getPeriodTarget(history, schedule, period);
+  }
+  
+  /**
+   * Whether a habit shows in the "due now" view: pending today and its time of day has come
+   * @param {Object} habit - Habit object
+   * @returns {boolean}
+   */
+  isDueNow(habit) {
+    if (!this.isPendingToday(habit)) return false;
+    if (!habit.time) return true;
+    
+    const now = new Date();
+    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    return habitSchedule.getStartTime(habit.time) <= currentTime;
+  }
+  
+  /**
+   * Whether the habit with this id still has to be done today. Used by
+   * habit reminders to stay quiet once the habit is done.
+   * @param {string} habitId - Habit id
+   * @returns {boolean}
+   */
+  isHabitPending(habitId) {
+    const habit = this.habits.find(h => h.id === habitId);
+    return !!habit && !habit.archived && this.isPendingToday(habit);
+  }
+  
+  /**
+   * Switch between all habits and the habits due now. The due view
+   * refreshes every few minutes as later habits become due.
+   */
+  toggleDueView() {
+    this.showDueOnly = !this.showDueOnly;
+    
+    const todayButton = document.getElementById('habits-today-button');
+    if (todayButton) todayButton.classList.toggle('active', this.showDueOnly);
+    
+    clearInterval(this.dueViewTimer);
+    this.dueViewTimer = null;
+    if (this.showDueOnly) {
+      this.currentDateOffset = 0;
+      this.updateDateSelector();
+      this.dueViewTimer = setInterval(() => {
+        if (!this.longPressContext) this.renderHabits();
+      }, 5 * 60 * 1000);
+    }
+    
+    this.renderHabits();
+  }
+  
+  /**
+   * Whether a group's habits are hidden. Rearrange mode always shows every habit.
+   * @param {string} group - Group name, empty for ungrouped habits
+   * @returns {boolean}
+   */
+  isGroupCollapsed(group) {
+    return !!group && !this.isRearranging && this.collapsedGroups.includes(group);
+  }
+  
+  /**
+   * Collapse or expand a group in the main view
+   * @param {string} group - Group name
+   */
+  toggleGroup(group) {
+    if (this.collapsedGroups.includes(group)) {
+      this.collapsedGroups = this.collapsedGroups.filter(name => name !== group);
+    } else {
+      this.collapsedGroups.push(group);
+    }
+    
+    try {
+      storageManager.setItem(STORAGE_KEYS.HABIT_COLLAPSED_GROUPS, JSON.stringify(this.collapsedGroups));
+    } catch (error) {
+      console.warn('Could not save collapsed habit groups:', error);
+    }
+    this.renderHabits();
+  }
+  
+  /**
+   * Days shown in the main grid, oldest first
+   * @returns {Array} - Dates
+   */
+  getVisibleDates() {
+    const dates = [];
+    for (let i = this.DAYS_TO_SHOW - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i - this.currentDateOffset);
+      dates.push(date);
+    }
+    return dates;
+  }
+  
+  /**
+   * Completed and due habit days of a group, for the given days
+   * @param {string} group - Group name
+   * @param {Array} dates - Days to count, the visible days by default
+   * @returns {Object} - { done, due }; skipped, frozen and off days aren't due
+   */
+  getGroupSummary(group, dates = this.getVisibleDates()) {
+    let done = 0;
+    let due = 0;
+    
+    this.habits.forEach(habit => {
+      if (habit.archived || habit.group !== group) return;
+      
+      dates.forEach(date => {
+        const state = this.getDayCellState(habit, date).className.split(' ')[0];
+        if (state === 'done') done++;
+        if (['done', 'partial', 'fail'].includes(state)) due++;
+      });
+    });
+    
+    return { done, due };
+  }
+  
+  /**
+   * Header row of a group in the main view, with its summary for the visible days
+   * @param {string} group - Group name
+   * @returns {Element} - Header element
+   */
+  createGroupHeader(group) {
+    const header = document.createElement('div');
+    const isCollapsed = this.isGroupCollapsed(group);
+    header.className = `habit-group-header${isCollapsed ? ' collapsed' : ''}`;
+    header.dataset.group = group;
+    header.setAttribute('role', 'button');
+    header.setAttribute('tabindex', '0');
+    header.setAttribute('aria-expanded', String(!isCollapsed));
+    header.innerHTML = `
+      <i class="material-icons-round">${isCollapsed ? 'chevron_right' : 'expand_more'}</i>
+      <span class="habit-group-name"></span>
+      <span class="habit-group-summary"></span>
+    `;
+    header.querySelector('.habit-group-name').textContent = group;
+    
+    if (!this.isRearranging) {
+      header.addEventListener('click', () => this.toggleGroup(group));
+      header.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.toggleGroup(group);
+        }
+      });
+    }
+    
+    this.updateGroupSummary(group, header);
+    return header;
+  }
+  
+  /**
+   * Refresh the done/due summary in a group header
+   * @param {string} group - Group name
+   * @param {Element} header - Header element, looked up in the main view if omitted
+   */
+  updateGroupSummary(group, header) {
+    header = header || [...this.habitsContainer.querySelectorAll('.habit-group-header')]
+      .find(element => element.dataset.group === group);
+    if (!header) return;
+    
+    const { done, due } = this.getGroupSummary(group);
+    header.querySelector('.habit-group-summary').textContent =
+      due > 0 ? `${done}/${due} · ${Math.round(done / due * 100)}%` : '';
+  }
+  
+  /**
+   * Fill the time of day fields in the add/edit modal
+   * @param {Object} habit - Habit being edited, empty object when adding
+   */
+  fillTimeForm(habit) {
+    if (!this.timeSlotSelect) return;
+    
+    const isSlot = !habit.time || !!habitSchedule.TIME_SLOTS[habit.time];
+    this.timeSlotSelect.value = isSlot ? (habit.time || '') : 'time';
+    this.timeInput.value = isSlot ? '' : habit.time;
+    this.remindInput.checked = !!habit.remind;
+    this.updateTimeFormVisibility();
+  }
+  
+  /**
+   * Fill the build/break picker and quit date in the add/edit modal
+   * @param {Object} habit - Habit being edited, {} when adding
+   */
+  fillKindForm(habit) {
+    if (!this.kindSelect) return;
+    
+    this.kindSelect.value = habit.quitDate ? 'quit' : 'build';
+    this.quitDateInput.value = habit.quitDate || this.getDateKey(new Date());
+    this.updateKindFormVisibility();
+  }
+  
+  /**
+   * Habits being broken are tracked every day with no target or time, so
+   * those fields are hidden in favor of the quit date
+   */
+  updateKindFormVisibility() {
+    const isQuit = this.kindSelect.value === 'quit';
+    this.quitDateInput.style.display = isQuit ? '' : 'none';
+    
+    const modal = document.getElementById('add-habit-modal');
+    ['.habit-time-fields', '.habit-target-fields', '.habit-schedule'].forEach(selector => {
+      const fields = modal.querySelector(selector);
+      if (fields) fields.style.display = isQuit ? 'none' : '';
+    });
+    if (isQuit) {
+      this.remindInput.closest('label').style.display = 'none';
+    } else {
+      this.updateTimeFormVisibility();
+    }
+  }
+  
+  /**
+   * Read the build/break picker
+   * @returns {string|null} - Quit date, empty for a habit to build, null if invalid
+   */
+  readKindForm() {
+    if (!this.kindSelect || this.kindSelect.value !== 'quit') return '';
+    
+    const quitDate = this.quitDateInput.value;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(quitDate) || quitDate > this.getDateKey(new Date())) {
+      utils.showToast('Please enter a quit date that is not in the future', 'error');
+      return null;
+    }
+    return quitDate;
+  }
+  
+  /**
+   * Show the time input for a specific time and the reminder option once a time is set
+   */
+  updateTimeFormVisibility() {
+    const slot = this.timeSlotSelect.value;
+    this.timeInput.style.display = slot === 'time' ? '' : 'none';
+    this.remindInput.closest('label').style.display = slot ? '' : 'none';
+  }
+  
+  /**
+   * Read the time of day fields
+   * @returns {Object|null} - { time, remind } (time empty for any time), null if invalid
+   */
+  readTimeForm() {
+    if (!this.timeSlotSelect) return { time: '', remind: false };
+    
+    const slot = this.timeSlotSelect.value;
+    const time = slot === 'time' ? this.timeInput.value : slot;
+    if (slot && !habitSchedule.isValidTime(time)) {
+      utils.showToast('Please enter a time for the habit', 'error');
+      return null;
+    }
+    
+    return { time, remind: !!time && this.remindInput.checked };
+  }
+  
+  /**
+   * Create, update or remove the custom reminder of a habit with a time of day
+   * @param {Object} habit - Habit object
+   */
+  syncHabitReminder(habit) {
+    const reminders = window.remindersManager;
+    if (!reminders || typeof reminders.setHabitReminder !== 'function') return;
+    
+    if (habit.remind && habit.time && !habit.archived) {
+      const schedule = habitSchedule.get(habit);
+      reminders.setHabitReminder(habit.id, {
+        title: habit.name,
+        times: [habitSchedule.getReminderTime(habit.time)],
+        repeat: schedule.type === 'weekdays' ? 'weekly' : 'daily',
+        days: schedule.type === 'weekdays' ? schedule.days : []
+      });
+    } else {
+      reminders.removeHabitReminder(habit.id);
+    }
+  }
+  
+  /**
+   * Fill the group picker in the add/edit modal
+   * @param {string} group - Current group of the habit
+   */
+  fillGroupForm(group) {
+    if (!this.groupInput) return;
+    
+    this.groupInput.value = group || '';
+    const options = document.getElementById('habit-group-options');
+    if (options) {
+      options.innerHTML = '';
+      this.getGroupNames().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        options.appendChild(option);
+      });
+    }
+  }
+  
+  /**
+   * Read the group picker. A name matching an existing group in another case joins that group.
+   * @returns {string} - Group name, empty for none
+   */
+  readGroupForm() {
+    const group = this.groupInput ? this.groupInput.value.trim() : '';
+    const existing = this.getGroupNames().find(name => name.toLowerCase() === group.toLowerCase());
+    return existing || group;
+  }
+  
+  /**
+   * Group section of the detail view: the group's 30-day score and each member's score
+   * @param {Object} habit - Habit object
+   */
+  renderGroupStats(habit) {
+    const section = document.getElementById('habit-group-section');
+    const container = document.getElementById('habit-group-stats');
+    if (!section || !container) return;
+    
+    section.style.display = habit.group ? '' : 'none';
+    container.innerHTML = '';
+    if (!habit.group) return;
+    
+    const today = new Date();
+    const members = this.habits.filter(h => !h.archived && h.group === habit.group);
+    const scores = members.map(h => this.calculateConsistencyScore(this.getEffectiveHistory(h), today, 30, habitSchedule.get(h)));
+    const average = Math.round(scores.reduce((sum, score) => sum + score, 0) / members.length);
+    const todaySummary = this.getGroupSummary(habit.group, [today]);
+    
+    const summary = document.createElement('div');
+    summary.className = 'habits-group-summary';
+    summary.textContent = `${habit.group} · ${members.length} habit${members.length === 1 ? '' : 's'} · ` +
+      `30-day score ${average}% · today ${todaySummary.done}/${todaySummary.due}`;
+    container.appendChild(summary);
+    
+    members.forEach((member, i) => {
+      const row = document.createElement('div');
+      row.className = `habits-group-member${member === habit ? ' current' : ''}`;
+      row.innerHTML = `
+        <span class="habits-group-member-name"></span>
+        <span class="habits-group-member-bar"><span style="width: ${scores[i]}%; background-color: ${this.getColorHex(member.color)};"></span></span>
+        <span class="habits-group-member-score">${scores[i]}%</span>
+      `;
+      row.querySelector('.habits-group-member-name').textContent = member.name;
+      container.appendChild(row);
+    });
+  }
+  
+  /**
+   * Habit a habit is stacked after; archived anchors don't count
+   * @param {Object} habit - Habit object
+   * @returns {Object|undefined} - Anchor habit
+   */
+  getAnchor(habit) {
+    if (!habit.after) return undefined;
+    return this.habits.find(h => h.id === habit.after && h !== habit && !h.archived);
+  }
+  
+  /**
+   * Habits stacked directly after a habit
+   * @param {Object} habit - Habit object
+   * @returns {Array} - Active habits whose anchor is this habit
+   */
+  getStackedHabits(habit) {
+    return this.habits.filter(h => !h.archived && h !== habit && h.after === habit.id);
+  }
+  
+  /**
+   * The whole stack a habit belongs to, level by level from the first habit
+   * @param {Object} habit - Habit object
+   * @returns {Array} - One array of habits per step; habits stacked after the same step share one
+   */
+  getStack(habit) {
+    // Walk up to the first habit, guarding against loops in imported data
+    let root = habit;
+    const seen = new Set([habit]);
+    for (let anchor = this.getAnchor(root); anchor && !seen.has(anchor); anchor = this.getAnchor(anchor)) {
+      seen.add(anchor);
+      root = anchor;
+    }
+    
+    const levels = [];
+    const included = new Set([root]);
+    let level = [root];
+    while (level.length > 0) {
+      levels.push(level);
+      level = level.flatMap(h => this.getStackedHabits(h)).filter(h => !included.has(h));
+      level.forEach(h => included.add(h));
+    }
+    return levels;
+  }
+  
+  /**
+   * Fill the "after" picker in the add/edit modal. The habit itself and the
+   * habits stacked after it are left out so a stack can't loop.
+   * @param {Object} habit - Habit being edited, {} when adding
+   */
+  fillStackForm(habit) {
+    if (!this.afterSelect) return;
+    
+    const excluded = new Set();
+    if (habit.id) {
+      const collect = h => {
+        excluded.add(h);
+        this.getStackedHabits(h).filter(next => !excluded.has(next)).forEach(collect);
+      };
+      collect(habit);
+    }
+    
+    this.afterSelect.innerHTML = '<option value="">Not stacked</option>';
+    this.habits.forEach(h => {
+      if (h.archived || excluded.has(h)) return;
+      const option = document.createElement('option');
+      option.value = h.id;
+      option.textContent = `After ${h.name}`;
+      this.afterSelect.appendChild(option);
+    });
+    this.afterSelect.value = this.getAnchor(habit) ? habit.after : '';
+  }
+  
+  /**
+   * Read the "after" picker
+   * @returns {string} - Anchor habit id, empty for none
+   */
+  readStackForm() {
+    return this.afterSelect ? this.afterSelect.value : '';
+  }
+  
+  /**
+   * Once a habit is done today, point to the habits stacked after it that are still pending
+   * @param {number} habitIndex - Index of the habit that was marked
+   * @param {string} dateKey - Day that was marked
+   */
+  offerNextInStack(habitIndex, dateKey) {
+    const habit = this.habits[habitIndex];
+    const todayKey = this.getDateKey(new Date());
+    if (!habit || dateKey !== todayKey || this.getEffectiveHistory(habit)[todayKey] !== 'done') return;
+    
+    this.getStackedHabits(habit).filter(next => this.isPendingToday(next)).forEach(next => {
+      utils.showToast(`Next up: ${next.name}`, 'info', 5000, {
+        label: 'Done',
+        onClick: () => this.completeStackedHabit(next)
+      });
+    });
+  }
+  
+  /**
+   * Mark a stacked habit done today from its "Next up" toast
+   * @param {Object} habit - Habit object
+   */
+  completeStackedHabit(habit) {
+    const index = this.habits.indexOf(habit);
+    const todayKey = this.getDateKey(new Date());
+    if (index < 0) return;
+    
+    if (this.isMeasurable(habit)) {
+      this.showValueEditor(habit, todayKey, () => {
+        this.updateHabitRow(index);
+        this.offerNextInStack(index, todayKey);
+      });
+      return;
+    }
+    
+    habit.history[todayKey] = 'done';
+    this.saveHabits();
+    this.updateHabitRow(index);
+    this.offerNextInStack(index, todayKey);
+  }
+  
+  /**
+   * Keep a stack together when one of its habits is deleted: the habits
+   * stacked after it move up to its own anchor
+   * @param {Object} deletedHabit - Habit that was removed from this.habits
+   */
+  unlinkStackedHabits(deletedHabit) {
+    this.habits.forEach(habit => {
+      if (habit.after !== deletedHabit.id) return;
+      if (deletedHabit.after) {
+        habit.after = deletedHabit.after;
+      } else {
+        delete habit.after;
+      }
+    });
+  }
+  
+  /**
+   * How often a stack was started and completed end to end. A day counts as
+   * started once the first habit is done, and as complete when every other
+   * habit of the stack was done too or wasn't due.
+   * @param {Array} habits - Habits of the stack, first habit first
+   * @param {number} days - Days to look back from today
+   * @returns {Object} - { started, complete, reached } where reached counts started days each habit was done
+   */
+  getStackSummary(habits, days = 30) {
+    const summary = { started: 0, complete: 0, reached: habits.map(() => 0) };
+    
+    for (let i = 0; i < days; i++) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      const states = habits.map(habit => this.getDayCellState(habit, date).className.split(' ')[0]);
+      if (states[0] !== 'done') continue;
+      
+      summary.started++;
+      states.forEach((state, j) => {
+        if (state === 'done') summary.reached[j]++;
+      });
+      if (states.every(state => !['fail', 'partial'].includes(state))) summary.complete++;
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Stack section of the detail view: the stack's habits in order and how
+   * often it was completed end to end over the last 30 days
+   * @param {Object} habit - Habit object
+   */
+  renderStackStats(habit) {
+    const section = document.getElementById('habit-stack-section');
+    const container = document.getElementById('habit-stack-stats');
+    if (!section || !container) return;
+    
+    const levels = this.getStack(habit);
+    const members = levels.flat();
+    section.style.display = members.length > 1 ? '' : 'none';
+    container.innerHTML = '';
+    if (members.length < 2) return;
+    
+    const chain = document.createElement('div');
+    chain.className = 'habits-stack-chain';
+    levels.forEach((level, i) => {
+      if (i > 0) chain.insertAdjacentHTML('beforeend', '<i class="material-icons-round">arrow_forward</i>');
+      level.forEach((member, j) => {
+        if (j > 0) chain.appendChild(document.createTextNode(' + '));
+        const step = document.createElement('span');
+        step.className = `habits-stack-step${member === habit ? ' current' : ''}`;
+        step.style.color = this.getColorHex(member.color);
+        step.textContent = member.name;
+        chain.appendChild(step);
+      });
+    });
+    container.appendChild(chain);
+    
+    const summary = this.getStackSummary(members);
+    const text = document.createElement('div');
+    text.className = 'habits-group-summary';
+    text.textContent = summary.started > 0
+      ? `Completed end to end on ${summary.complete} of ${summary.started} days it was started (last 30 days)`
+      : 'Not started in the last 30 days';
+    container.appendChild(text);
+    
+    // How far the stack usually gets: share of started days each later habit was done
+    members.slice(1).forEach((member, i) => {
+      const percent = summary.started > 0 ? Math.round(summary.reached[i + 1] / summary.started * 100) : 0;
+      const row = document.createElement('div');
+      row.className = `habits-group-member${member === habit ? ' current' : ''}`;
+      row.innerHTML = `
+        <span class="habits-group-member-name"></span>
+        <span class="habits-group-member-bar"><span style="width: ${percent}%; background-color: ${this.getColorHex(member.color)};"></span></span>
+        <span class="habits-group-member-score">${percent}%</span>
+      `;
+      row.querySelector('.habits-group-member-name').textContent = member.name;
+      container.appendChild(row);
+    });
+  }
+  
+  /**
+   * Year heatmap of one habit: done days are full, measurable days are shaded by
+   * their share of the target, and days that aren't due are left out
+   * @param {Object} habit - Habit object
+   */
+  renderHeatmap(habit) {
+    const container = document.getElementById('habit-heatmap');
+    if (!container) return;
+    
+    const firstDateKey = this.getFirstDateKey(habit);
+    const options = {
+      color: this.getColorHex(habit.color),
+      firstYear: firstDateKey ? parseInt(firstDateKey) : undefined,
+      getDay: (dateKey, date) => {
+        if (!firstDateKey || dateKey < firstDateKey) return { level: null, label: 'Not tracked yet' };
         
-        let className = 'fail';
-        let symbol = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+        const cell = this.getDayCellState(habit, date);
+        const state = cell.className.split(' ')[0];
+        const note = this.getDayNote(habit, dateKey);
+        const label = note ? `${cell.label} · ${this.describeNote(note)}` : cell.label;
         
-        if (status === 'done') {
-          symbol = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
-          className = `done ${habit.color}`;
-        }
+        if (state === 'done') return { level: 1, label };
+        if (state === 'partial') return { level: habit.values[dateKey] / habit.target.amount, label };
+        if (state === 'fail') return { level: 0, label };
+        return { level: null, label };
+      },
+      summary: habit.quitDate ? (days => `${days.complete} of ${days.counted} days clean`) : undefined
+    };
+    
+    if (this.habitHeatmap) {
+      this.habitHeatmap.setOptions(options);
+    } else {
+      this.habitHeatmap = new YearHeatmap(container, options);
+    }
+    this.habitHeatmap.render();
+  }
+  
+  /**
+   * Year heatmap below the habit list combining all active habits, shaded by
+   * the share of due habits completed each day
+   */
+  renderOverviewHeatmap() {
+    const section = document.getElementById('habits-overview-section');
+    const container = document.getElementById('habits-overview-heatmap');
+    if (!section || !container) return;
+    
+    const activeHabits = this.habits.filter(habit => !habit.archived);
+    section.style.display = activeHabits.length > 0 && !this.isRearranging ? '' : 'none';
+    if (section.style.display === 'none') return;
+    
+    const firstDateKeys = new Map(activeHabits.map(habit => [habit, this.getFirstDateKey(habit)]));
+    const trackedKeys = [...firstDateKeys.values()].filter(Boolean).sort();
+    const options = {
+      color: THEME_COLORS.habits,
+      firstYear: trackedKeys.length > 0 ? parseInt(trackedKeys[0]) : undefined,
+      getDay: (dateKey, date) => {
+        let done = 0;
+        let due = 0;
+        activeHabits.forEach(habit => {
+          const firstDateKey = firstDateKeys.get(habit);
+          if (!firstDateKey || dateKey < firstDateKey) return;
+          
+          const state = this.getDayCellState(habit, date).className.split(' ')[0];
+          if (state === 'done') done++;
+          if (['done', 'partial', 'fail'].includes(state)) due++;
+        });
         
-        habitGrid += `
-          <div class="habit-day ${className}" 
-               data-date="${dateKey}"
-               data-habit="${index}"
-               role="button"
-               tabindex="0"
-               aria-label="${status === 'done' ? 'Completed' : 'Not completed'} on ${date.toLocaleDateString()}">
-            ${symbol}
-          </div>
-        `;
+        if (due === 0) return { level: null, label: 'Nothing due' };
+        return { level: done / due, label: `${done} of ${due} habits done` };
       }
-      
-      habitElement.innerHTML = `
-        <div class="habit-name-section">
-          <div class="drag-handle">⋮⋮⋮</div>
-          <div class="circle"></div>
-          <div class="name">${habit.name}</div>
-        </div>
-        <div class="habit-grid-section">
-          <div class="habit-grid">${habitGrid}</div>
+    };
+    
+    if (this.overviewHeatmap) {
+      this.overviewHeatmap.setOptions(options);
+    } else {
+      this.overviewHeatmap = new YearHeatmap(container, options);
+    }
+    this.overviewHeatmap.render();
+  }
+  
+  /**
+   * Earliest recorded day of a habit, or the quit date of a habit being broken;
+   * heatmaps leave out the days before it
+   * @param {Object} habit - Habit object
+   * @returns {string|undefined} - Date key
+   */
+  getFirstDateKey(habit) {
+    if (habit.quitDate) return habit.quitDate;
+    return Object.keys(habit.history || {}).concat(Object.keys(habit.values || {})).sort()[0];
+  }
+  
+  /**
+   * Add the "Archived habits" button below the habit list
+   * @param {number} archivedCount - Number of archived habits
+   */
+  renderArchivedLink(archivedCount) {
+    if (archivedCount === 0 || this.isRearranging) return;
+    
+    const archivedButton = document.createElement('button');
+    archivedButton.className = 'habits-archived-link';
+    archivedButton.textContent = `Archived habits (${archivedCount})`;
+    archivedButton.addEventListener('click', () => this.showArchivedHabits());
+    this.habitsContainer.appendChild(archivedButton);
+  }
+  
+  /**
+   * Show the archived habits with restore and delete actions
+   */
+  showArchivedHabits() {
+    const archivedModal = this.createDialog();
+    
+    archivedModal.innerHTML = `
+      <div class="modal-content" style="position: relative; max-width: 360px;">
+        <div class="modal-header">Archived Habits</div>
+        <div class="habits-archived-list"></div>
+        <div class="modal-buttons">
+          <button class="modal-button cancel habits-archived-close">Close</button>
         </div>
+      </div>
+    `;
+    
+    const list = archivedModal.querySelector('.habits-archived-list');
+    const close = () => archivedModal.remove();
+    
+    this.habits.forEach((habit, index) => {
+      if (!habit.archived) return;
+      
+      const item = document.createElement('div');
+      item.className = 'habits-archived-item';
+      item.innerHTML = `
+        <span class="habits-archived-name"></span>
+        <button class="icon-btn" aria-label="Restore"><i class="material-icons-round">unarchive</i></button>
+        <button class="icon-btn" aria-label="Delete"><i class="material-icons-round">delete</i></button>
       `;
+      const name = item.querySelector('.habits-archived-name');
+      name.textContent = habit.name;
+      name.style.color = this.getColorHex(habit.color);
       
-      this.habitsContainer.appendChild(habitElement);
-    });
-    
-    // Add event listeners for habit names and days
-    if (!this.isRearranging) {
-      document.querySelectorAll('.habit-name-section .name').forEach((nameElement, index) => {
-        nameElement.addEventListener('click', () => this.showHabitDetail(index));
-        
-        // Add keyboard accessibility
-        nameElement.setAttribute('tabindex', '0');
-        nameElement.setAttribute('role', 'button');
-        nameElement.setAttribute('aria-label', `View details for ${this.habits[index].name}`);
-        nameElement.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            this.showHabitDetail(index);
-          }
-        });
+      item.querySelector('[aria-label="Restore"]').addEventListener('click', () => {
+        close();
+        this.restoreHabit(index);
       });
-      
-      document.querySelectorAll('.habit-day').forEach(dayElement => {
-        const habitIndex = parseInt(dayElement.dataset.habit);
-        const dateKey = dayElement.dataset.date;
-        
-        // Touch events for longpress
-        dayElement.addEventListener('touchstart', (e) => this.startLongPress(habitIndex, dateKey, e, dayElement));
-        dayElement.addEventListener('touchend', (e) => this.endLongPress(e));
-        dayElement.addEventListener('touchcancel', (e) => this.endLongPress(e));
-        
-        // Mouse events for longpress
-        dayElement.addEventListener('mousedown', (e) => this.startLongPress(habitIndex, dateKey, e, dayElement));
-        dayElement.addEventListener('mouseup', (e) => this.endLongPress(e));
-        dayElement.addEventListener('mouseleave', (e) => this.endLongPress(e));
-        
-        // Keyboard accessibility
-        dayElement.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            this.handleHabitDayClick(habitIndex, dateKey, dayElement);
-          }
-        });
+      item.querySelector('[aria-label="Delete"]').addEventListener('click', () => {
+        close();
+        this.currentHabitIndex = index;
+        this.deleteCurrentHabit();
       });
-    }
+      
+      list.appendChild(item);
+    });
+    
+    archivedModal.querySelector('.habits-archived-close').addEventListener('click', close);
+    document.body.appendChild(archivedModal);
+  }
+  
+  /**
+   * Archive the habit shown in the detail view. It leaves the main grid but keeps its history.
+   */
+  archiveCurrentHabit() {
+    const index = this.currentHabitIndex;
+    const habit = this.habits[index];
+    if (!habit) return;
+    
+    habit.archived = true;
+    this.saveHabits();
+    this.syncHabitReminder(habit);
+    this.showMainView();
+    
+    utils.showToast(`"${habit.name}" archived`, 'success', 5000, {
+      label: 'Undo',
+      onClick: () => this.restoreHabit(this.habits.indexOf(habit))
+    });
+  }
+  
+  /**
+   * Bring an archived habit back to the main grid
+   * @param {number} index - Index of the habit
+   */
+  restoreHabit(index) {
+    const habit = this.habits[index];
+    if (!habit) return;
+    
+    delete habit.archived;
+    this.saveHabits();
+    this.syncHabitReminder(habit);
+    this.renderHabits();
+    utils.showToast(`"${habit.name}" restored`, 'success');
   }
   
   /**
@@ -830,6 +2391,103 @@ loadHabits() {
     });
   }
   
+  /**
+   * Fill the schedule fields of the habit modal
+   * @param {Object} schedule - Schedule to show
+   */
+  fillScheduleForm(schedule) {
+    if (!this.scheduleTypeSelect) return;
+    
+    this.scheduleTypeSelect.value = schedule.type;
+    this.scheduleDays.querySelectorAll('.habit-schedule-day').forEach(button => {
+      const day = parseInt(button.dataset.day);
+      button.classList.toggle('selected', schedule.type === 'weekdays' && schedule.days.includes(day));
+    });
+    this.scheduleTimesInput.value = habitSchedule.isQuota(schedule) ? schedule.times : 3;
+    this.updateScheduleFormVisibility();
+  }
+  
+  /**
+   * Show the weekday picker or times input for the selected schedule type
+   */
+  updateScheduleFormVisibility() {
+    const type = this.scheduleTypeSelect.value;
+    this.scheduleDays.style.display = type === 'weekdays' ? 'flex' : 'none';
+    this.scheduleTimesInput.style.display = type === 'weekly' || type === 'monthly' ? 'block' : 'none';
+    this.scheduleTimesInput.max = type === 'weekly' ? 7 : 31;
+  }
+  
+  /**
+   * Read the schedule from the habit modal
+   * @returns {Object|null} Schedule, or null if the fields are invalid
+   */
+  readScheduleForm() {
+    if (!this.scheduleTypeSelect) return { type: 'daily' };
+    
+    const type = this.scheduleTypeSelect.value;
+    let schedule = { type };
+    
+    if (type === 'weekdays') {
+      const days = Array.from(this.scheduleDays.querySelectorAll('.habit-schedule-day.selected'))
+        .map(button => parseInt(button.dataset.day))
+        .sort();
+      schedule = { type, days };
+    } else if (type === 'weekly' || type === 'monthly') {
+      schedule = { type, times: parseInt(this.scheduleTimesInput.value) };
+    }
+    
+    if (!habitSchedule.isValid(schedule)) {
+      utils.showToast(type === 'weekdays'
+        ? 'Please select at least one day'
+        : `Please enter between 1 and ${this.scheduleTimesInput.max} times`, 'error');
+      return null;
+    }
+    
+    return schedule;
+  }
+  
+  /**
+   * Fill the daily target fields of the habit modal
+   * @param {Object|null} target - { amount, unit } of a measurable habit
+   */
+  fillTargetForm(target) {
+    if (!this.targetAmountInput) return;
+    this.targetAmountInput.value = target ? target.amount : '';
+    this.targetUnitInput.value = target ? target.unit || '' : '';
+  }
+  
+  /**
+   * Read the daily target from the habit modal
+   * @returns {Object|null|undefined} Target, null for a yes/no habit, undefined if invalid
+   */
+  readTargetForm() {
+    if (!this.targetAmountInput || this.targetAmountInput.value.trim() === '') return null;
+    
+    const amount = Number(this.targetAmountInput.value);
+    if (!isFinite(amount) || amount <= 0) {
+      utils.showToast('Daily target must be a positive number', 'error');
+      return undefined;
+    }
+    
+    return { amount, unit: this.targetUnitInput.value.trim() };
+  }
+  
+  /**
+   * Read the monthly freeze allowance from the habit modal
+   * @returns {number|null} Freezes per month, or null if invalid
+   */
+  readFreezesForm() {
+    if (!this.freezesInput || this.freezesInput.value === '') return 0;
+    
+    const freezes = Number(this.freezesInput.value);
+    if (!Number.isInteger(freezes) || freezes < 0 || freezes > 10) {
+      utils.showToast('Freezes per month must be between 0 and 10', 'error');
+      return null;
+    }
+    
+    return freezes;
+  }
+  
   /**
    * Handle modal confirm button click
    */
@@ -852,13 +2510,38 @@ loadHabits() {
       return;
     }
     
-    this.habits.push({
+    // Habits being broken are daily, with no target, freezes or time of day
+    const quitDate = this.readKindForm();
+    if (quitDate === null) return;
+    const schedule = quitDate ? { type: 'daily' } : this.readScheduleForm();
+    const freezesPerMonth = quitDate ? 0 : this.readFreezesForm();
+    const target = quitDate ? null : this.readTargetForm();
+    const timeOfDay = quitDate ? { time: '', remind: false } : this.readTimeForm();
+    if (!schedule || freezesPerMonth === null || target === undefined || !timeOfDay) return;
+    
+    const habit = {
+      id: utils.generateId('habit'),
       name: habitName,
       color: this.selectedColor,
+      schedule,
+      freezesPerMonth,
       history: {}
-    });
+    };
+    if (target) {
+      habit.target = target;
+      habit.values = {};
+    }
+    const group = this.readGroupForm();
+    if (group) habit.group = group;
+    if (timeOfDay.time) habit.time = timeOfDay.time;
+    if (timeOfDay.remind) habit.remind = true;
+    const after = this.readStackForm();
+    if (after) habit.after = after;
+    if (quitDate) habit.quitDate = quitDate;
+    this.habits.push(habit);
     
     this.saveHabits();
+    this.syncHabitReminder(habit);
     this.renderHabits();
     this.closeModal();
   }
@@ -874,10 +2557,62 @@ loadHabits() {
       return;
     }
     
-    this.habits[this.currentHabitIndex].name = habitName;
-    this.habits[this.currentHabitIndex].color = this.selectedColor;
+    // Habits being broken are daily, with no target, freezes or time of day
+    const quitDate = this.readKindForm();
+    if (quitDate === null) return;
+    const schedule = quitDate ? { type: 'daily' } : this.readScheduleForm();
+    const freezesPerMonth = quitDate ? 0 : this.readFreezesForm();
+    const target = quitDate ? null : this.readTargetForm();
+    const timeOfDay = quitDate ? { time: '', remind: false } : this.readTimeForm();
+    if (!schedule || freezesPerMonth === null || target === undefined || !timeOfDay) return;
+    
+    const habit = this.habits[this.currentHabitIndex];
+    habit.name = habitName;
+    habit.color = this.selectedColor;
+    habit.schedule = schedule;
+    habit.freezesPerMonth = freezesPerMonth;
+    
+    // Recorded values are kept if the target is removed, in case it comes back
+    if (target) {
+      habit.target = target;
+      this.applyTarget(habit);
+    } else {
+      delete habit.target;
+    }
+    
+    const group = this.readGroupForm();
+    if (group) {
+      habit.group = group;
+    } else {
+      delete habit.group;
+    }
+    
+    if (timeOfDay.time) {
+      habit.time = timeOfDay.time;
+    } else {
+      delete habit.time;
+    }
+    if (timeOfDay.remind) {
+      habit.remind = true;
+    } else {
+      delete habit.remind;
+    }
+    
+    const after = this.readStackForm();
+    if (after) {
+      habit.after = after;
+    } else {
+      delete habit.after;
+    }
+    
+    if (quitDate) {
+      habit.quitDate = quitDate;
+    } else {
+      delete habit.quitDate;
+    }
     
     this.saveHabits();
+    this.syncHabitReminder(habit);
     this.closeModal();
     this.showHabitDetail(this.currentHabitIndex);
   }
@@ -962,9 +2697,17 @@ loadHabits() {
       
       // Reorder habits array
       const draggedHabit = this.habits[this.dragSrcIndex];
+      const targetGroup = this.habits[dropIndex].group;
       this.habits.splice(this.dragSrcIndex, 1);
       this.habits.splice(dropIndex, 0, draggedHabit);
       
+      // Dropping onto a habit of another group moves the habit into that group
+      if (targetGroup) {
+        draggedHabit.group = targetGroup;
+      } else {
+        delete draggedHabit.group;
+      }
+      
       this.saveHabits();
       this.renderHabits();
     }
@@ -1019,6 +2762,14 @@ loadHabits() {
       });
     }
     
+    // Archive keeps the history, unlike delete
+    const archiveButton = document.getElementById('habits-archive-button');
+    if (archiveButton) {
+      const newArchiveButton = archiveButton.cloneNode(true);
+      archiveButton.parentNode.replaceChild(newArchiveButton, archiveButton);
+      newArchiveButton.addEventListener('click', () => this.archiveCurrentHabit());
+    }
+    
     // Make sure edit button has proper event listener - using new modal system
     const editButton = document.getElementById('habits-edit-button');
     if (editButton) {
@@ -1055,6 +2806,9 @@ loadHabits() {
     this.renderChart(habit);
     this.renderCalendar(habit);
     this.renderStreaks(habit);
+    this.renderGroupStats(habit);
+    this.renderStackStats(habit);
+    this.renderHeatmap(habit);
   }
   
   /**
@@ -1064,7 +2818,7 @@ loadHabits() {
   applyColorThemeToDetailView(color) {
     // Reset to default first
     this.habitDetailTitle.style.color = 'white';
-    document.querySelectorAll('.habits-section-title').forEach(title => {
+    this.detailView.querySelectorAll('.habits-section-title').forEach(title => {
       title.className = 'habits-section-title';
     });
     
@@ -1072,13 +2826,14 @@ loadHabits() {
     if (color !== 'default') {
       const colorHex = this.getColorHex(color);
       this.habitDetailTitle.style.color = colorHex;
-      document.querySelectorAll('.habits-section-title').forEach(title => {
+      this.detailView.querySelectorAll('.habits-section-title').forEach(title => {
         title.className = `habits-section-title ${color}`;
       });
       
       // Apply color to buttons
       const buttons = [
         document.getElementById('habits-edit-button'),
+        document.getElementById('habits-archive-button'),
         document.getElementById('habits-delete-button'),
         document.getElementById('habits-back-button')
       ];
@@ -1097,9 +2852,10 @@ loadHabits() {
    * @param {Object} history - Habit history
    * @param {Date} endDate - End date for calculation (usually current date)
    * @param {number} days - Number of days to look back
+   * @param {Object} schedule - Habit schedule; skipped days and days that aren't due are left out
    * @returns {number} - Consistency score (0-100)
    */
-  calculateConsistencyScore(history, endDate, days = 30) {
+  calculateConsistencyScore(history, endDate, days = 30, schedule = { type: 'daily' }) {
     // Initialize score
     let score = 0;
     const today = new Date(endDate);
@@ -1114,6 +2870,7 @@ loadHabits() {
     // Keep track of streak
     let currentStreak = 0;
     let maxStreakInPeriod = 0;
+    let countedDays = days;
     
     // Calculate score for each day in the period
     for (let i = 0; i < days; i++) {
@@ -1139,6 +2896,9 @@ loadHabits() {
         if (currentStreak > 1) {
           score += Math.min(streakBonus * currentStreak, 30) * dayWeight;
         }
+      } else if (!this.isMissCounted(history, schedule, date, today)) {
+        // Skipped days and days that weren't due neither score nor break the streak
+        countedDays--;
       } else {
         // Reset streak
         currentStreak = 0;
@@ -1149,7 +2909,7 @@ loadHabits() {
     }
     
     // Normalize score to 0-100 range
-    let normalizedScore = Math.min(Math.round(score / days), maxScore);
+    let normalizedScore = countedDays > 0 ? Math.min(Math.round(score / countedDays), maxScore) : 0;
     
     // Add bonus for max streak achieved in period
     if (maxStreakInPeriod > 3) {
@@ -1161,12 +2921,22 @@ loadHabits() {
   }
   
   /**
-   * Get consistency data points by time period
+   * Get chart data points by time period: consistency scores, average daily
+   * values for measurable habits or relapse counts for habits being broken
    * @param {Object} habit - Habit object
-   * @returns {Array} - Array of data points with dates and consistency scores
+   * @returns {Array} - Array of data points with dates and values
    */
-  getConsistencyDataByTimePeriod(habit) {
+  getChartDataByTimePeriod(habit) {
     const today = new Date();
+    const schedule = habitSchedule.get(habit);
+    const history = this.getEffectiveHistory(habit);
+    const isMeasurable = this.isMeasurable(habit);
+    const getValue = (date, scoreDays, valueDays) => {
+      if (habit.quitDate) return this.countRelapses(habit, date, valueDays);
+      return isMeasurable
+        ? this.getAverageValue(habit, date, valueDays)
+        : this.calculateConsistencyScore(history, date, scoreDays, schedule);
+    };
     let dataPoints = [];
     
     switch (this.selectedTimePeriod) {
@@ -1176,12 +2946,12 @@ loadHabits() {
           const date = new Date(today);
           date.setDate(today.getDate() - i);
           
-          // Calculate consistency score for a 7-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 7);
+          // Consistency score for a 7-day window ending on this date (that day for measurable habits)
+          const value = getValue(date, 7, 1);
           
           dataPoints.push({
             date: date,
-            value: score
+            value: value
           });
         }
         break;
@@ -1193,12 +2963,12 @@ loadHabits() {
           // Go back to start at the right week
           date.setDate(today.getDate() - (4 - i) * 7);
           
-          // Calculate consistency score for a 7-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 7);
+          // Consistency score for a 7-day window ending on this date (7-day average for measurable habits)
+          const value = getValue(date, 7, 7);
           
           dataPoints.push({
             date: date,
-            value: score
+            value: value
           });
         }
         break;
@@ -1209,12 +2979,12 @@ loadHabits() {
           const date = new Date(today);
           date.setDate(today.getDate() - (11 - i) * 7);
           
-          // Calculate consistency score for a 14-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 14);
+          // Consistency score for a 14-day window ending on this date (7-day average for measurable habits)
+          const value = getValue(date, 14, 7);
           
           dataPoints.push({
             date: date,
-            value: score
+            value: value
           });
         }
         break;
@@ -1225,12 +2995,12 @@ loadHabits() {
           const date = new Date(today);
           date.setMonth(today.getMonth() - (11 - i));
           
-          // Calculate consistency score for a 30-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 30);
+          // Consistency score for a 30-day window ending on this date (30-day average for measurable habits)
+          const value = getValue(date, 30, 30);
           
           dataPoints.push({
             date: date,
-            value: score
+            value: value
           });
         }
         break;
@@ -1241,12 +3011,12 @@ loadHabits() {
           const date = new Date(today);
           date.setDate(today.getDate() - i);
           
-          // Calculate consistency score for a 7-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 7);
+          // Consistency score for a 7-day window ending on this date (that day for measurable habits)
+          const value = getValue(date, 7, 1);
           
           dataPoints.push({
             date: date,
-            value: score
+            value: value
           });
         }
     }
@@ -1255,7 +3025,8 @@ loadHabits() {
   }
   
   /**
-   * Render chart with consistency scores
+   * Render chart with consistency scores, daily values for measurable habits
+   * or relapses for habits being broken
    * @param {Object} habit - Habit object to render chart for
    */
   renderChart(habit) {
@@ -1269,8 +3040,9 @@ loadHabits() {
     if (yLabels) chartContainer.appendChild(yLabels);
     if (axis) chartContainer.appendChild(axis);
     
-    // Get data based on selected time period with consistency scores
-    const dataPoints = this.getConsistencyDataByTimePeriod(habit);
+    // Get data based on selected time period
+    const dataPoints = this.getChartDataByTimePeriod(habit);
+    const isMeasurable = this.isMeasurable(habit);
     
     // Check if chart container is visible
     if (chartContainer.offsetWidth === 0) {
@@ -1278,11 +3050,17 @@ loadHabits() {
       return;
     }
     
-    // Update y-axis labels to show consistency score range (0-100)
-    this.updateYAxisLabels(100);
+    // Consistency scores range 0-100, values scale to the larger of target and best day
+    let maxValue = 100;
+    if (habit.quitDate) {
+      maxValue = this.getChartMaxValue(Math.max(1, ...dataPoints.map(point => point.value)));
+    } else if (isMeasurable) {
+      maxValue = this.getChartMaxValue(Math.max(habit.target.amount, ...dataPoints.map(point => point.value)));
+    }
+    this.updateYAxisLabels(maxValue);
     
     // Calculate coordinates for smooth curve
-    const pathPoints = this.calculateSmoothCurve(dataPoints, chartContainer, 100);
+    const pathPoints = this.calculateSmoothCurve(dataPoints, chartContainer, maxValue);
     
     // Create SVG path for smooth line
     const svgNS = "http://www.w3.org/2000/svg";
@@ -1304,10 +3082,20 @@ loadHabits() {
     svg.appendChild(path);
     chartContainer.appendChild(svg);
     
+    // Dashed line at the daily target
+    if (isMeasurable) {
+      const targetLine = document.createElement('div');
+      targetLine.className = 'habits-chart-target';
+      targetLine.style.top = `${chartContainer.offsetHeight - (habit.target.amount / maxValue) * (chartContainer.offsetHeight - 20)}px`;
+      targetLine.style.borderColor = this.getColorHex(habit.color);
+      targetLine.title = `Target: ${this.formatValue(habit, habit.target.amount)}`;
+      chartContainer.appendChild(targetLine);
+    }
+    
     // Render data points
     dataPoints.forEach((point, index) => {
       const x = 40 + (index / (dataPoints.length - 1)) * (chartContainer.offsetWidth - 50);
-      const y = chartContainer.offsetHeight - (point.value / 100) * (chartContainer.offsetHeight - 20);
+      const y = chartContainer.offsetHeight - (point.value / maxValue) * (chartContainer.offsetHeight - 20);
       
       const pointElement = document.createElement('div');
       pointElement.className = `habits-chart-point`;
@@ -1317,8 +3105,14 @@ loadHabits() {
       pointElement.style.left = `${x}px`;
       pointElement.style.top = `${y}px`;
       
-      // Add tooltip with the actual score value
-      pointElement.setAttribute('title', `Score: ${point.value}`);
+      // Add tooltip with the actual score or value
+      let title = `Score: ${point.value}`;
+      if (habit.quitDate) {
+        title = `${point.value} relapse${point.value === 1 ? '' : 's'}`;
+      } else if (isMeasurable) {
+        title = this.formatValue(habit, point.value);
+      }
+      pointElement.setAttribute('title', title);
       
       chartContainer.appendChild(pointElement);
     });
@@ -1327,6 +3121,42 @@ loadHabits() {
     this.renderChartLabels(dataPoints);
   }
 
+  /**
+   * Round a chart maximum up to a readable axis value
+   * @param {number} value - Largest value to show
+   * @returns {number} - Axis maximum
+   */
+  getChartMaxValue(value) {
+    if (!(value > 0)) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    return Math.ceil(value / magnitude * 2) / 2 * magnitude;
+  }
+
+  /**
+   * Average daily value of a measurable habit; skipped days are left out
+   * @param {Object} habit - Measurable habit
+   * @param {Date} endDate - Last day of the window
+   * @param {number} days - Number of days to average
+   * @returns {number} - Average rounded to one decimal
+   */
+  getAverageValue(habit, endDate, days) {
+    const values = habit.values || {};
+    let total = 0;
+    let counted = 0;
+    
+    for (let i = 0; i < days; i++) {
+      const date = new Date(endDate);
+      date.setDate(endDate.getDate() - i);
+      const dateKey = this.getDateKey(date);
+      if (habitSchedule.isSkipped(habit.history[dateKey])) continue;
+      
+      total += values[dateKey] || 0;
+      counted++;
+    }
+    
+    return counted > 0 ? Math.round(total / counted * 10) / 10 : 0;
+  }
+
   /**
    * Update Y-axis labels based on data maximum
    * @param {number} maxValue - Maximum value (100 for consistency score)
@@ -1495,7 +3325,7 @@ loadHabits() {
     confirmationModal.innerHTML = `
       <div class="modal-content" style="position: relative; max-width: 320px;">
         <div class="modal-header">Delete Habit</div>
-        <p style="margin-bottom: 20px;">Are you sure you want to delete this habit?</p>
+        <p style="margin-bottom: 20px;">This permanently deletes the habit and its history. Archive it instead to keep the history.</p>
         <div class="modal-buttons">
           <button class="modal-button cancel" id="habits-cancel-delete">Cancel</button>
           <button class="modal-button confirm" style="background-color: var(--habits-primary);" id="habits-confirm-delete">Delete</button>
@@ -1511,8 +3341,13 @@ loadHabits() {
     };
     
     const confirmDelete = function() {
-      window.habitsTracker.habits.splice(indexToDelete, 1);
+      const [deletedHabit] = window.habitsTracker.habits.splice(indexToDelete, 1);
+      window.habitsTracker.unlinkStackedHabits(deletedHabit);
       window.habitsTracker.saveHabits();
+      
+      // Without the remind flag, syncing removes the habit's reminder
+      delete deletedHabit.remind;
+      window.habitsTracker.syncHabitReminder(deletedHabit);
       document.body.removeChild(confirmationModal);
       window.habitsTracker.showMainView();
     };
@@ -1643,20 +3478,17 @@ createMonthCalendar(habit, monthDate) {
   for (let day = 1; day <= lastDay.getDate(); day++) {
     const date = new Date(currentYear, currentMonth, day);
     const dateKey = this.getDateKey(date);
-    const status = habit.history[dateKey];
     
     const cell = document.createElement('div');
     cell.className = 'habits-calendar-cell';
     cell.dataset.dateKey = dateKey; // Store the dateKey for easier access
     
-    if (status === 'done') {
-      cell.className += ` active ${habit.color}`;
-    }
-    
     // Check if this date is in the future
     const today = new Date();
     today.setHours(0, 0, 0, 0); // Reset time to midnight for accurate comparison
     const isFutureDate = date > today;
+    
+    this.applyCalendarCellStatus(cell, habit, date, isFutureDate);
 
     // Highlight today
     if (day === today.getDate() && currentMonth === today.getMonth() && currentYear === today.getFullYear()) {
@@ -1682,6 +3514,68 @@ createMonthCalendar(habit, monthDate) {
   return monthContainer;
 }
 
+/**
+ * Set the status classes of a calendar cell: done, skipped, frozen or not due
+ * @param {Element} cell - Calendar cell
+ * @param {Object} habit - Habit object
+ * @param {Date} date - Calendar day
+ * @param {boolean} isFutureDate - Whether the day is after today
+ */
+applyCalendarCellStatus(cell, habit, date, isFutureDate) {
+  const history = this.getEffectiveHistory(habit);
+  const status = history[this.getDateKey(date)];
+  const schedule = habitSchedule.get(habit);
+  
+  cell.classList.remove('active', habit.color, 'skipped', 'frozen', 'off-day', 'relapse');
+  cell.style.backgroundImage = '';
+  cell.removeAttribute('title');
+  
+  // Days with a note get a dot and the note as tooltip
+  const note = this.getDayNote(habit, this.getDateKey(date));
+  cell.classList.toggle('has-note', !!note);
+  if (note) cell.title = this.describeNote(note);
+  
+  // Measurable habits show the value, and partial progress as a fill from the bottom
+  const value = this.isMeasurable(habit) && habit.values ? habit.values[this.getDateKey(date)] : undefined;
+  if (value !== undefined) {
+    cell.title = [this.formatValue(habit, value), cell.title].filter(Boolean).join(' · ');
+    if (status !== 'done' && value > 0) {
+      const percent = Math.min(100, Math.round(value / habit.target.amount * 100));
+      const color = this.getColorHex(habit.color);
+      cell.style.backgroundImage = `linear-gradient(to top, ${color}66 ${percent}%, transparent ${percent}%)`;
+      return;
+    }
+  }
+  
+  if (status === 'done') {
+    cell.classList.add('active', habit.color);
+  } else if (status === 'skip') {
+    cell.classList.add('skipped');
+  } else if (status === 'frozen') {
+    cell.classList.add('frozen');
+  } else if (habit.quitDate) {
+    cell.classList.add(status === 'fail' ? 'relapse' : 'off-day');
+  } else if (isFutureDate ? !habitSchedule.isScheduledDay(schedule, date) : !this.isMissCounted(history, schedule, date)) {
+    cell.classList.add('off-day');
+  }
+}
+
+/**
+ * Refresh every calendar cell and the year heatmap after an edit, since marking
+ * one day can change freezes and the other days of a weekly or monthly target
+ * @param {Object} habit - Habit object
+ */
+updateCalendarCells(habit) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  this.calendarScrollContent.querySelectorAll('.habits-calendar-cell[data-date-key]').forEach(cell => {
+    const date = habitSchedule.parseDate(cell.dataset.dateKey);
+    this.applyCalendarCellStatus(cell, habit, date, date > today);
+  });
+  this.renderHeatmap(habit);
+}
+
 /**
  * Add new method to load more past months (older history)
  */
@@ -1824,20 +3718,24 @@ toggleCalendarEdit() {
       // Get the current habit
       const habit = this.habits[this.currentHabitIndex];
       
-      // Add direct click handler to toggle status
+      // Add direct click handler to cycle status
       cell.addEventListener('click', (e) => {
-        const currentStatus = habit.history[dateKey] || 'fail';
-        habit.history[dateKey] = currentStatus === 'fail' ? 'done' : 'fail';
-        
-        // Update the cell appearance directly instead of re-rendering
-        if (habit.history[dateKey] === 'done') {
-          cell.classList.add('active', habit.color);
-        } else {
-          cell.classList.remove('active', habit.color);
+        if (this.isMeasurable(habit)) {
+          this.showValueEditor(habit, dateKey, () => {
+            this.updateCalendarCells(habit);
+            this.renderChart(habit);
+            this.renderStreaks(habit);
+          });
+          e.stopPropagation();
+          return;
         }
         
+        this.cycleDayStatus(habit, dateKey);
         this.saveHabits();
         
+        // Update the cells directly instead of re-rendering
+        this.updateCalendarCells(habit);
+        
         // Update chart and streaks without re-rendering calendar
         this.renderChart(habit);
         this.renderStreaks(habit);
@@ -1865,11 +3763,20 @@ renderStreaks(habit) {
   this.habitStreaks.innerHTML = '';
   
   // Calculate streaks
-  const streaks = this.calculateStreaks(habit.history);
+  const streaks = this.calculateStreaks(this.getEffectiveHistory(habit), habitSchedule.get(habit));
   
   // Show top 3 streaks
   const topStreaks = streaks.slice(0, 3);
   
+  // Streaks of a habit being broken are clean runs
+  if (habit.quitDate) {
+    const longest = topStreaks.length > 0 ? topStreaks[0].length : 0;
+    const summary = document.createElement('p');
+    summary.className = 'habits-streak-summary';
+    summary.textContent = `Longest clean run: ${longest} day${longest === 1 ? '' : 's'} · now ${this.describeCleanDays(habit).toLowerCase()}`;
+    this.habitStreaks.appendChild(summary);
+  }
+  
   if (topStreaks.length === 0) {
     const noStreaks = document.createElement('p');
     noStreaks.textContent = 'No streaks recorded yet.';
@@ -1882,8 +3789,8 @@ renderStreaks(habit) {
     const streakBar = document.createElement('div');
     streakBar.className = 'habits-streak-bar';
     
-    const startDate = new Date(streak.start);
-    const endDate = new Date(streak.end);
+    const startDate = habitSchedule.parseDate(streak.start);
+    const endDate = habitSchedule.parseDate(streak.end);
     
     const dateRange = document.createElement('div');
     dateRange.className = 'habits-streak-date';
@@ -1897,7 +3804,7 @@ renderStreaks(habit) {
       streakVisual.classList.add('text-dark');
     }
     
-    streakVisual.textContent = `${streak.length} days`;
+    streakVisual.textContent = `${streak.length} ${streak.unit}${streak.length === 1 ? '' : 's'}`;
     
     streakBar.appendChild(dateRange);
     streakBar.appendChild(streakVisual);
@@ -1907,11 +3814,18 @@ renderStreaks(habit) {
 }
 
 /**
- * Calculate streaks from habit history
+ * Calculate streaks from habit history. Skipped days and days that aren't due
+ * don't break a streak; weekly/monthly targets count consecutive periods that
+ * met the target.
  * @param {Object} history - Habit history
+ * @param {Object} schedule - Habit schedule
  * @returns {Array} - Array of streak objects
  */
-calculateStreaks(history) {
+calculateStreaks(history, schedule = { type: 'daily' }) {
+  if (habitSchedule.isQuota(schedule)) {
+    return this.calculatePeriodStreaks(history, schedule);
+  }
+  
   const sortedDates = Object.entries(history)
     .filter(([date, status]) => status === 'done')
     .map(([date]) => date)
@@ -1921,21 +3835,25 @@ calculateStreaks(history) {
   let currentStreak = null;
   
   sortedDates.forEach(date => {
-    const currentDate = new Date(date);
+    const currentDate = habitSchedule.parseDate(date);
     
     if (!currentStreak) {
-      currentStreak = { start: date, end: date, length: 1 };
+      currentStreak = { start: date, end: date, length: 1, unit: 'day' };
     } else {
-      const lastDate = new Date(currentStreak.end);
-      const nextDay = new Date(lastDate);
-      nextDay.setDate(lastDate.getDate() + 1);
+      // The streak continues if no due day was missed in between
+      const day = habitSchedule.parseDate(currentStreak.end);
+      day.setDate(day.getDate() + 1);
+      while (day < currentDate &&
+             (!habitSchedule.isScheduledDay(schedule, day) || habitSchedule.isSkipped(history[this.getDateKey(day)]))) {
+        day.setDate(day.getDate() + 1);
+      }
       
-      if (currentDate.getTime() === nextDay.getTime()) {
+      if (day.getTime() === currentDate.getTime()) {
         currentStreak.end = date;
         currentStreak.length++;
       } else {
         streaks.push(currentStreak);
-        currentStreak = { start: date, end: date, length: 1 };
+        currentStreak = { start: date, end: date, length: 1, unit: 'day' };
       }
     }
   });
@@ -1947,16 +3865,63 @@ calculateStreaks(history) {
   return streaks.sort((a, b) => b.length - a.length);
 }
 
+/**
+ * Calculate streaks of consecutive weeks or months that met the target.
+ * The current period only extends a streak once its target is met, and a
+ * period skipped entirely neither extends nor breaks it.
+ * @param {Object} history - Habit history
+ * @param {Object} schedule - Weekly or monthly schedule
+ * @returns {Array} - Array of streak objects
+ */
+calculatePeriodStreaks(history, schedule) {
+  const doneDates = Object.keys(history).filter(date => history[date] === 'done').sort();
+  if (doneDates.length === 0) return [];
+  
+  const unit = schedule.type === 'weekly' ? 'week' : 'month';
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  const streaks = [];
+  let currentStreak = null;
+  let period = habitSchedule.getPeriod(schedule, habitSchedule.parseDate(doneDates[0]));
+  
+  while (period.start <= today) {
+    const done = this.countDaysInRange(history, period.start, period.end);
+    const target = this.getPeriodTarget(history, schedule, period);
+    
+    if (done > 0 && done >= target) {
+      if (!currentStreak) {
+        currentStreak = { start: this.getDateKey(period.start), length: 0, unit };
+      }
+      currentStreak.end = this.getDateKey(period.end);
+      currentStreak.length++;
+    } else if (currentStreak && target > 0 && period.end < today) {
+      streaks.push(currentStreak);
+      currentStreak = null;
+    }
+    
+    const nextDay = new Date(period.end);
+    nextDay.setDate(nextDay.getDate() + 1);
+    period = habitSchedule.getPeriod(schedule, nextDay);
+  }
+  
+  if (currentStreak) {
+    streaks.push(currentStreak);
+  }
+  
+  return streaks.sort((a, b) => b.length - a.length);
+}
+
 /**
  * Check if daily habits need to be reset
  */
 checkAndResetDailyHabits() {
   const currentDate = utils.formatDate(new Date());
-  const lastResetDate = localStorage.getItem(this.lastResetKey);
+  const lastResetDate = storageManager.getItem(this.lastResetKey);
   
   if (lastResetDate !== currentDate) {
     // Nothing to reset, just update the last reset date
-    localStorage.setItem(this.lastResetKey, currentDate);
+    storageManager.setItem(this.lastResetKey, currentDate);
   }
 }
 
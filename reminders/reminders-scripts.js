@@ -28,15 +28,8 @@ class RemindersManager {
     // NEW: Track expansion state of system notifications
     this.expandedSystemNotifications = new Set();
     
-    // Legacy notification keys for migration
-    this.legacyNotificationKeys = {
-      global: 'notifications_enabled',
-      waterAlert: 'notification_water',
-      waterInterval: 'notification_water_interval_enabled',
-      proteinAlert: 'notification_protein'
-    };
-    
-    // Default data structure - only 4 specific notification types
+    // Default data structure - alert and interval types for water/protein,
+    // plus one of each per custom tracker (added below)
     this.defaultData = {
       globalEnabled: false,
       systemNotifications: {
@@ -74,11 +67,30 @@ class RemindersManager {
       customReminders: []
     };
     
+    if (window.trackerManager) {
+      window.trackerManager.customTrackers.forEach(config => {
+        this.defaultData.systemNotifications[`${config.type}Alert`] = {
+          enabled: false,
+          time: "20:00",
+          days: [],
+          onlyIfGoalNotMet: true,
+          message: `Check your ${config.name.toLowerCase()} for today`
+        };
+        this.defaultData.systemNotifications[`${config.type}Interval`] = {
+          enabled: false,
+          interval: 120,
+          activeWindow: { start: "08:00", end: "22:00" },
+          days: [],
+          onlyIfBelowGoal: true,
+          message: `Time to log your ${config.name.toLowerCase()}!`
+        };
+      });
+    }
+    
     // Initialize
     this.loadData();
     this.initializeElements();
     this.initializeEventListeners();
-    this.migrateFromLegacyNotifications();
     this.scheduleAllReminders();
     
     console.log('RemindersManager initialized successfully');
@@ -89,63 +101,34 @@ class RemindersManager {
    * Generate or get user ID for server notifications
    */
   generateUserId() {
-    let userId = localStorage.getItem('health_tracker_user_id');
+    let userId = storageManager.getItem('health_tracker_user_id');
     if (!userId) {
       userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-      localStorage.setItem('health_tracker_user_id', userId);
+      storageManager.setItem('health_tracker_user_id', userId);
     }
     return userId;
   }
 
   /**
-   * Load reminders data from localStorage
+   * Load reminders data from storage
    */
   loadData() {
     try {
-      const stored = localStorage.getItem(this.remindersKey);
+      const stored = storageManager.getItem(this.remindersKey);
       if (stored) {
         this.data = { ...this.defaultData, ...JSON.parse(stored) };
         // Ensure all system notifications exist with proper structure
-        this.data.systemNotifications = { 
-          ...this.defaultData.systemNotifications, 
-          ...this.data.systemNotifications 
-        };
-        
-        // Clean up any invalid notification types
-        const validTypes = ['waterAlert', 'waterInterval', 'proteinAlert', 'proteinInterval'];
-        Object.keys(this.data.systemNotifications).forEach(key => {
-          if (!validTypes.includes(key)) {
-            delete this.data.systemNotifications[key];
-          } else {
-            // Ensure days array exists
-            if (!Array.isArray(this.data.systemNotifications[key].days)) {
-              this.data.systemNotifications[key].days = [];
-            }
-            // Add activeWindow only for interval types
-            if (key.includes('Interval') && !this.data.systemNotifications[key].activeWindow) {
-              this.data.systemNotifications[key].activeWindow = { start: "08:00", end: "22:00" };
-            }
-            // Remove activeWindow from alert types (they don't need it)
-            if (key.includes('Alert') && this.data.systemNotifications[key].activeWindow) {
-              delete this.data.systemNotifications[key].activeWindow;
-            }
-          }
+        const storedNotifications = this.data.systemNotifications || {};
+        this.data.systemNotifications = {};
+        Object.keys(this.defaultData.systemNotifications).forEach(key => {
+          this.data.systemNotifications[key] = {
+            ...this.defaultData.systemNotifications[key],
+            ...storedNotifications[key]
+          };
         });
         
-        // Ensure custom reminders have proper structure
-        this.data.customReminders.forEach(reminder => {
-          if (!reminder.activeWindow) {
-            reminder.activeWindow = { start: "00:00", end: "23:59" };
-          }
-          // Convert single time to times array if needed
-          if (reminder.time && !reminder.times) {
-            reminder.times = [reminder.time];
-            delete reminder.time;
-          }
-          if (!reminder.times || !Array.isArray(reminder.times)) {
-            reminder.times = ['12:00'];
-          }
-        });
+        // Shape upgrades (time -> times, days, activeWindow) live in core/migrations.js
+        this.data.customReminders = this.data.customReminders || [];
       } else {
         this.data = { ...this.defaultData };
       }
@@ -157,11 +140,11 @@ class RemindersManager {
   }
   
   /**
-   * UPDATED: Save reminders data to localStorage and sync with server
+   * UPDATED: Save reminders data to storage and sync with server
    */
   saveData() {
     try {
-      localStorage.setItem(this.remindersKey, JSON.stringify(this.data));
+      storageManager.setItem(this.remindersKey, JSON.stringify(this.data));
       console.log('Saved reminders data:', this.data);
       
       // NEW: Sync with server when data changes
@@ -1010,7 +993,7 @@ class RemindersManager {
       case 'waterInterval': return 'schedule';
       case 'proteinAlert': return 'restaurant';
       case 'proteinInterval': return 'timer';
-      default: return 'notifications';
+      default: return type.endsWith('Interval') ? 'schedule' : 'notifications';
     }
   }
   
@@ -1023,7 +1006,11 @@ class RemindersManager {
       case 'waterInterval': return 'Water Reminders';
       case 'proteinAlert': return 'Protein Goal Alert';
       case 'proteinInterval': return 'Protein Reminders';
-      default: return 'Unknown Notification';
+      default: {
+        const { config } = this.getNotificationTracker(type);
+        if (!config) return 'Unknown Notification';
+        return type.endsWith('Interval') ? `${config.name} Reminders` : `${config.name} Goal Alert`;
+      }
     }
   }
   
@@ -1036,10 +1023,32 @@ class RemindersManager {
       case 'waterInterval': return 'Regular reminders to drink water';
       case 'proteinAlert': return 'Daily reminder to check your protein intake';
       case 'proteinInterval': return 'Regular reminders to get protein';
-      default: return 'System notification';
+      default: {
+        const { config } = this.getNotificationTracker(type);
+        if (!config) return 'System notification';
+        const name = config.name.toLowerCase();
+        return type.endsWith('Interval') ? `Regular reminders to log ${name}` : `Daily reminder to check your ${name}`;
+      }
     }
   }
   
+  /**
+   * Get the tracker a system notification type belongs to
+   * @param {string} type - Notification type, e.g. 'waterAlert' or 'caffeineInterval'
+   * @returns {Object} { trackerType, tracker, config }
+   */
+  getNotificationTracker(type) {
+    const trackerType = type.replace(/(Alert|Interval)$/, '');
+    const trackers = {
+      water: window.waterTracker,
+      protein: window.proteinTracker,
+      ...(window.customTrackers || {})
+    };
+    const config = window.trackerManager ? window.trackerManager.getConfig(trackerType) : null;
+    
+    return { trackerType, tracker: trackers[trackerType], config };
+  }
+  
   /**
    * Render system notification settings - simplified per requirements
    */
@@ -1448,11 +1457,7 @@ class RemindersManager {
    */
   triggerGoalCheckAlert(type) {
     // Original local notification logic
-    if (type === 'waterAlert') {
-      this.checkWaterGoalAndAlert();
-    } else if (type === 'proteinAlert') {
-      this.checkProteinGoalAndAlert();
-    }
+    this.checkTrackerGoalAndAlert(type);
     
     // NEW: Send notification through server as well
     if (window.serverNotifications) {
@@ -1475,36 +1480,24 @@ class RemindersManager {
   }
   
   /**
-   * Check water goal and send alert if needed
+   * Check a tracker's goal and send alert if needed
+   * @param {string} type - Alert type, e.g. 'waterAlert'
    */
-  checkWaterGoalAndAlert() {
-    if (window.waterTracker) {
-      const goalMet = window.waterTracker.totalIntake >= window.waterTracker.goal;
-      
-      if (!goalMet && window.waterTracker.goal > 0) {
-        const remaining = window.waterTracker.goal - window.waterTracker.totalIntake;
-        const config = this.data.systemNotifications.waterAlert;
-        const message = config.message || 
-          `You're ${remaining}ml short of your daily water goal. Time to hydrate!`;
-        this.sendNotification('Water Intake Alert', message);
-      }
-    }
-  }
-  
-  /**
-   * Check protein goal and send alert if needed
-   */
-  checkProteinGoalAndAlert() {
-    if (window.proteinTracker) {
-      const goalMet = window.proteinTracker.totalIntake >= window.proteinTracker.goal;
-      
-      if (!goalMet && window.proteinTracker.goal > 0) {
-        const remaining = window.proteinTracker.goal - window.proteinTracker.totalIntake;
-        const config = this.data.systemNotifications.proteinAlert;
-        const message = config.message || 
-          `You're ${remaining}g short of your daily protein goal. Time to fuel up!`;
-        this.sendNotification('Protein Intake Alert', message);
-      }
+  checkTrackerGoalAndAlert(type) {
+    const { trackerType, tracker } = this.getNotificationTracker(type);
+    if (!tracker) return;
+    
+    // Today's effective goal (per-weekday or training day schedules)
+    const goal = tracker.getGoalForDate(utils.formatDate(new Date()));
+    const goalMet = tracker.totalIntake >= goal;
+    
+    if (!goalMet && goal > 0) {
+      const remaining = goal - tracker.totalIntake;
+      const config = this.data.systemNotifications[type];
+      const encouragement = { water: ' Time to hydrate!', protein: ' Time to fuel up!' }[trackerType] || '';
+      const message = config.message || 
+        `You're ${remaining}${tracker.unit} short of your daily ${tracker.name.toLowerCase()} goal.${encouragement}`;
+      this.sendNotification(`${tracker.name} Intake Alert`, message);
     }
   }
   
@@ -1514,13 +1507,16 @@ class RemindersManager {
   triggerIntervalReminder(type) {
     // Original local notification logic
     const config = this.data.systemNotifications[type];
-    const trackerType = type === 'waterInterval' ? 'water' : 'protein';
-    const defaultMessage = type === 'waterInterval' ? 
-      'Time to drink some water! Stay hydrated.' : 
-      'Time to get some protein! Fuel your body.';
+    const { trackerType, config: trackerConfig } = this.getNotificationTracker(type);
+    const trackerName = trackerConfig ? trackerConfig.name : trackerType.charAt(0).toUpperCase() + trackerType.slice(1);
+    const defaultMessages = {
+      water: 'Time to drink some water! Stay hydrated.',
+      protein: 'Time to get some protein! Fuel your body.'
+    };
+    const defaultMessage = defaultMessages[trackerType] || `Time to log your ${trackerName.toLowerCase()}!`;
     
     this.sendNotification(
-      `${trackerType.charAt(0).toUpperCase() + trackerType.slice(1)} Reminder`,
+      `${trackerName} Reminder`,
       config.message || defaultMessage
     );
     
@@ -1618,6 +1614,11 @@ class RemindersManager {
    * UPDATED: Trigger custom reminder with server notifications
    */
   triggerCustomReminder(reminder, alertMinutes) {
+    // Habit reminders stay quiet once the habit is done or isn't due today
+    if (reminder.habitId && window.habitsTracker && !window.habitsTracker.isHabitPending(reminder.habitId)) {
+      return;
+    }
+    
     // Original local notification logic
     let title = reminder.title;
     let message = reminder.notes || reminder.title;
@@ -1648,63 +1649,6 @@ class RemindersManager {
     }
   }
   
-  /**
-   * Migrate from legacy notifications
-   */
-  migrateFromLegacyNotifications() {
-    let migrated = false;
-    
-    Object.entries(this.legacyNotificationKeys).forEach(([newKey, legacyKey]) => {
-      const legacyValue = localStorage.getItem(legacyKey);
-      if (legacyValue !== null) {
-        migrated = true;
-        
-        switch (newKey) {
-          case 'global':
-            this.data.globalEnabled = legacyValue === 'true';
-            break;
-            
-          case 'waterAlert':
-          case 'proteinAlert':
-            if (this.data.systemNotifications[newKey]) {
-              this.data.systemNotifications[newKey].enabled = legacyValue === 'true';
-              if (legacyValue === 'true' && this.data.systemNotifications[newKey].days.length === 0) {
-                this.data.systemNotifications[newKey].days = [1, 2, 3, 4, 5];
-              }
-            }
-            break;
-            
-          case 'waterInterval':
-            if (this.data.systemNotifications[newKey]) {
-              this.data.systemNotifications[newKey].enabled = legacyValue === 'true';
-              if (legacyValue === 'true' && this.data.systemNotifications[newKey].days.length === 0) {
-                this.data.systemNotifications[newKey].days = [1, 2, 3, 4, 5];
-              }
-            }
-            
-            const interval = localStorage.getItem('notification_water_interval');
-            if (interval && !isNaN(parseInt(interval))) {
-              this.data.systemNotifications.waterInterval.interval = parseInt(interval);
-            }
-            break;
-        }
-      }
-    });
-    
-    if ('Notification' in window && Notification.permission === 'granted') {
-      this.data.globalEnabled = true;
-      migrated = true;
-    }
-    
-    if (migrated) {
-      this.saveData();
-      Object.values(this.legacyNotificationKeys).forEach(key => {
-        localStorage.removeItem(key);
-      });
-      console.log('Migrated legacy notification settings to reminders system');
-    }
-  }
-  
   /**
    * Attach form event listeners
    */
@@ -1920,6 +1864,50 @@ class RemindersManager {
     }
   }
   
+  /**
+   * Create or update the custom reminder that belongs to a habit
+   * @param {string} habitId - Id of the habit
+   * @param {Object} fields - title, times, repeat and days of the reminder
+   */
+  setHabitReminder(habitId, fields) {
+    const existing = this.data.customReminders.find(r => r.habitId === habitId);
+    
+    if (existing) {
+      Object.assign(existing, fields);
+    } else {
+      this.data.customReminders.push({
+        id: this.generateUniqueId(),
+        habitId,
+        alerts: [0],
+        notes: '',
+        enabled: true,
+        date: null,
+        activeWindow: { start: '00:00', end: '23:59' },
+        ...fields
+      });
+      
+      if (!this.data.globalEnabled) {
+        utils.showToast('Habit reminder added. Turn on reminders to get notified.', 'info');
+      }
+    }
+    
+    this.saveData();
+    this.scheduleAllReminders();
+  }
+  
+  /**
+   * Remove the custom reminder of a habit, if it has one
+   * @param {string} habitId - Id of the habit
+   */
+  removeHabitReminder(habitId) {
+    const reminder = this.data.customReminders.find(r => r.habitId === habitId);
+    if (!reminder) return;
+    
+    this.clearCustomReminderTimer(reminder.id);
+    this.data.customReminders = this.data.customReminders.filter(r => r !== reminder);
+    this.saveData();
+  }
+  
   /**
    * Generate unique ID for reminders
    */
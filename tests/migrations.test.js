@@ -0,0 +1,122 @@
+/**
+ * Health Tracker App - Migration Fixture Tests
+ * Each fixture in tests/fixtures/migrations is a storage snapshot written by
+ * an older schema version. It is migrated to the latest version and compared
+ * against the snapshot in the matching *.expected.json file.
+ *
+ * Run with:   npm test
+ * Rewrite the expected snapshots after an intended change:
+ *             node tests/migrations.test.js --update
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'migrations');
+const SCRIPTS = ['core/core-scripts.js', 'core/migrations.js'];
+
+/**
+ * Load the app scripts into a sandbox with just enough of a browser for
+ * their top-level code. Migrations only touch the store they are given.
+ */
+function createSandbox() {
+  const sandbox = {
+    console: { log() {}, warn: console.warn, error: console.error },
+    document: { addEventListener() {} },
+    navigator: {}
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+
+  SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+  });
+
+  // Generated ids must be stable for the snapshots
+  vm.runInContext(`
+    let fixtureIdCount = 0;
+    utils.generateId = prefix => prefix + '_fixture_' + (++fixtureIdCount);
+  `, sandbox);
+
+  return sandbox;
+}
+
+/**
+ * In-memory store with localStorage semantics (values are strings)
+ * @param {Object} storage - Fixture storage; non-string values are stored as JSON
+ */
+function createStore(storage) {
+  const items = new Map();
+  Object.entries(storage).forEach(([key, value]) => {
+    items.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+  });
+
+  return {
+    getItem: key => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    snapshot() {
+      const result = {};
+      Array.from(items.keys()).sort().forEach(key => {
+        const value = items.get(key);
+        try {
+          result[key] = JSON.parse(value);
+        } catch (e) {
+          result[key] = value;
+        }
+      });
+      return result;
+    }
+  };
+}
+
+function runFixture(file, update) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+  const expectedFile = path.join(FIXTURE_DIR, file.replace(/\.json$/, '.expected.json'));
+
+  const sandbox = createSandbox();
+  const store = createStore(fixture.storage);
+  sandbox.fixtureStore = store;
+
+  const storedVersion = vm.runInContext('migrationManager.getVersion(fixtureStore)', sandbox);
+  assert.strictEqual(storedVersion, fixture.schemaVersion,
+    `fixture declares v${fixture.schemaVersion} but stores v${storedVersion}`);
+
+  const version = vm.runInContext('migrationManager.run(fixtureStore)', sandbox);
+  const currentVersion = vm.runInContext('migrationManager.currentVersion', sandbox);
+  assert.strictEqual(version, currentVersion, `stopped at v${version} instead of v${currentVersion}`);
+
+  const actual = store.snapshot();
+  if (update || !fs.existsSync(expectedFile)) {
+    fs.writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + '\n');
+    return 'written';
+  }
+
+  assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(expectedFile, 'utf8')));
+  return 'ok';
+}
+
+function main() {
+  const update = process.argv.includes('--update');
+  const files = fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.json') && !file.endsWith('.expected.json'))
+    .sort();
+  let failures = 0;
+
+  files.forEach(file => {
+    try {
+      console.log(`${runFixture(file, update)}  ${file}`);
+    } catch (error) {
+      failures++;
+      console.log(`FAIL  ${file}\n${error.message}\n`);
+    }
+  });
+
+  console.log(`\n${files.length - failures}/${files.length} migration fixtures passed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
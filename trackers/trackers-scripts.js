@@ -1,6 +1,7 @@
 /**
  * Health Tracker App - Tracker Class
- * This file contains the Tracker class that handles both water and protein tracking
+ * This file contains the Tracker class that handles water, protein and
+ * user-configured trackers, and the TrackerManager for custom tracker configs
  */
 
 /**
@@ -10,13 +11,15 @@ class Tracker {
   /**
    * Create a new tracker
    * @param {Object} config - Configuration object
-   * @param {string} config.type - Type of tracker (water or protein)
-   * @param {string} config.unit - Unit of measurement (ml or g)
+   * @param {string} config.type - Type of tracker (water, protein or a custom type)
+   * @param {string} config.unit - Unit of measurement (ml, g, ...)
+   * @param {string} [config.name] - Display name (defaults to the capitalized type)
    */
   constructor(config) {
     // Basic properties
     this.type = config.type;
     this.unit = config.unit;
+    this.name = config.name || this.type.charAt(0).toUpperCase() + this.type.slice(1);
     
     // Storage keys
     this.goalKey = `${STORAGE_KEYS.GOAL_PREFIX}${this.type}`;
@@ -27,10 +30,14 @@ class Tracker {
     // Track timeout ID to prevent memory leaks
     this.midnightResetTimeout = null;
     
-    // Load data from localStorage
-    this.goal = parseInt(localStorage.getItem(this.goalKey)) || 0;
-    this.totalIntake = parseInt(localStorage.getItem(this.intakeKey)) || 0;
-    this.dailyHistory = JSON.parse(localStorage.getItem(this.historyKey)) || {};
+    // Days expanded in the weekly summary to show their entries
+    this.expandedDates = new Set();
+    
+    // Load data from storage - goals are a timeline, this.goal is today's
+    this.goalTimeline = goalTimeline.parse(storageManager.getItem(this.goalKey));
+    this.goal = this.getGoalForDate(utils.formatDate(new Date()));
+    this.totalIntake = parseInt(storageManager.getItem(this.intakeKey)) || 0;
+    this.dailyHistory = JSON.parse(storageManager.getItem(this.historyKey)) || {};
     
     // DOM elements
     this.elements = {
@@ -40,10 +47,12 @@ class Tracker {
       progressCircle: document.getElementById(`${this.type}-progress-circle`),
       goalInput: document.getElementById(`${this.type}-goal`),
       manualInput: document.getElementById(`${this.type}-manual`),
+      manualTimeInput: document.getElementById(`${this.type}-manual-time`),
       settingsPanel: document.getElementById(`${this.type}-settings-section`),
       historyPanel: document.getElementById(`${this.type}-history-popup`),
       dailyHistoryTab: document.getElementById(`${this.type}-daily-history`),
-      currentIntakeTab: document.getElementById(`${this.type}-current-intake`)
+      currentIntakeTab: document.getElementById(`${this.type}-current-intake`),
+      yearHistoryTab: document.getElementById(`${this.type}-year-history`)
     };
     
     // Initialize tracker
@@ -54,6 +63,9 @@ class Tracker {
    * Initialize tracker
    */
   initializeTracker() {
+    // Goal schedule controls (per weekday / training days) in the settings panel
+    this.renderGoalScheduleControls();
+    
     // Set up circular progress
     if (this.elements.progressCircle) {
       const circleLength = 2 * Math.PI * 45;
@@ -94,8 +106,8 @@ class Tracker {
     // Update progress visualization
     this.updateProgressVisualization();
     
-    // Save to localStorage
-    localStorage.setItem(this.intakeKey, this.totalIntake);
+    // Save to storage
+    storageManager.setItem(this.intakeKey, this.totalIntake);
   }
 
   /**
@@ -127,62 +139,245 @@ class Tracker {
       return;
     }
     
-    this.goal = inputGoal;
-    localStorage.setItem(this.goalKey, this.goal);
+    const schedule = this.readGoalSchedule();
+    if (!schedule) return;
+    
+    // Applies from today on; past days keep the goal they had
+    this.goalTimeline = goalTimeline.setGoal(this.goalTimeline, utils.formatDate(new Date()), inputGoal, schedule);
+    storageManager.setItem(this.goalKey, JSON.stringify(this.goalTimeline));
+    this.goal = this.getGoalForDate(utils.formatDate(new Date()));
     this.updateDisplay();
+    this.refreshHistory();
     
-    utils.showToast(`${this.type.charAt(0).toUpperCase() + this.type.slice(1)} goal set to ${this.goal} ${this.unit}`, 'success');
+    const scheduled = schedule.weekdays || schedule.workoutGoal ? ' (scheduled)' : '';
+    utils.showToast(`${this.name} goal for today set to ${this.goal} ${this.unit}${scheduled}`, 'success');
     
     // Close the settings panel
     this.elements.settingsPanel.classList.remove('active');
   }
   
+  /**
+   * Get the goal that applied on a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {number} Goal for that day
+   */
+  getGoalForDate(date) {
+    return goalTimeline.getGoalForDate(this.goalTimeline, date, day => this.hasWorkoutOn(day));
+  }
+  
+  /**
+   * Check whether a workout was logged on a date (for training day goals)
+   */
+  hasWorkoutOn(date) {
+    const history = window.workoutTracker
+      ? window.workoutTracker.workoutHistory
+      : JSON.parse(storageManager.getItem(STORAGE_KEYS.WORKOUT_HISTORY) || '{}');
+    return Array.isArray(history[date]) && history[date].length > 0;
+  }
+  
+  /**
+   * Recalculate today's goal (e.g. after a workout was logged)
+   */
+  refreshGoal() {
+    const goal = this.getGoalForDate(utils.formatDate(new Date()));
+    if (goal === this.goal) return;
+    
+    this.goal = goal;
+    this.updateDisplay();
+    this.refreshHistory();
+  }
+  
+  /**
+   * Add goal schedule controls below the goal input
+   */
+  renderGoalScheduleControls() {
+    const goalInput = this.elements.goalInput;
+    if (!goalInput || document.getElementById(`${this.type}-goal-schedule`)) return;
+    
+    const goalGroup = goalInput.closest('.form-group');
+    this.goalLabel = goalGroup.querySelector('label');
+    this.goalLabelText = this.goalLabel ? this.goalLabel.textContent : '';
+    
+    // Inputs in Monday-first order, stored by Date.getDay() index
+    const weekdays = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+    
+    const scheduleGroup = document.createElement('div');
+    scheduleGroup.className = 'form-group goal-schedule';
+    scheduleGroup.innerHTML = `
+      <label for="${this.type}-goal-schedule">Goal Schedule</label>
+      <select id="${this.type}-goal-schedule">
+        <option value="daily">Same every day</option>
+        <option value="weekday">Per weekday</option>
+        <option value="workout">Training vs rest days</option>
+      </select>
+      <div class="goal-weekdays" style="display: none;">
+        ${weekdays.map(([day, label]) => `
+          <label>${label}<input type="number" min="0" data-day="${day}" placeholder="-" /></label>
+        `).join('')}
+      </div>
+      <div class="goal-workout" style="display: none;">
+        <label for="${this.type}-workout-goal">Goal on days with a logged workout</label>
+        <input type="number" id="${this.type}-workout-goal" min="0" placeholder="Training day goal" />
+      </div>
+    `;
+    goalGroup.after(scheduleGroup);
+    
+    this.elements.goalSchedule = scheduleGroup.querySelector('select');
+    this.elements.goalWeekdays = scheduleGroup.querySelector('.goal-weekdays');
+    this.elements.goalWorkout = scheduleGroup.querySelector('.goal-workout');
+    this.elements.workoutGoalInput = scheduleGroup.querySelector(`#${this.type}-workout-goal`);
+    
+    this.elements.goalSchedule.addEventListener('change', () => this.updateGoalScheduleVisibility());
+    this.fillGoalScheduleControls();
+  }
+  
+  /**
+   * Show the inputs for the selected schedule mode
+   */
+  updateGoalScheduleVisibility() {
+    const mode = this.elements.goalSchedule.value;
+    this.elements.goalWeekdays.style.display = mode === 'weekday' ? 'grid' : 'none';
+    this.elements.goalWorkout.style.display = mode === 'workout' ? 'block' : 'none';
+    
+    if (this.goalLabel) {
+      const labels = { weekday: `Default Goal (${this.unit})`, workout: `Rest Day Goal (${this.unit})` };
+      this.goalLabel.textContent = labels[mode] || this.goalLabelText;
+    }
+  }
+  
+  /**
+   * Fill the goal form from the record in effect today
+   */
+  fillGoalScheduleControls() {
+    const record = goalTimeline.getRecordForDate(this.goalTimeline, utils.formatDate(new Date()));
+    
+    this.elements.goalInput.value = record ? record.goal : '';
+    this.elements.goalSchedule.value = record && record.weekdays ? 'weekday' :
+      record && record.workoutGoal ? 'workout' : 'daily';
+    this.elements.workoutGoalInput.value = record && record.workoutGoal ? record.workoutGoal : '';
+    this.elements.goalWeekdays.querySelectorAll('input').forEach(input => {
+      const value = record && record.weekdays ? record.weekdays[input.dataset.day] : 0;
+      input.value = value > 0 ? value : '';
+    });
+    
+    this.updateGoalScheduleVisibility();
+  }
+  
+  /**
+   * Read the schedule part of the goal form
+   * @returns {Object|null} {} for a daily goal, { weekdays } or { workoutGoal }; null if invalid
+   */
+  readGoalSchedule() {
+    if (!this.elements.goalSchedule) return {};
+    
+    const mode = this.elements.goalSchedule.value;
+    
+    if (mode === 'weekday') {
+      const weekdays = new Array(7).fill(0);
+      this.elements.goalWeekdays.querySelectorAll('input').forEach(input => {
+        weekdays[input.dataset.day] = Math.max(0, parseInt(input.value) || 0);
+      });
+      return { weekdays };
+    }
+    
+    if (mode === 'workout') {
+      const workoutGoal = parseInt(this.elements.workoutGoalInput.value);
+      if (isNaN(workoutGoal) || workoutGoal <= 0) {
+        utils.showToast('Please enter a valid training day goal.', 'error');
+        return null;
+      }
+      return { workoutGoal };
+    }
+    
+    return {};
+  }
+  
   /**
    * Add intake amount
    * @param {number} amount - Amount to add
+   * @param {Date} [when] - When it was consumed (defaults to now)
    */
-  addIntake(amount) {
+  addIntake(amount, when = new Date()) {
     if (amount <= 0) return;
     
-    this.totalIntake += amount;
-    this.saveDailyHistory(amount);
+    const date = utils.formatDate(when);
+    const isToday = date === utils.formatDate(new Date());
+    
+    // Past days only live in the history; today's total is tracked separately
+    if (isToday) {
+      this.totalIntake += amount;
+    }
+    this.saveDailyHistory(amount, when);
     this.updateDisplay();
     this.refreshHistory();
     
-    utils.showToast(`Added ${amount} ${this.unit} of ${this.type}`, 'success');
+    const dayText = isToday ? '' : ` on ${utils.formatDateForDisplay(when)}`;
+    utils.showToast(`Added ${amount} ${this.unit} of ${this.name.toLowerCase()}${dayText}`, 'success');
   }
   
   /**
-   * Add manually entered intake
+   * Add manually entered intake, optionally backdated with the date/time picker
    */
   addManualIntake() {
     const amount = parseInt(this.elements.manualInput.value);
     
-    if (!isNaN(amount) && amount > 0) {
-      this.addIntake(amount);
-      this.elements.manualInput.value = '';
-    } else {
+    if (isNaN(amount) || amount <= 0) {
       utils.showToast(`Please enter a positive number.`, 'error');
+      return;
+    }
+    
+    const timeInput = this.elements.manualTimeInput;
+    let when = new Date();
+    
+    if (timeInput && timeInput.value) {
+      when = new Date(timeInput.value);
+      
+      if (isNaN(when.getTime())) {
+        utils.showToast('Please enter a valid date and time.', 'error');
+        return;
+      }
+      if (when > new Date()) {
+        utils.showToast('Entries cannot be logged in the future.', 'error');
+        return;
+      }
     }
+    
+    this.addIntake(amount, when);
+    this.elements.manualInput.value = '';
+    if (timeInput) timeInput.value = '';
   }
   
   /**
    * Save intake to daily history
    * @param {number} amount - Amount to save
+   * @param {Date} [when] - Entry time (defaults to now)
    */
-  saveDailyHistory(amount) {
-    const currentDate = utils.formatDate(new Date());
+  saveDailyHistory(amount, when = new Date()) {
+    const date = utils.formatDate(when);
     
-    if (!this.dailyHistory[currentDate]) {
-      this.dailyHistory[currentDate] = [];
+    if (!this.dailyHistory[date]) {
+      this.dailyHistory[date] = [];
     }
     
-    this.dailyHistory[currentDate].push({
+    // The id stays when the entry is edited, so imports can match it
+    this.dailyHistory[date].push({
+      id: utils.generateId('entry'),
       amount,
-      timestamp: new Date().toISOString()
+      timestamp: when.toISOString()
     });
+    // Backdated entries can land between existing ones
+    this.sortEntries(this.dailyHistory[date]);
     
-    localStorage.setItem(this.historyKey, JSON.stringify(this.dailyHistory));
+    this.saveHistory();
+  }
+  
+  /**
+   * Sort a day's entries by time. Compares instants, since entries from
+   * older data have local timestamps without a UTC offset.
+   * @param {Array} entries - Entries of one day
+   */
+  sortEntries(entries) {
+    entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
   }
   
   /**
@@ -191,6 +386,7 @@ class Tracker {
   refreshHistory() {
     this.showDailyHistory();
     this.showCurrentIntake();
+    this.showYearHistory();
   }
   
   /**
@@ -198,11 +394,12 @@ class Tracker {
    */
   checkAndResetDailyIntake() {
     const currentDate = utils.formatDate(new Date());
-    const lastResetDate = localStorage.getItem(this.lastResetKey);
+    const lastResetDate = storageManager.getItem(this.lastResetKey);
     
     if (lastResetDate !== currentDate) {
+      this.goal = this.getGoalForDate(currentDate);
       this.resetDailyIntake();
-      localStorage.setItem(this.lastResetKey, currentDate);
+      storageManager.setItem(this.lastResetKey, currentDate);
     }
   }
   
@@ -233,15 +430,16 @@ class Tracker {
    */
   resetDailyIntake() {
     this.totalIntake = 0;
-    localStorage.setItem(this.intakeKey, this.totalIntake);
+    storageManager.setItem(this.intakeKey, this.totalIntake);
     this.updateDisplay();
     this.refreshHistory();
   }
   
   /**
    * Show daily history (weekly summary)
+   * @param {boolean} activate - Switch the history popup to this tab
    */
-  showDailyHistory() {
+  showDailyHistory(activate = true) {
     if (!this.elements.dailyHistoryTab) return;
     
     this.elements.dailyHistoryTab.innerHTML = '';
@@ -273,21 +471,51 @@ class Tracker {
         totalText.textContent = `Total: ${totalAmount} ${this.unit}`;
         dayEntry.appendChild(totalText);
         
+        // Judge each day against the goal that applied then
+        const dayGoal = this.getGoalForDate(date);
         const goalPercent = document.createElement('p');
-        const percentage = this.goal > 0 ? Math.round((totalAmount / this.goal) * 100) : 0;
-        goalPercent.textContent = `${percentage}% of daily goal`;
+        const percentage = dayGoal > 0 ? Math.round((totalAmount / dayGoal) * 100) : 0;
+        goalPercent.textContent = dayGoal > 0 ? `${percentage}% of daily goal (${dayGoal} ${this.unit})` : 'No goal set';
         dayEntry.appendChild(goalPercent);
         
+        // Past days can be corrected entry by entry
+        if (entries.length > 0) {
+          const expanded = this.expandedDates.has(date);
+          const toggleBtn = document.createElement('button');
+          toggleBtn.className = 'entries-toggle';
+          toggleBtn.textContent = expanded ? 'Hide entries' : `Edit entries (${entries.length})`;
+          toggleBtn.addEventListener('click', () => {
+            if (this.expandedDates.has(date)) {
+              this.expandedDates.delete(date);
+            } else {
+              this.expandedDates.add(date);
+            }
+            this.showDailyHistory(false);
+          });
+          dayEntry.appendChild(toggleBtn);
+          
+          if (expanded) {
+            dayEntry.appendChild(this.createEntryList(date));
+          }
+        }
+        
         fragment.appendChild(dayEntry);
       });
     }
     
     this.elements.dailyHistoryTab.appendChild(fragment);
+    
+    if (!activate) return;
+    
     this.elements.dailyHistoryTab.classList.add('active');
     
     if (this.elements.currentIntakeTab) {
       this.elements.currentIntakeTab.classList.remove('active');
     }
+    
+    if (this.elements.yearHistoryTab) {
+      this.elements.yearHistoryTab.classList.remove('active');
+    }
   }
 
   /**
@@ -303,12 +531,12 @@ class Tracker {
     const container = document.createElement('div');
     
     const header = document.createElement('h3');
-    header.textContent = `Today's ${this.type.charAt(0).toUpperCase() + this.type.slice(1)} Intake`;
+    header.textContent = `Today's ${this.name} Intake`;
     container.appendChild(header);
     
     if (entries.length === 0) {
       const noEntries = document.createElement('p');
-      noEntries.textContent = `No ${this.type} intake recorded today.`;
+      noEntries.textContent = `No ${this.name.toLowerCase()} intake recorded today.`;
       container.appendChild(noEntries);
     } else {
       const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
@@ -322,33 +550,790 @@ class Tracker {
       entriesHeader.textContent = 'Individual Entries:';
       container.appendChild(entriesHeader);
       
-      const entriesList = document.createElement('ul');
+      container.appendChild(this.createEntryList(currentDate));
+    }
+    
+    this.elements.currentIntakeTab.appendChild(container);
+  }
+  
+  /**
+   * Show the year heatmap of goal attainment, shaded by each day's share of its goal
+   */
+  showYearHistory() {
+    if (!this.elements.yearHistoryTab) return;
+    
+    const config = window.trackerManager ? trackerManager.getConfig(this.type) : null;
+    const firstDate = Object.keys(this.dailyHistory).sort()[0];
+    const options = {
+      color: config ? config.color : THEME_COLORS[this.type],
+      firstYear: firstDate ? parseInt(firstDate) : undefined,
+      getDay: (date) => {
+        if (!firstDate || date < firstDate) return { level: null, label: 'Not tracked yet' };
+        
+        const total = (this.dailyHistory[date] || []).reduce((sum, entry) => sum + entry.amount, 0);
+        const dayGoal = this.getGoalForDate(date);
+        if (dayGoal <= 0) {
+          return { level: null, label: total > 0 ? `${total} ${this.unit}, no goal set` : 'No goal set' };
+        }
+        return { level: Math.min(1, total / dayGoal), label: `${total} / ${dayGoal} ${this.unit}` };
+      },
+      summary: (days) => `Goal reached on ${days.complete} of ${days.counted} days`
+    };
+    
+    if (this.yearHeatmap) {
+      this.yearHeatmap.setOptions(options);
+    } else {
+      this.yearHeatmap = new YearHeatmap(this.elements.yearHistoryTab, options);
+    }
+    this.yearHeatmap.render();
+  }
+  
+  /**
+   * Create the list of entries for a day, each with edit and delete buttons
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {HTMLElement} List element
+   */
+  createEntryList(date) {
+    const entriesList = document.createElement('ul');
+    entriesList.className = 'intake-entries';
+    
+    (this.dailyHistory[date] || []).forEach((entry, index) => {
+      const entryItem = document.createElement('li');
+      entryItem.className = 'intake-entry';
+      
+      const text = document.createElement('span');
+      const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      text.textContent = `${time}: ${entry.amount} ${this.unit}`;
+      entryItem.appendChild(text);
       
-      entries.forEach((entry, index) => {
-        const entryItem = document.createElement('li');
-        const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        entryItem.textContent = `${time}: ${entry.amount} ${this.unit}`;
-        entriesList.appendChild(entryItem);
+      const actions = document.createElement('div');
+      actions.className = 'entry-actions';
+      
+      const editBtn = document.createElement('button');
+      editBtn.className = 'icon-btn';
+      editBtn.setAttribute('aria-label', 'Edit entry');
+      editBtn.innerHTML = '<i class="material-icons-round">edit</i>';
+      editBtn.addEventListener('click', () => {
+        entriesList.replaceChild(this.createEntryEditor(date, index), entryItem);
       });
       
-      container.appendChild(entriesList);
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'icon-btn';
+      deleteBtn.setAttribute('aria-label', 'Delete entry');
+      deleteBtn.innerHTML = '<i class="material-icons-round">delete</i>';
+      deleteBtn.addEventListener('click', () => this.deleteEntry(date, index));
+      
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+      entryItem.appendChild(actions);
+      entriesList.appendChild(entryItem);
+    });
+    
+    return entriesList;
+  }
+  
+  /**
+   * Create an inline editor (amount and time) for an entry
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {number} index - Entry index within the day
+   * @returns {HTMLElement} List item with the editor
+   */
+  createEntryEditor(date, index) {
+    const entry = this.dailyHistory[date][index];
+    const timestamp = new Date(entry.timestamp);
+    
+    const editor = document.createElement('li');
+    editor.className = 'intake-entry editing';
+    
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.min = '0';
+    amountInput.value = entry.amount;
+    amountInput.setAttribute('aria-label', `Amount (${this.unit})`);
+    
+    const timeInput = document.createElement('input');
+    timeInput.type = 'time';
+    timeInput.value = `${String(timestamp.getHours()).padStart(2, '0')}:${String(timestamp.getMinutes()).padStart(2, '0')}`;
+    timeInput.setAttribute('aria-label', 'Time');
+    
+    const actions = document.createElement('div');
+    actions.className = 'entry-actions';
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'icon-btn';
+    saveBtn.setAttribute('aria-label', 'Save entry');
+    saveBtn.innerHTML = '<i class="material-icons-round">check</i>';
+    saveBtn.addEventListener('click', () => {
+      this.updateEntry(date, index, parseInt(amountInput.value), timeInput.value);
+    });
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'icon-btn';
+    cancelBtn.setAttribute('aria-label', 'Cancel');
+    cancelBtn.innerHTML = '<i class="material-icons-round">close</i>';
+    cancelBtn.addEventListener('click', () => this.refreshEntryViews());
+    
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    editor.appendChild(amountInput);
+    editor.appendChild(timeInput);
+    editor.appendChild(actions);
+    
+    return editor;
+  }
+  
+  /**
+   * Update the amount and time of an entry
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {number} index - Entry index within the day
+   * @param {number} amount - New amount
+   * @param {string} time - New time (HH:MM)
+   */
+  updateEntry(date, index, amount, time) {
+    const entries = this.dailyHistory[date];
+    if (!entries || !entries[index]) return;
+    
+    if (isNaN(amount) || amount <= 0) {
+      utils.showToast('Please enter a positive number.', 'error');
+      return;
     }
     
-    this.elements.currentIntakeTab.appendChild(container);
+    if (!/^\d{2}:\d{2}$/.test(time || '')) {
+      utils.showToast('Please enter a valid time.', 'error');
+      return;
+    }
+    
+    // Local time on the entry's day, stored as UTC ISO like new entries
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const when = new Date(year, month - 1, day, hours, minutes);
+    if (when > new Date()) {
+      utils.showToast('Entries cannot be logged in the future.', 'error');
+      return;
+    }
+    
+    const entry = entries[index];
+    this.adjustTodayTotal(date, amount - entry.amount);
+    
+    entry.amount = amount;
+    entry.timestamp = when.toISOString();
+    if (!entry.id) entry.id = utils.generateId('entry');
+    this.sortEntries(entries);
+    
+    this.saveHistory();
+    this.refreshEntryViews();
+    
+    utils.showToast(`Entry updated to ${amount} ${this.unit}`, 'success');
+  }
+  
+  /**
+   * Delete an entry, offering undo from the toast
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {number} index - Entry index within the day
+   */
+  deleteEntry(date, index) {
+    const entries = this.dailyHistory[date];
+    if (!entries || !entries[index]) return;
+    
+    const [entry] = entries.splice(index, 1);
+    if (entries.length === 0) {
+      delete this.dailyHistory[date];
+    }
+    this.adjustTodayTotal(date, -entry.amount);
+    
+    this.saveHistory();
+    this.refreshEntryViews();
+    
+    utils.showToast(`Deleted ${entry.amount} ${this.unit} entry`, 'warning', 5000, {
+      label: 'Undo',
+      onClick: () => this.restoreEntry(date, entry)
+    });
+  }
+  
+  /**
+   * Put a deleted entry back
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {Object} entry - The deleted entry
+   */
+  restoreEntry(date, entry) {
+    if (!this.dailyHistory[date]) {
+      this.dailyHistory[date] = [];
+    }
+    
+    this.dailyHistory[date].push(entry);
+    this.sortEntries(this.dailyHistory[date]);
+    this.adjustTodayTotal(date, entry.amount);
+    
+    this.saveHistory();
+    this.refreshEntryViews();
+    
+    utils.showToast('Entry restored', 'success');
+  }
+  
+  /**
+   * Apply an amount change to today's total (past days only live in history)
+   * @param {string} date - Date key of the changed entry
+   * @param {number} delta - Amount to add (negative to subtract)
+   */
+  adjustTodayTotal(date, delta) {
+    if (date !== utils.formatDate(new Date())) return;
+    
+    this.totalIntake = Math.max(0, this.totalIntake + delta);
+    this.updateDisplay();
+  }
+  
+  /**
+   * Persist the daily history
+   */
+  saveHistory() {
+    storageManager.setItem(this.historyKey, JSON.stringify(this.dailyHistory));
+  }
+  
+  /**
+   * Re-render history views without switching the active history tab
+   */
+  refreshEntryViews() {
+    this.showDailyHistory(false);
+    this.showCurrentIntake();
+    this.showYearHistory();
   }
   
   /**
    * Reset all data for this tracker
    */
   resetAllData() {
-    localStorage.removeItem(this.goalKey);
-    localStorage.removeItem(this.intakeKey);
-    localStorage.removeItem(this.historyKey);
-    localStorage.removeItem(this.lastResetKey);
+    storageManager.removeItem(this.goalKey);
+    storageManager.removeItem(this.intakeKey);
+    storageManager.removeItem(this.historyKey);
+    storageManager.removeItem(this.lastResetKey);
     
-    utils.showToast(`All ${this.type} tracking data has been reset.`, 'warning');
+    utils.showToast(`All ${this.name.toLowerCase()} tracking data has been reset.`, 'warning');
     
     // Reload the page to reset all instances
     setTimeout(() => location.reload(), 1500);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Recalculate today's goal on every tracker (workout-linked goals change
+ * when a workout is logged or removed)
+ */
+function refreshTrackerGoals() {
+  [window.waterTracker, window.proteinTracker, ...Object.values(window.customTrackers || {})]
+    .forEach(tracker => {
+      if (tracker) tracker.refreshGoal();
+    });
+}
+
+/**
+ * Built-in trackers - their DOM is part of index.html
+ */
+const BUILT_IN_TRACKERS = [
+  { type: 'water', name: 'Water', unit: 'ml', color: THEME_COLORS.water, icon: 'water_drop', quickAdd: [50, 100, 250, 500], builtIn: true },
+  { type: 'protein', name: 'Protein', unit: 'g', color: THEME_COLORS.protein, icon: 'restaurant', quickAdd: [1, 5, 10, 15], builtIn: true }
+];
+
+/**
+ * Check a quick-add amount of a custom tracker
+ * @param {*} amount - Value to check
+ * @returns {boolean} True for a positive finite number
+ */
+function isQuickAddAmount(amount) {
+  return typeof amount === 'number' && isFinite(amount) && amount > 0;
+}
+
+// Types already used by other apps or storage keys
+const RESERVED_TRACKER_TYPES = ['water', 'protein', 'workout', 'habits', 'reminders', 'more', 'server', 'import', 'export'];
+
+/**
+ * Check a custom tracker config from an import. The icon and quick-add
+ * amounts end up in generated markup, so both are restricted.
+ * @param {*} config - Value to check
+ * @returns {boolean} True if the config can be stored
+ */
+function isValidTrackerConfig(config) {
+  return !!config && typeof config === 'object' &&
+    /^[a-z0-9-]+$/.test(config.type || '') &&
+    typeof config.name === 'string' &&
+    (config.icon === undefined || (typeof config.icon === 'string' && /^[a-z0-9_]+$/.test(config.icon))) &&
+    (config.quickAdd === undefined || (Array.isArray(config.quickAdd) && config.quickAdd.every(isQuickAddAmount)));
+}
+
+/**
+ * Check the imported tracker configs as a whole. Reserved or repeated types
+ * would share storage keys and DOM ids with another tracker.
+ * @param {Array} configs - Imported tracker configs
+ * @returns {string|null} What is wrong with the configs, or null if they can be stored
+ */
+function getTrackerConfigsError(configs) {
+  if (!configs.every(isValidTrackerConfig)) {
+    return 'has a tracker with an invalid type, name, icon or quick-add amount';
+  }
+  
+  const types = configs.map(config => config.type);
+  const reserved = types.find(type => RESERVED_TRACKER_TYPES.includes(type));
+  if (reserved) return `uses the reserved tracker type "${reserved}"`;
+  
+  const duplicate = types.find((type, index) => types.indexOf(type) !== index);
+  if (duplicate) return `has more than one "${duplicate}" tracker`;
+  
+  return null;
+}
+
+/**
+ * TrackerManager - user-defined trackers (calories, caffeine, steps, ...)
+ * Each custom tracker is a regular Tracker whose DOM is generated from its config.
+ */
+class TrackerManager {
+  constructor() {
+    this.configKey = STORAGE_KEYS.TRACKER_CONFIG;
+    this.editingType = null;
+    this.loadConfigs();
+  }
+  
+  /**
+   * Load custom tracker configs from storage
+   */
+  loadConfigs() {
+    try {
+      this.customTrackers = JSON.parse(storageManager.getItem(this.configKey)) || [];
+    } catch (error) {
+      console.error('Error loading tracker config:', error);
+      this.customTrackers = [];
+    }
+  }
+  
+  /**
+   * Save custom tracker configs to storage
+   */
+  saveConfigs() {
+    storageManager.setItem(this.configKey, JSON.stringify(this.customTrackers));
+  }
+  
+  /**
+   * Get configs for all trackers (built-in first)
+   * @returns {Array} Tracker configs
+   */
+  getAllConfigs() {
+    return BUILT_IN_TRACKERS.concat(this.customTrackers);
+  }
+  
+  /**
+   * Get the config for a tracker type
+   * @param {string} type - Tracker type
+   * @returns {Object|undefined} Tracker config
+   */
+  getConfig(type) {
+    return this.getAllConfigs().find(config => config.type === type);
+  }
+  
+  /**
+   * Create a storage/DOM-safe type id from a tracker name
+   */
+  createTypeId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'tracker';
+    let type = RESERVED_TRACKER_TYPES.includes(base) ? `${base}-tracker` : base;
+    
+    let suffix = 2;
+    while (this.getConfig(type)) {
+      type = `${base}-${suffix++}`;
+    }
+    return type;
+  }
+  
+  /**
+   * Build DOM (tab button and app section) for every custom tracker.
+   * Must run before tab navigation and panels are initialized.
+   */
+  renderCustomTrackers() {
+    const tabs = document.querySelector('.tabs');
+    const workoutTab = document.getElementById('workout-tab-btn');
+    const workoutApp = document.getElementById('workout-app');
+    
+    this.customTrackers.forEach(config => {
+      if (document.getElementById(`${config.type}-app`)) return;
+      
+      const tabBtn = document.createElement('button');
+      tabBtn.id = `${config.type}-tab-btn`;
+      tabBtn.className = 'tab-btn custom-tracker-tab';
+      tabBtn.dataset.app = config.type;
+      tabBtn.style.setProperty('--tracker-primary', config.color);
+      tabBtn.innerHTML = `
+        <i class="material-icons-round"></i>
+        <span></span>
+      `;
+      tabBtn.querySelector('i').textContent = config.icon || 'track_changes';
+      tabBtn.querySelector('span').textContent = config.name;
+      tabs.insertBefore(tabBtn, workoutTab);
+      
+      const section = document.createElement('section');
+      section.id = `${config.type}-app`;
+      section.className = 'app-container custom-tracker-app';
+      section.style.setProperty('--tracker-primary', config.color);
+      section.innerHTML = this.getTrackerTemplate(config);
+      workoutApp.parentNode.insertBefore(section, workoutApp);
+      
+      // User-entered text is set via textContent
+      section.querySelectorAll('[data-tracker-name]').forEach(el => {
+        el.textContent = el.dataset.trackerName === 'title' ? config.name : `${config.name} ${el.dataset.trackerName}`;
+      });
+      section.querySelectorAll('[data-tracker-unit]').forEach(el => {
+        el.textContent = config.unit;
+      });
+    });
+  }
+  
+  /**
+   * HTML for a custom tracker app, mirroring the water/protein markup in index.html
+   */
+  getTrackerTemplate(config) {
+    const type = config.type;
+    // Only validated numbers are put into the markup
+    const quickAdd = (config.quickAdd || []).filter(isQuickAddAmount).map(amount => `
+            <button class="action-btn custom-tracker" data-action="${type}-add" data-amount="${amount}">
+              +${amount}<span data-tracker-unit></span>
+            </button>`).join('');
+    
+    return `
+        <div class="card main-card">
+          <div class="card-header">
+            <button class="icon-btn" id="${type}-history-toggle" aria-label="History">
+              <i class="material-icons-round">history</i>
+            </button>
+            <h2 data-tracker-name="title"></h2>
+            <button class="icon-btn" id="${type}-settings-toggle" aria-label="Settings">
+              <i class="material-icons-round">settings</i>
+            </button>
+          </div>
+          
+          <div class="goal-visual">
+            <div class="circular-progress" id="${type}-circular-progress">
+              <svg viewBox="0 0 100 100">
+                <circle class="progress-bg" cx="50" cy="50" r="45"></circle>
+                <circle class="progress-bar" id="${type}-progress-circle" cx="50" cy="50" r="45"></circle>
+              </svg>
+              <div class="progress-content">
+                <span id="${type}-total">0</span>
+                <span class="unit" data-tracker-unit></span>
+              </div>
+            </div>
+          </div>
+          
+          <div class="progress-text">
+            <p>Daily Goal: <span id="${type}-goal-display">0</span> <span class="unit-label" data-tracker-unit></span></p>
+            <p>Remaining: <span id="${type}-remaining">0</span> <span class="unit-label" data-tracker-unit></span></p>
+          </div>
+          
+          <div class="quick-add">${quickAdd}
+          </div>
+          
+          <div class="custom-add">
+            <input type="number" id="${type}-manual" placeholder="Custom amount" min="0" />
+            <button id="${type}-add-manual" class="action-btn custom-tracker">Add</button>
+            <input type="datetime-local" id="${type}-manual-time" class="backdate-input" aria-label="Date and time (leave empty for now)" />
+          </div>
+          
+          <button id="${type}-reset-daily" class="reset-btn">
+            <i class="material-icons-round">refresh</i> Reset Today
+          </button>
+        </div>
+
+        <div class="panel settings-panel" id="${type}-settings-section">
+          <div class="panel-header">
+            <h3 data-tracker-name="Settings"></h3>
+            <button class="close-panel icon-btn" aria-label="Close">
+              <i class="material-icons-round">close</i>
+            </button>
+          </div>
+          
+          <div class="form-group">
+            <label for="${type}-goal">Daily Goal</label>
+            <input type="number" id="${type}-goal" placeholder="Enter goal" min="0" />
+          </div>
+
+          <div class="btn-group">
+            <button id="${type}-set-goal" class="action-btn custom-tracker">Save Goal</button>
+          </div>
+
+          <div class="notification-buttons-section">
+            <button class="notification-button" id="${type}-goal-reminder-btn" data-type="goal">
+              <i class="material-icons-round">notifications</i>
+              <span>Goal Reminder</span>
+              <div class="button-status" id="${type}-goal-status">OFF</div>
+            </button>
+            <button class="notification-button" id="${type}-interval-reminder-btn" data-type="interval">
+              <i class="material-icons-round">schedule</i>
+              <span>Interval Reminder</span>
+              <div class="button-status" id="${type}-interval-status">OFF</div>
+            </button>
+            <button class="notification-button more-options" id="${type}-more-options-btn">
+              <i class="material-icons-round">tune</i>
+              <span>More Options</span>
+            </button>
+          </div>
+          
+          <div class="btn-group">
+            <button id="${type}-reset-data" class="danger-btn">
+              <i class="material-icons-round">delete</i> Reset All Data
+            </button>
+          </div>
+        </div>
+
+        <div class="panel history-panel" id="${type}-history-popup">
+          <div class="panel-header">
+            <h3 data-tracker-name="History"></h3>
+            <button class="close-panel icon-btn" aria-label="Close">
+              <i class="material-icons-round">close</i>
+            </button>
+          </div>
+          
+          <div class="tabs-inner">
+            <button class="tab-button active" data-tab="${type}-daily-history">
+              Weekly Summary
+            </button>
+            <button class="tab-button" data-tab="${type}-current-intake">
+              Today's Logs
+            </button>
+            <button class="tab-button" data-tab="${type}-year-history">
+              Year
+            </button>
+          </div>
+          
+          <div class="tab-content" id="${type}-daily-history"></div>
+          <div class="tab-content" id="${type}-current-intake"></div>
+          <div class="tab-content" id="${type}-year-history"></div>
+        </div>
+    `;
+  }
+  
+  /**
+   * Create Tracker instances for custom trackers
+   * @returns {Tracker[]} Created trackers
+   */
+  createCustomTrackers() {
+    window.customTrackers = {};
+    
+    return this.customTrackers.map(config => {
+      const tracker = new Tracker({ type: config.type, unit: config.unit, name: config.name });
+      window.customTrackers[config.type] = tracker;
+      return tracker;
+    });
+  }
+  
+  /**
+   * Initialize manage trackers modal events
+   */
+  initializeManagement() {
+    const manageBtn = document.getElementById('manage-trackers-btn');
+    if (manageBtn) {
+      manageBtn.addEventListener('click', () => {
+        document.getElementById('more-options-panel').classList.remove('active');
+        this.showManageModal();
+      });
+    }
+    
+    const saveBtn = document.getElementById('tracker-config-save');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.saveTrackerFromForm());
+    }
+    
+    const cancelBtn = document.getElementById('tracker-manage-cancel');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.hideManageModal());
+    }
+    
+    const modal = document.getElementById('tracker-manage-modal');
+    if (modal) {
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) this.hideManageModal();
+      });
+    }
+  }
+  
+  /**
+   * Show manage trackers modal
+   */
+  showManageModal() {
+    this.resetForm();
+    this.renderTrackerList();
+    document.getElementById('tracker-manage-modal').style.display = 'flex';
+  }
+  
+  /**
+   * Hide manage trackers modal
+   */
+  hideManageModal() {
+    document.getElementById('tracker-manage-modal').style.display = 'none';
+    this.resetForm();
+  }
+  
+  /**
+   * Clear the tracker form
+   */
+  resetForm() {
+    this.editingType = null;
+    document.getElementById('tracker-config-name').value = '';
+    document.getElementById('tracker-config-unit').value = '';
+    document.getElementById('tracker-config-color').value = '#FF9800';
+    document.getElementById('tracker-config-quick-add').value = '';
+    document.getElementById('tracker-config-goal').value = '';
+    document.getElementById('tracker-form-title').textContent = 'Add New Tracker';
+    document.getElementById('tracker-config-save').textContent = 'Add Tracker';
+  }
+  
+  /**
+   * Render the list of custom trackers in the modal
+   */
+  renderTrackerList() {
+    const list = document.getElementById('tracker-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    if (this.customTrackers.length === 0) {
+      const emptyMsg = document.createElement('p');
+      emptyMsg.textContent = 'No custom trackers yet.';
+      list.appendChild(emptyMsg);
+      return;
+    }
+    
+    this.customTrackers.forEach(config => {
+      const item = document.createElement('div');
+      item.className = 'tracker-list-item';
+      
+      const name = document.createElement('span');
+      name.className = 'tracker-name';
+      name.textContent = `${config.name} (${config.unit})`;
+      name.style.borderLeft = `4px solid ${config.color}`;
+      name.style.paddingLeft = 'var(--spacing-sm)';
+      
+      const actions = document.createElement('div');
+      actions.className = 'tracker-list-actions';
+      
+      const editBtn = document.createElement('button');
+      editBtn.className = 'edit-btn';
+      editBtn.title = `Edit ${config.name}`;
+      editBtn.innerHTML = '<i class="material-icons-round">edit</i>';
+      editBtn.addEventListener('click', () => this.editTracker(config.type));
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'delete-btn';
+      deleteBtn.title = `Delete ${config.name}`;
+      deleteBtn.innerHTML = '<i class="material-icons-round">delete</i>';
+      deleteBtn.addEventListener('click', () => this.deleteTracker(config.type));
+      
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+      item.appendChild(name);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * Load a tracker config into the form for editing
+   */
+  editTracker(type) {
+    const config = this.customTrackers.find(c => c.type === type);
+    if (!config) return;
+    
+    this.editingType = type;
+    document.getElementById('tracker-config-name').value = config.name;
+    document.getElementById('tracker-config-unit').value = config.unit;
+    document.getElementById('tracker-config-color').value = config.color;
+    document.getElementById('tracker-config-quick-add').value = (config.quickAdd || []).join(', ');
+    const tracker = window.customTrackers && window.customTrackers[type];
+    document.getElementById('tracker-config-goal').value = tracker && tracker.goal ? tracker.goal : '';
+    document.getElementById('tracker-form-title').textContent = `Edit ${config.name}`;
+    document.getElementById('tracker-config-save').textContent = 'Save Changes';
+  }
+  
+  /**
+   * Validate the form and add or update a tracker
+   */
+  saveTrackerFromForm() {
+    const name = document.getElementById('tracker-config-name').value.trim();
+    const unit = document.getElementById('tracker-config-unit').value.trim();
+    const color = document.getElementById('tracker-config-color').value;
+    const quickAddText = document.getElementById('tracker-config-quick-add').value;
+    const goal = parseInt(document.getElementById('tracker-config-goal').value);
+    
+    if (!name || !unit) {
+      utils.showToast('Please enter a name and a unit', 'error');
+      return;
+    }
+    
+    const quickAdd = quickAddText.split(',')
+      .map(value => parseInt(value.trim()))
+      .filter(value => !isNaN(value) && value > 0)
+      .slice(0, 4);
+    
+    const duplicate = this.getAllConfigs().find(c =>
+      c.name.toLowerCase() === name.toLowerCase() && c.type !== this.editingType);
+    if (duplicate) {
+      utils.showToast('A tracker with this name already exists', 'error');
+      return;
+    }
+    
+    let config;
+    if (this.editingType) {
+      config = this.customTrackers.find(c => c.type === this.editingType);
+      Object.assign(config, { name, unit, color, quickAdd });
+    } else {
+      config = {
+        type: this.createTypeId(name),
+        name,
+        unit,
+        color,
+        icon: 'track_changes',
+        quickAdd
+      };
+      this.customTrackers.push(config);
+    }
+    
+    this.saveConfigs();
+    
+    // An unchanged goal keeps any schedule set in the tracker's settings panel
+    const tracker = window.customTrackers && window.customTrackers[config.type];
+    if (!isNaN(goal) && goal > 0 && (!tracker || tracker.goal !== goal)) {
+      const goalKey = `${STORAGE_KEYS.GOAL_PREFIX}${config.type}`;
+      const timeline = goalTimeline.setGoal(
+        goalTimeline.parse(storageManager.getItem(goalKey)), utils.formatDate(new Date()), goal);
+      storageManager.setItem(goalKey, JSON.stringify(timeline));
+    }
+    
+    utils.showToast(`${name} tracker saved! Reloading...`, 'success');
+    this.hideManageModal();
+    
+    // Tracker DOM, tabs and panels are built at startup
+    setTimeout(() => storageManager.flush().then(() => location.reload()), 1000);
+  }
+  
+  /**
+   * Delete a custom tracker with all its data and reminders
+   */
+  deleteTracker(type) {
+    const config = this.customTrackers.find(c => c.type === type);
+    if (!config) return;
+    
+    if (!confirm(`Are you sure you want to delete "${config.name}"? This will remove all its history.`)) {
+      return;
+    }
+    
+    this.customTrackers = this.customTrackers.filter(c => c.type !== type);
+    this.saveConfigs();
+    
+    [STORAGE_KEYS.GOAL_PREFIX, STORAGE_KEYS.INTAKE_PREFIX, STORAGE_KEYS.HISTORY_PREFIX, STORAGE_KEYS.LAST_RESET_PREFIX]
+      .forEach(prefix => storageManager.removeItem(`${prefix}${type}`));
+    
+    if (window.remindersManager && window.remindersManager.data && window.remindersManager.data.systemNotifications) {
+      delete window.remindersManager.data.systemNotifications[`${type}Alert`];
+      delete window.remindersManager.data.systemNotifications[`${type}Interval`];
+      window.remindersManager.saveData();
+    }
+    
+    utils.showToast(`${config.name} tracker deleted. Reloading...`, 'warning');
+    this.hideManageModal();
+    setTimeout(() => storageManager.flush().then(() => location.reload()), 1000);
+  }
+}
@@ -0,0 +1,448 @@
+/**
+ * Health Tracker App - Workout Timer
+ * Rest timer between sets plus interval, EMOM and Tabata timers. Phases run
+ * on end timestamps so a throttled background tab catches up instead of
+ * drifting; the service worker shows a notification if the timer ends while
+ * the app is in the background. Browsers may stop the worker before a long
+ * timer ends, so a hidden page that is still running notifies as well.
+ */
+
+class WorkoutTimer {
+    /**
+     * @param {Function} createDialog - Builds an open workout dialog (WorkoutTracker.createDialog)
+     */
+    constructor(createDialog) {
+        this.createDialog = createDialog;
+        this.settingsKey = STORAGE_KEYS.WORKOUT_TIMER;
+        this.notificationId = 'workout-timer';
+        this.settings = {
+            restSeconds: 90,
+            autoRest: true,
+            sound: true,
+            vibrate: true,
+            mode: 'interval',
+            workSeconds: 40,
+            intervalRestSeconds: 20,
+            rounds: 8,
+            emomSeconds: 60,
+            emomRounds: 10,
+            ...(JSON.parse(storageManager.getItem(this.settingsKey)) || {})
+        };
+
+        // Running timer
+        this.title = '';
+        this.phases = [];
+        this.phaseIndex = 0;
+        this.phaseEndsAt = null;
+        this.pausedRemaining = null;
+        this.lastCountdown = null;
+        this.ticker = null;
+        this.bar = null;
+        this.audioContext = null;
+    }
+
+    /**
+     * Save timer settings to storage
+     */
+    saveSettings() {
+        storageManager.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Phases of a timer mode
+     * @param {string} mode - 'rest', 'interval', 'emom' or 'tabata'
+     * @returns {Array} Phases: { label, seconds, work }
+     */
+    getPhases(mode) {
+        const rounds = (count, build) => Array.from({ length: count }, (_, index) => build(index + 1, count)).flat();
+        const intervals = (work, rest, count) => rounds(count, (round, total) => [
+            { label: `Work ${round}/${total}`, seconds: work, work: true },
+            // No rest after the last round
+            ...(round < total && rest > 0 ? [{ label: 'Rest', seconds: rest, work: false }] : [])
+        ]);
+
+        switch (mode) {
+            case 'rest':
+                return [{ label: 'Rest', seconds: this.settings.restSeconds, work: false }];
+            case 'interval':
+                return intervals(this.settings.workSeconds, this.settings.intervalRestSeconds, this.settings.rounds);
+            case 'emom':
+                return rounds(this.settings.emomRounds, (round, total) =>
+                    [{ label: `Round ${round}/${total}`, seconds: this.settings.emomSeconds, work: true }]);
+            case 'tabata':
+                return intervals(20, 10, 8);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Start the rest timer after a set, if enabled
+     */
+    startRest() {
+        if (this.settings.autoRest) this.start('rest');
+    }
+
+    /**
+     * Start a timer, replacing any running one
+     * @param {string} mode - 'rest', 'interval', 'emom' or 'tabata'
+     */
+    start(mode) {
+        const phases = this.getPhases(mode).filter(phase => phase.seconds > 0);
+        if (phases.length === 0) return;
+
+        this.stop();
+        this.title = { rest: 'Rest', interval: 'Interval', emom: 'EMOM', tabata: 'Tabata' }[mode];
+        this.phases = phases;
+        this.phaseIndex = 0;
+        this.phaseEndsAt = Date.now() + phases[0].seconds * 1000;
+        this.lastCountdown = null;
+
+        // Audio needs a user gesture to unlock; starting the timer is one
+        if (this.settings.sound && !this.audioContext) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (AudioContext) this.audioContext = new AudioContext();
+        }
+
+        this.renderBar();
+        this.ticker = setInterval(() => this.tick(), 250);
+        this.scheduleNotification();
+        if (mode !== 'rest') this.cue('phase');
+    }
+
+    /**
+     * Advance through phases that have ended and refresh the display
+     */
+    tick() {
+        if (this.pausedRemaining !== null || !this.phaseEndsAt) return;
+
+        const now = Date.now();
+        let changed = false;
+        while (now >= this.phaseEndsAt) {
+            this.phaseIndex++;
+            if (this.phaseIndex >= this.phases.length) {
+                this.finish();
+                return;
+            }
+            this.phaseEndsAt += this.phases[this.phaseIndex].seconds * 1000;
+            changed = true;
+        }
+
+        if (changed) {
+            this.lastCountdown = null;
+            this.cue('phase');
+        }
+
+        // Short ticks on the last three seconds of a phase
+        const remaining = Math.ceil((this.phaseEndsAt - now) / 1000);
+        if (remaining <= 3 && remaining !== this.lastCountdown) {
+            this.lastCountdown = remaining;
+            this.cue('countdown');
+        }
+
+        this.updateBar(remaining);
+    }
+
+    /**
+     * Pause or resume the running timer
+     */
+    togglePause() {
+        if (!this.phaseEndsAt) return;
+
+        if (this.pausedRemaining === null) {
+            this.pausedRemaining = Math.max(0, this.phaseEndsAt - Date.now());
+            this.cancelNotification();
+        } else {
+            this.phaseEndsAt = Date.now() + this.pausedRemaining;
+            this.pausedRemaining = null;
+            this.scheduleNotification();
+        }
+        this.updateBar();
+    }
+
+    /**
+     * Add time to the current phase
+     * @param {number} seconds - Seconds to add
+     */
+    addTime(seconds) {
+        if (!this.phaseEndsAt) return;
+
+        if (this.pausedRemaining !== null) {
+            this.pausedRemaining += seconds * 1000;
+        } else {
+            this.phaseEndsAt += seconds * 1000;
+            this.scheduleNotification();
+        }
+        this.lastCountdown = null;
+        this.updateBar();
+    }
+
+    /**
+     * Stop the timer without the end cue
+     */
+    stop() {
+        clearInterval(this.ticker);
+        this.ticker = null;
+        this.phaseEndsAt = null;
+        this.pausedRemaining = null;
+        this.cancelNotification();
+        if (this.bar) {
+            this.bar.remove();
+            this.bar = null;
+        }
+    }
+
+    /**
+     * End of the last phase
+     */
+    finish() {
+        const title = this.title;
+        const notification = this.getNotificationText();
+        this.stop();
+        if (document.hidden) this.showPageNotification(notification);
+        this.cue('end');
+        utils.showToast(title === 'Rest' ? 'Rest is over - next set!' : `${title} timer complete!`, 'success');
+    }
+
+    /**
+     * Seconds left in the current phase
+     * @returns {number}
+     */
+    getRemaining() {
+        const remaining = this.pausedRemaining !== null ? this.pausedRemaining : this.phaseEndsAt - Date.now();
+        return Math.max(0, Math.ceil(remaining / 1000));
+    }
+
+    /**
+     * Show the floating timer bar, above modals so it stays visible while logging sets
+     */
+    renderBar() {
+        this.bar = document.createElement('div');
+        this.bar.className = 'workout-timer-bar';
+        this.bar.innerHTML = `
+            <div class="workout-timer-info">
+                <span class="workout-timer-label"></span>
+                <span class="workout-timer-time"></span>
+            </div>
+            <button type="button" class="icon-btn workout-timer-add" aria-label="Add 15 seconds">+15</button>
+            <button type="button" class="icon-btn workout-timer-pause" aria-label="Pause">
+                <i class="material-icons-round">pause</i>
+            </button>
+            <button type="button" class="icon-btn workout-timer-stop" aria-label="Stop timer">
+                <i class="material-icons-round">close</i>
+            </button>
+        `;
+
+        this.bar.querySelector('.workout-timer-add').addEventListener('click', () => this.addTime(15));
+        this.bar.querySelector('.workout-timer-pause').addEventListener('click', () => this.togglePause());
+        this.bar.querySelector('.workout-timer-stop').addEventListener('click', () => this.stop());
+
+        document.body.appendChild(this.bar);
+        this.updateBar();
+    }
+
+    /**
+     * Refresh the timer bar
+     * @param {number} remaining - Seconds left in the phase (computed if omitted)
+     */
+    updateBar(remaining = this.getRemaining()) {
+        if (!this.bar) return;
+
+        const phase = this.phases[this.phaseIndex];
+        const label = this.phases.length > 1 ? `${this.title} · ${phase.label}` : phase.label;
+        this.bar.querySelector('.workout-timer-label').textContent = label;
+        this.bar.querySelector('.workout-timer-time').textContent = this.formatTime(remaining);
+        this.bar.classList.toggle('work', phase.work);
+        this.bar.classList.toggle('paused', this.pausedRemaining !== null);
+        this.bar.querySelector('.workout-timer-pause i').textContent = this.pausedRemaining !== null ? 'play_arrow' : 'pause';
+    }
+
+    /**
+     * Format seconds as m:ss
+     * @param {number} seconds - Seconds
+     * @returns {string}
+     */
+    formatTime(seconds) {
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Sound and vibration cue
+     * @param {string} type - 'countdown', 'phase' or 'end'
+     */
+    cue(type) {
+        const cues = {
+            countdown: { tones: [[660, 0.08]], vibration: 40 },
+            phase: { tones: [[880, 0.25]], vibration: [150] },
+            end: { tones: [[880, 0.2], [880, 0.2], [1320, 0.5]], vibration: [200, 100, 200, 100, 400] }
+        };
+        const { tones, vibration } = cues[type];
+
+        if (this.settings.vibrate && navigator.vibrate) {
+            navigator.vibrate(vibration);
+        }
+
+        if (!this.settings.sound || !this.audioContext) return;
+        try {
+            let startAt = this.audioContext.currentTime;
+            tones.forEach(([frequency, duration]) => {
+                const oscillator = this.audioContext.createOscillator();
+                const gain = this.audioContext.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.3, startAt);
+                gain.gain.exponentialRampToValueAtTime(0.001, startAt + duration);
+                oscillator.connect(gain);
+                gain.connect(this.audioContext.destination);
+                oscillator.start(startAt);
+                oscillator.stop(startAt + duration);
+                startAt += duration + 0.05;
+            });
+        } catch (error) {
+            console.error('Error playing timer sound:', error);
+        }
+    }
+
+    /**
+     * Ask the service worker to notify when the whole timer ends; it skips the
+     * notification if the app is visible by then
+     */
+    scheduleNotification() {
+        const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (!worker || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const remainingPhases = this.phases.slice(this.phaseIndex + 1).reduce((sum, phase) => sum + phase.seconds, 0);
+        worker.postMessage({
+            type: 'schedule-timer',
+            data: {
+                id: this.notificationId,
+                at: this.phaseEndsAt + remainingPhases * 1000,
+                ...this.getNotificationText()
+            }
+        });
+    }
+
+    /**
+     * Title and body of the timer end notification
+     */
+    getNotificationText() {
+        return {
+            title: this.title === 'Rest' ? 'Rest is over' : `${this.title} complete`,
+            body: this.title === 'Rest' ? 'Time for your next set.' : 'Nice work!'
+        };
+    }
+
+    /**
+     * Notify from the page when the timer ends in the background. Shares the
+     * worker notification's tag, so it replaces rather than duplicates it.
+     * @param {Object} notification - { title, body } from getNotificationText()
+     */
+    showPageNotification({ title, body }) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        try {
+            new Notification(title, {
+                body,
+                icon: 'icons/icon-192.png',
+                badge: 'icons/icon-192.png',
+                tag: this.notificationId
+            });
+        } catch (error) {
+            // Some mobile browsers only allow notifications from the service worker
+            console.error('Error showing timer notification:', error);
+        }
+    }
+
+    /**
+     * Cancel the service worker notification of the running timer
+     */
+    cancelNotification() {
+        const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (worker) worker.postMessage({ type: 'cancel-timer', data: { id: this.notificationId } });
+    }
+
+    /**
+     * Timer settings and mode picker
+     */
+    showSettings() {
+        const timerModal = this.createDialog();
+
+        const notificationsOn = 'Notification' in window && Notification.permission === 'granted';
+        timerModal.innerHTML = `
+            <div class="modal-content workout-timer-settings" style="position: relative; max-width: 400px;">
+                <div class="modal-header">Timer</div>
+                <select class="modal-input workout-timer-mode" aria-label="Timer mode">
+                    <option value="rest">Rest timer</option>
+                    <option value="interval">Intervals</option>
+                    <option value="emom">EMOM</option>
+                    <option value="tabata">Tabata (20s on, 10s off × 8)</option>
+                </select>
+                <div class="workout-timer-fields" data-mode="rest">
+                    <label>Rest (seconds) <input type="number" class="modal-input" data-setting="restSeconds" min="5" step="5"></label>
+                </div>
+                <div class="workout-timer-fields" data-mode="interval">
+                    <label>Work (seconds) <input type="number" class="modal-input" data-setting="workSeconds" min="5" step="5"></label>
+                    <label>Rest (seconds) <input type="number" class="modal-input" data-setting="intervalRestSeconds" min="0" step="5"></label>
+                    <label>Rounds <input type="number" class="modal-input" data-setting="rounds" min="1" step="1"></label>
+                </div>
+                <div class="workout-timer-fields" data-mode="emom">
+                    <label>Every (seconds) <input type="number" class="modal-input" data-setting="emomSeconds" min="10" step="5"></label>
+                    <label>Rounds <input type="number" class="modal-input" data-setting="emomRounds" min="1" step="1"></label>
+                </div>
+                <label class="workout-timer-option"><input type="checkbox" data-setting="autoRest"> Start the rest timer after each set</label>
+                <label class="workout-timer-option"><input type="checkbox" data-setting="sound"> Sound</label>
+                <label class="workout-timer-option"><input type="checkbox" data-setting="vibrate"> Vibration</label>
+                ${notificationsOn ? '' : '<p class="workout-timer-hint">Turn on notifications in Reminders to be alerted when the app is in the background.</p>'}
+                <div class="modal-buttons">
+                    <button class="modal-button cancel workout-timer-cancel">Cancel</button>
+                    <button class="modal-button confirm workout-timer-start" style="background-color: var(--workout-primary);">Start</button>
+                </div>
+            </div>
+        `;
+
+        const modeSelect = timerModal.querySelector('.workout-timer-mode');
+        const updateMode = () => {
+            timerModal.querySelectorAll('.workout-timer-fields').forEach(fields => {
+                fields.style.display = fields.dataset.mode === modeSelect.value ? '' : 'none';
+            });
+        };
+        modeSelect.value = this.settings.mode;
+        modeSelect.addEventListener('change', updateMode);
+        updateMode();
+
+        timerModal.querySelectorAll('[data-setting]').forEach(input => {
+            if (input.type === 'checkbox') {
+                input.checked = this.settings[input.dataset.setting];
+            } else {
+                input.value = this.settings[input.dataset.setting];
+            }
+        });
+
+        const close = () => timerModal.remove();
+        timerModal.querySelector('.workout-timer-cancel').addEventListener('click', close);
+        timerModal.querySelector('.workout-timer-start').addEventListener('click', () => {
+            const settings = { ...this.settings, mode: modeSelect.value };
+            for (const input of timerModal.querySelectorAll('[data-setting]')) {
+                if (input.type === 'checkbox') {
+                    settings[input.dataset.setting] = input.checked;
+                    continue;
+                }
+                // Fields of the other modes keep their saved values
+                if (input.closest('.workout-timer-fields').dataset.mode !== settings.mode) continue;
+
+                const value = parseInt(input.value);
+                if (isNaN(value) || value < parseInt(input.min)) {
+                    utils.showToast(`Please enter at least ${input.min} for ${input.parentElement.textContent.trim()}`, 'error');
+                    return;
+                }
+                settings[input.dataset.setting] = value;
+            }
+
+            this.settings = settings;
+            this.saveSettings();
+            close();
+            this.start(settings.mode);
+        });
+
+        document.body.appendChild(timerModal);
+    }
+}
@@ -3,6 +3,340 @@
  * This file contains the implementation of the workout tracker functionality with dynamic workout management
  */
 
+/**
+ * Exercises logged with a workout session, stored as entry.exercises in
+ * workout_history. Strength exercises carry sets, cardio exercises a duration
+ * and/or distance: { name, sets: [{ reps, weight }] } or { name, duration, distance }.
+ * Weight is optional for bodyweight sets.
+ * Timed sessions also carry startedAt, duration (minutes), rpe (perceived
+ * exertion, 1-10) and calories (kcal estimated by workoutEnergy).
+ */
+const workoutLog = {
+    WEIGHT_UNIT: 'kg',
+    DISTANCE_UNIT: 'km',
+    SESSION_FIELDS: ['exercises', 'startedAt', 'duration', 'rpe', 'calories'],
+
+    /**
+     * Check that a value is a usable list of exercises
+     * @param {*} exercises - Value to check
+     * @returns {boolean} True if the exercises can be stored
+     */
+    isValid(exercises) {
+        return Array.isArray(exercises) && exercises.every(exercise => this.isValidExercise(exercise));
+    },
+
+    /**
+     * Check a single exercise
+     * @param {*} exercise - Value to check
+     * @returns {boolean}
+     */
+    isValidExercise(exercise) {
+        if (!exercise || typeof exercise.name !== 'string' || !exercise.name.trim()) return false;
+        const isAmount = value => value === undefined || (typeof value === 'number' && value >= 0);
+
+        if (exercise.sets !== undefined) {
+            return Array.isArray(exercise.sets) && exercise.sets.length > 0 && exercise.sets.every(set =>
+                set && Number.isInteger(set.reps) && set.reps > 0 && isAmount(set.weight));
+        }
+        return isAmount(exercise.duration) && isAmount(exercise.distance) &&
+            (exercise.duration > 0 || exercise.distance > 0);
+    },
+
+    /**
+     * One-line summary of an exercise
+     * @param {Object} exercise - Exercise
+     * @returns {string} e.g. "Squat 3×5 @ 100 kg" or "Run 30 min, 5 km"
+     */
+    describe(exercise) {
+        return `${exercise.name} ${this.describeAmount(exercise)}`;
+    },
+
+    /**
+     * Sets, or duration and distance, of an exercise without its name
+     * @param {Object} exercise - Exercise
+     * @returns {string}
+     */
+    describeAmount(exercise) {
+        if (!exercise.sets) {
+            return [
+                exercise.duration ? `${exercise.duration} min` : '',
+                exercise.distance ? `${exercise.distance} ${this.DISTANCE_UNIT}` : ''
+            ].filter(Boolean).join(', ');
+        }
+
+        const [first] = exercise.sets;
+        const sameSets = exercise.sets.every(set => set.reps === first.reps && set.weight === first.weight);
+        if (sameSets) {
+            return `${exercise.sets.length}×${first.reps}${first.weight ? ` @ ${first.weight} ${this.WEIGHT_UNIT}` : ''}`;
+        }
+
+        const hasWeight = exercise.sets.some(set => set.weight);
+        const sets = exercise.sets.map(set => set.weight ? `${set.reps} @ ${set.weight}` : `${set.reps}`).join(', ');
+        return hasWeight ? `${sets} ${this.WEIGHT_UNIT}` : `${sets} reps`;
+    },
+
+    /**
+     * Estimated one-rep max of a set (Epley formula)
+     * @param {Object} set - { reps, weight }
+     * @returns {number} Estimated 1RM, 0 for bodyweight sets
+     */
+    estimateOneRepMax(set) {
+        if (!set.weight) return 0;
+        if (set.reps === 1) return set.weight;
+        return Math.round(set.weight * (1 + set.reps / 30) * 10) / 10;
+    },
+
+    /**
+     * Volume of an exercise: reps × weight summed over its sets
+     * @param {Object} exercise - Exercise
+     * @returns {number} Volume, 0 for cardio and bodyweight exercises
+     */
+    getVolume(exercise) {
+        return (exercise.sets || []).reduce((sum, set) => sum + set.reps * (set.weight || 0), 0);
+    },
+
+    /**
+     * Key that groups an exercise across sessions regardless of capitalization
+     * @param {string} name - Exercise name
+     * @returns {string}
+     */
+    getKey(name) {
+        return name.trim().toLowerCase();
+    },
+
+    /**
+     * Details logged for a session beyond its completion
+     * @param {Object} entry - Workout history entry
+     * @returns {Object|null} The entry's SESSION_FIELDS that are set, or null if none are
+     */
+    getSessionDetails(entry) {
+        const details = {};
+        this.SESSION_FIELDS.forEach(field => {
+            if (entry[field] !== undefined) details[field] = entry[field];
+        });
+        return Object.keys(details).length > 0 ? details : null;
+    },
+
+    /**
+     * Check the session details of a history entry
+     * @param {Object} entry - Workout history entry
+     * @returns {boolean} True if every detail that is set is usable
+     */
+    isValidSession(entry) {
+        const isOptional = (value, check) => value === undefined || check(value);
+        return isOptional(entry.exercises, exercises => this.isValid(exercises)) &&
+            isOptional(entry.startedAt, startedAt => typeof startedAt === 'string' && !isNaN(Date.parse(startedAt))) &&
+            isOptional(entry.duration, duration => typeof duration === 'number' && duration > 0) &&
+            isOptional(entry.rpe, rpe => Number.isInteger(rpe) && rpe >= 1 && rpe <= 10) &&
+            isOptional(entry.calories, calories => typeof calories === 'number' && calories >= 0);
+    },
+
+    /**
+     * Duration, exertion and energy of a session
+     * @param {Object} entry - Workout history entry
+     * @returns {string} e.g. "45 min · RPE 7 · 320 kcal", empty for untimed sessions
+     */
+    describeSession(entry) {
+        return [
+            entry.duration ? `${entry.duration} min` : '',
+            entry.rpe ? `RPE ${entry.rpe}` : '',
+            entry.calories ? `${entry.calories} kcal` : ''
+        ].filter(Boolean).join(' · ');
+    }
+};
+
+/**
+ * Energy burn estimates from MET values (metabolic equivalents, from the
+ * Compendium of Physical Activities): kcal = MET × body weight (kg) × hours,
+ * scaled by perceived exertion. Settings are stored in workout_energy:
+ * { bodyWeight, mets: { [workout type]: MET }, caloriesTracker }.
+ */
+const workoutEnergy = {
+    DEFAULT_BODY_WEIGHT: 70,
+    // Weight training and anything not matched below
+    DEFAULT_MET: 5,
+    // The first keyword found in a workout type's name decides its default MET
+    METS: [
+        { pattern: /run|jog|sprint/, met: 9.8 },
+        { pattern: /box|martial|kick|judo|karate/, met: 9 },
+        { pattern: /hiit|tabata|circuit|crossfit|interval/, met: 8 },
+        { pattern: /swim/, met: 8 },
+        { pattern: /climb|boulder/, met: 8 },
+        { pattern: /cycl|bike|spin/, met: 7.5 },
+        { pattern: /row/, met: 7 },
+        { pattern: /football|soccer|tennis|basket|squash/, met: 7 },
+        { pattern: /cardio|aerobic|elliptical/, met: 7 },
+        { pattern: /hike|hiking/, met: 6 },
+        { pattern: /danc|zumba/, met: 5 },
+        { pattern: /walk/, met: 3.5 },
+        { pattern: /pilates|core|abs/, met: 3 },
+        { pattern: /yoga|stretch|mobility/, met: 2.5 }
+    ],
+
+    /**
+     * MET value suggested by a workout type's name
+     * @param {string} type - Workout type
+     * @returns {number}
+     */
+    getDefaultMet(type) {
+        const name = type.toLowerCase();
+        const match = this.METS.find(({ pattern }) => pattern.test(name));
+        return match ? match.met : this.DEFAULT_MET;
+    },
+
+    /**
+     * Scale for perceived exertion: the MET table describes a moderate
+     * effort (RPE 5), each RPE point above or below shifts the burn by 8%
+     * @param {number} [rpe] - Perceived exertion (1-10)
+     * @returns {number}
+     */
+    getRpeFactor(rpe) {
+        return rpe ? 0.6 + rpe * 0.08 : 1;
+    },
+
+    /**
+     * Estimated energy burn of a session
+     * @param {number} met - MET value of the workout
+     * @param {number} bodyWeight - Body weight in kg
+     * @param {number} minutes - Session duration
+     * @param {number} [rpe] - Perceived exertion (1-10)
+     * @returns {number} Whole kcal
+     */
+    estimate(met, bodyWeight, minutes, rpe) {
+        return Math.round(met * bodyWeight * (minutes / 60) * this.getRpeFactor(rpe));
+    }
+};
+
+/**
+ * Workout program stored in workout_program: an ordered list of days that
+ * repeats from its start date, one day per calendar day.
+ * { name, startDate: 'YYYY-MM-DD', days: [{ type, targets: [{ name, reps: [5, 5, 5] }] }] }
+ * A day with type null is a rest day; targets list the reps of each set.
+ */
+const workoutProgram = {
+    PRESETS: {
+        ppl: {
+            name: 'Push/Pull/Legs',
+            days: [
+                ['Push', 'Bench Press 4x8, Overhead Press 3x10, Dips 3x12'],
+                ['Pull', 'Deadlift 3x5, Pull-up 4x8, Barbell Row 3x10'],
+                ['Legs', 'Squat 4x8, Romanian Deadlift 3x10, Calf Raise 3x15'],
+                ['Push', 'Overhead Press 4x8, Incline Bench Press 3x10, Lateral Raise 3x15'],
+                ['Pull', 'Barbell Row 4x8, Chin-up 3x10, Face Pull 3x15'],
+                ['Legs', 'Front Squat 4x8, Leg Curl 3x12, Lunge 3x10'],
+                [null, '']
+            ]
+        },
+        wendler: {
+            name: '5/3/1',
+            // Four weeks of Press, Deadlift, Bench and Squat days; the last week is a deload
+            days: ['5/5/5', '3/3/3', '5/3/1', '5/5/5'].flatMap(reps => [
+                ['Press', `Overhead Press ${reps}`],
+                ['Deadlift', `Deadlift ${reps}`],
+                [null, ''],
+                ['Bench', `Bench Press ${reps}`],
+                ['Squat', `Squat ${reps}`],
+                [null, ''],
+                [null, '']
+            ])
+        }
+    },
+
+    /**
+     * Build a program from a preset
+     * @param {string} id - Preset id
+     * @param {string} startDate - First day of the program (YYYY-MM-DD)
+     * @returns {Object|null} Program, or null for an unknown preset
+     */
+    fromPreset(id, startDate) {
+        const preset = this.PRESETS[id];
+        if (!preset) return null;
+        return {
+            name: preset.name,
+            startDate,
+            days: preset.days.map(([type, targets]) => ({ type, targets: this.parseTargets(targets) }))
+        };
+    },
+
+    /**
+     * Check that a value is a usable program
+     * @param {*} program - Value to check
+     * @returns {boolean}
+     */
+    isValid(program) {
+        if (!program || typeof program.name !== 'string' || !program.name.trim()) return false;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(program.startDate || '')) return false;
+        return Array.isArray(program.days) && program.days.length > 0 && program.days.every(day =>
+            day && (day.type === null || (typeof day.type === 'string' && day.type !== '')) &&
+            Array.isArray(day.targets) && day.targets.every(target =>
+                target && typeof target.name === 'string' && target.name.trim() &&
+                Array.isArray(target.reps) && target.reps.length > 0 &&
+                target.reps.every(reps => Number.isInteger(reps) && reps > 0)));
+    },
+
+    /**
+     * Parse target exercises written as "Squat 3x5, Bench Press 5/3/1"
+     * @param {string} text - Comma-separated targets
+     * @returns {Array|null} Targets, or null if one can't be read
+     */
+    parseTargets(text) {
+        const targets = [];
+        for (const part of text.split(',').map(part => part.trim()).filter(Boolean)) {
+            const sets = part.match(/^(.+?)\s+(\d+)\s*[x×]\s*(\d+)$/i);
+            const reps = part.match(/^(.+?)\s+(\d+(?:\/\d+)*)$/);
+            if (sets && parseInt(sets[2]) > 0 && parseInt(sets[3]) > 0) {
+                targets.push({ name: sets[1], reps: new Array(parseInt(sets[2])).fill(parseInt(sets[3])) });
+            } else if (reps && reps[2].split('/').every(value => parseInt(value) > 0)) {
+                targets.push({ name: reps[1], reps: reps[2].split('/').map(Number) });
+            } else {
+                return null;
+            }
+        }
+        return targets;
+    },
+
+    /**
+     * Write targets back in the form parseTargets() reads
+     * @param {Array} targets - Targets
+     * @returns {string} e.g. "Squat 3x5, Bench Press 5/3/1"
+     */
+    formatTargets(targets) {
+        return targets.map(target => {
+            const sameReps = target.reps.every(reps => reps === target.reps[0]);
+            return sameReps && target.reps.length > 1
+                ? `${target.name} ${target.reps.length}x${target.reps[0]}`
+                : `${target.name} ${target.reps.join('/')}`;
+        }).join(', ');
+    },
+
+    /**
+     * Position of a date in the program
+     * @param {Object} program - Program
+     * @param {string} dateKey - Date (YYYY-MM-DD)
+     * @returns {Object|null} { index, week, day } (week from 1), or null before the start
+     */
+    getPosition(program, dateKey) {
+        const elapsed = Math.round((new Date(`${dateKey}T12:00:00`) - new Date(`${program.startDate}T12:00:00`)) / 86400000);
+        if (elapsed < 0) return null;
+
+        const index = elapsed % program.days.length;
+        return {
+            index,
+            week: Math.floor(index / 7) + 1,
+            day: program.days[index]
+        };
+    },
+
+    /**
+     * Number of weeks in one pass through the program
+     * @param {Object} program - Program
+     * @returns {number}
+     */
+    getWeekCount(program) {
+        return Math.ceil(program.days.length / 7);
+    }
+};
+
 /**
  * WorkoutTracker class for tracking workout exercises
  */
@@ -16,29 +350,48 @@ class WorkoutTracker {
         this.historyKey = 'workout_history';
         this.countKey = 'workout_count';
         this.workoutTypesKey = 'workout_types'; // NEW: Custom workout types storage
+        this.programKey = 'workout_program';
+        this.energyKey = 'workout_energy';
+        this.sessionKey = 'workout_session';
         this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}workout`;
         
         // Load custom workout types or use defaults
         this.loadWorkoutTypes();
         
-        // Load data from localStorage
-        this.workoutState = JSON.parse(localStorage.getItem(this.stateKey)) || 
+        // Load data from storage
+        this.workoutState = JSON.parse(storageManager.getItem(this.stateKey)) || 
           this.workoutTypes.reduce((acc, type) => {
             acc[type] = { completed: false, order: this.workoutTypes.indexOf(type) };
             return acc;
           }, {});
         
-        this.workoutCounts = JSON.parse(localStorage.getItem(this.countKey)) || 
+        this.workoutCounts = JSON.parse(storageManager.getItem(this.countKey)) || 
           this.workoutTypes.reduce((acc, type) => {
             acc[type] = 0;
             return acc;
           }, {});
       
-        this.workoutHistory = JSON.parse(localStorage.getItem(this.historyKey)) || {};
+        this.workoutHistory = JSON.parse(storageManager.getItem(this.historyKey)) || {};
+        this.program = JSON.parse(storageManager.getItem(this.programKey)) || null;
+        this.energySettings = JSON.parse(storageManager.getItem(this.energyKey)) || {};
+        // Session being timed: { type, startedAt }
+        this.activeSession = JSON.parse(storageManager.getItem(this.sessionKey)) || null;
+        this.sessionInterval = null;
+        this.timer = new WorkoutTimer(() => this.createDialog());
         
         // Set DOM elements
         this.elements = {
             tabsContainer: document.getElementById('workout-tabs-container'),
+            programCard: document.getElementById('workout-program-card'),
+            programButton: document.getElementById('workout-program-button'),
+            timerButton: document.getElementById('workout-timer-button'),
+            sessionCard: document.getElementById('workout-session-card'),
+            sessionButton: document.getElementById('workout-session-button'),
+            settingsToggle: document.getElementById('workout-settings-toggle'),
+            bodyWeightInput: document.getElementById('workout-body-weight'),
+            caloriesTrackerSelect: document.getElementById('workout-calories-tracker'),
+            metList: document.getElementById('workout-met-list'),
+            saveEnergyButton: document.getElementById('workout-save-energy'),
             historyPanel: document.getElementById('workout-history-popup'),
             dailyHistoryTab: document.getElementById('workout-daily-history'),
             currentWorkoutsTab: document.getElementById('workout-current-exercises'),
@@ -47,8 +400,13 @@ class WorkoutTracker {
             workoutChart: document.getElementById('workout-chart'),
             chartLabels: document.getElementById('workout-chart-labels'),
             workoutStreaks: document.getElementById('workout-streaks'),
+            workoutHeatmap: document.getElementById('workout-heatmap'),
+            workoutRecords: document.getElementById('workout-records'),
+            sessionStats: document.getElementById('workout-session-stats'),
             viewTypeSelect: document.getElementById('workout-view-type'),
             timePeriodSelect: document.getElementById('workout-time-period'),
+            graphMetricSelect: document.getElementById('workout-graph-metric'),
+            graphExerciseSelect: document.getElementById('workout-graph-exercise'),
             // NEW: Management elements
             manageButton: document.getElementById('workout-manage-button'),
             manageModal: document.getElementById('workout-manage-modal'),
@@ -61,16 +419,18 @@ class WorkoutTracker {
         // Default analytics settings
         this.selectedWorkoutView = 'all';
         this.selectedTimePeriod = 'weekly';
+        this.selectedGraphMetric = 'consistency';
+        this.selectedExercise = null;
         
         // Initialize tracker
         this.initializeTracker();
     }
     
     /**
- * Load workout types from localStorage or set defaults
+ * Load workout types from storage or set defaults
  */
     loadWorkoutTypes() {
-      const storedTypes = localStorage.getItem(this.workoutTypesKey);
+      const storedTypes = storageManager.getItem(this.workoutTypesKey);
       if (storedTypes) {
         this.workoutTypes = JSON.parse(storedTypes);
      } else {
@@ -81,10 +441,10 @@ class WorkoutTracker {
     }
     
     /**
-     * Save workout types to localStorage
+     * Save workout types to storage
      */
     saveWorkoutTypes() {
-        localStorage.setItem(this.workoutTypesKey, JSON.stringify(this.workoutTypes));
+        storageManager.setItem(this.workoutTypesKey, JSON.stringify(this.workoutTypes));
     }
     
     /**
@@ -100,6 +460,10 @@ class WorkoutTracker {
         // Render workout tabs
         this.renderWorkoutTabs();
         
+        // Resume a session that was running when the app closed
+        this.renderSessionCard();
+        this.renderEnergySettings();
+        
         // Update display
         this.updateDisplay();
         
@@ -121,6 +485,32 @@ class WorkoutTracker {
             this.showManageModal();
         });
         
+        if (this.elements.programButton) {
+            this.elements.programButton.addEventListener('click', () => this.showProgramEditor());
+        }
+        
+        if (this.elements.timerButton) {
+            this.elements.timerButton.addEventListener('click', () => this.timer.showSettings());
+        }
+        
+        if (this.elements.sessionButton) {
+            this.elements.sessionButton.addEventListener('click', () => {
+                if (this.activeSession) {
+                    this.showSessionFinisher();
+                } else {
+                    this.showSessionStarter();
+                }
+            });
+        }
+        
+        // Workout types and custom trackers may have changed since the panel was filled
+        if (this.elements.settingsToggle) {
+            this.elements.settingsToggle.addEventListener('click', () => this.renderEnergySettings());
+        }
+        if (this.elements.saveEnergyButton) {
+            this.elements.saveEnergyButton.addEventListener('click', () => this.saveEnergySettings());
+        }
+        
         // Add workout button
         this.elements.addWorkoutBtn.addEventListener('click', () => {
             this.addNewWorkout();
@@ -264,148 +654,1377 @@ class WorkoutTracker {
         // Clear input
         this.elements.newWorkoutInput.value = '';
         
-        utils.showToast(`Added ${workoutName} workout`, 'success');
+        utils.showToast(`Added ${workoutName} workout`, 'success');
+    }
+    
+    /**
+     * NEW: Delete workout type
+     */
+    deleteWorkout(index) {
+        const workoutName = this.workoutTypes[index];
+        
+        if (confirm(`Are you sure you want to delete "${workoutName}"? This will remove all its history.`)) {
+            // Remove from workout types
+            this.workoutTypes.splice(index, 1);
+            this.saveWorkoutTypes();
+            
+            // Remove from state and counts
+            delete this.workoutState[workoutName];
+            delete this.workoutCounts[workoutName];
+            
+            // Remove from history
+            Object.keys(this.workoutHistory).forEach(date => {
+                this.removeTrackedCalories(date, this.workoutHistory[date].filter(entry => entry.type === workoutName));
+                this.workoutHistory[date] = this.workoutHistory[date].filter(entry => entry.type !== workoutName);
+                if (this.workoutHistory[date].length === 0) {
+                    delete this.workoutHistory[date];
+                }
+            });
+            
+            // Program days of this workout become rest days
+            if (this.program && this.program.days.some(day => day.type === workoutName)) {
+                this.program.days.forEach(day => {
+                    if (day.type === workoutName) {
+                        day.type = null;
+                        day.targets = [];
+                    }
+                });
+                storageManager.setItem(this.programKey, JSON.stringify(this.program));
+            }
+            
+            // A running session of this workout can't be recorded anymore
+            if (this.activeSession && this.activeSession.type === workoutName) {
+                this.clearActiveSession();
+            }
+            
+            // Save updated data
+            this.saveState();
+            storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+            refreshTrackerGoals();
+            
+            // Update UI
+            this.renderWorkoutTabs();
+            this.renderWorkoutList();
+            this.initializeWorkoutAnalytics(); // Refresh analytics dropdown
+            this.refreshHistory();
+            
+            utils.showToast(`Deleted ${workoutName} workout`, 'warning');
+        }
+    }
+    
+    /**
+     * Render workout tabs in the container
+     */
+    renderWorkoutTabs() {
+        this.renderProgramCard();
+        
+        if (!this.elements.tabsContainer) return;
+        
+        this.elements.tabsContainer.innerHTML = '';
+        
+        if (this.workoutTypes.length === 0) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.style.cssText = `
+                text-align: center;
+                padding: var(--spacing-xl);
+                color: var(--text-secondary);
+            `;
+            emptyMsg.innerHTML = `
+                <p style="margin-bottom: var(--spacing-md);">No workouts added yet</p>
+                <p style="font-size: 0.9rem;">Use "Manage Workouts" button to add your first workout</p>
+            `;
+            this.elements.tabsContainer.appendChild(emptyMsg);
+            return;
+        }
+        
+        // The program's session for today leads the open workouts
+        const scheduled = this.getScheduledDay(utils.formatDate(new Date()));
+        const scheduledType = scheduled && scheduled.day.type;
+        
+        // Sort workout types by completed status and then by order
+        const sortedWorkouts = Object.entries(this.workoutState)
+        .filter(([type]) => this.workoutTypes.includes(type)) // Only include current workout types
+        .sort(([typeA, a], [typeB, b]) => {
+            // Completed workouts go to the bottom
+            if (a.completed !== b.completed) {
+                return a.completed ? 1 : -1;
+            }
+            if ((typeA === scheduledType) !== (typeB === scheduledType)) {
+                return typeA === scheduledType ? -1 : 1;
+            }
+            // Otherwise, maintain original order
+            return a.order - b.order;
+        })
+        .map(([type]) => type);
+        
+        // Create tabs for each workout type
+        sortedWorkouts.forEach(type => {
+            const tab = document.createElement('button');
+            tab.className = `workout-tab ${this.workoutState[type].completed ? 'completed' : ''}`;
+            if (type === scheduledType) tab.classList.add('scheduled');
+            tab.dataset.type = type;
+            
+            const icon = document.createElement('i');
+            icon.className = 'material-icons-round';
+            icon.textContent = this.workoutState[type].completed ? 'check_circle' : 'radio_button_unchecked';
+            
+            const text = document.createElement('span');
+            text.textContent = type;
+            
+            // Add count badge if clicked more than once
+            if (this.workoutCounts[type] > 1) {
+                const badge = document.createElement('span');
+                badge.className = 'count-badge';
+                badge.textContent = this.workoutCounts[type];
+                tab.appendChild(badge);
+            }
+            
+            tab.appendChild(icon);
+            tab.appendChild(text);
+            
+            // Add click event
+            tab.addEventListener('click', () => this.toggleWorkout(type));
+            
+            this.elements.tabsContainer.appendChild(tab);
+        });
+    }
+    
+    /**
+     * Toggle workout completion status
+     * @param {string} type - Workout type
+     * @param {Object} [session] - Timed session: { startedAt, duration, rpe }
+     */
+    toggleWorkout(type, session = null) {
+        // Increase count
+        this.workoutCounts[type] += 1;
+        
+        // Update completion status
+        this.workoutState[type].completed = true;
+        
+        // Record in history
+        this.saveWorkoutHistory(type);
+        
+        // The session can be detailed with exercises right away
+        const currentDate = utils.formatDate(new Date());
+        const entryIndex = this.workoutHistory[currentDate].length - 1;
+        let summary = '';
+        if (session) {
+            const entry = this.workoutHistory[currentDate][entryIndex];
+            entry.startedAt = session.startedAt;
+            this.applySessionDetails(entry, currentDate, session);
+            storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+            summary = ` (${workoutLog.describeSession(entry)})`;
+        }
+        const logAction = {
+            label: 'Log sets',
+            onClick: () => this.showSessionLogger(currentDate, entryIndex)
+        };
+        
+        // Check if all workouts are completed
+        const allCompleted = Object.values(this.workoutState).every(state => state.completed);
+        if (allCompleted) {
+            this.resetWorkoutTabs();
+            utils.showToast('All workouts completed! Tabs have been reset.', 'success', 5000, logAction);
+        } else {
+            // Save state and update display
+            this.saveState();
+            this.renderWorkoutTabs();
+            this.refreshHistory();
+            
+            utils.showToast(`${type} workout marked as complete!${summary}`, 'success', 5000, logAction);
+        }
+    }
+    
+    /**
+     * Choose the workout of a session and start timing it
+     */
+    showSessionStarter() {
+        if (this.workoutTypes.length === 0) {
+            utils.showToast('Use "Manage Workouts" to add a workout first', 'error');
+            return;
+        }
+        
+        const startModal = this.createDialog();
+        
+        startModal.innerHTML = `
+            <div class="modal-content" style="position: relative; max-width: 360px;">
+                <div class="modal-header">Start Session</div>
+                <select class="modal-input workout-session-type" aria-label="Workout"></select>
+                <div class="modal-buttons">
+                    <button class="modal-button cancel workout-session-cancel">Cancel</button>
+                    <button class="modal-button confirm workout-session-start" style="background-color: var(--workout-primary);">Start</button>
+                </div>
+            </div>
+        `;
+        
+        const typeSelect = startModal.querySelector('.workout-session-type');
+        this.workoutTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            typeSelect.appendChild(option);
+        });
+        
+        // Suggest today's scheduled workout, otherwise the first open one
+        const scheduled = this.getScheduledDay(utils.formatDate(new Date()));
+        const isOpen = type => this.workoutState[type] && !this.workoutState[type].completed;
+        typeSelect.value = [scheduled && scheduled.day.type, ...this.workoutTypes]
+            .find(type => type && this.workoutTypes.includes(type) && isOpen(type)) || this.workoutTypes[0];
+        
+        const close = () => startModal.remove();
+        startModal.querySelector('.workout-session-cancel').addEventListener('click', close);
+        startModal.querySelector('.workout-session-start').addEventListener('click', () => {
+            this.startSession(typeSelect.value);
+            close();
+        });
+        
+        document.body.appendChild(startModal);
+    }
+    
+    /**
+     * Start timing a session; it survives reloads until it is finished or discarded
+     * @param {string} type - Workout type
+     */
+    startSession(type) {
+        this.activeSession = { type, startedAt: new Date().toISOString() };
+        storageManager.setItem(this.sessionKey, JSON.stringify(this.activeSession));
+        this.renderSessionCard();
+        
+        utils.showToast(`${type} session started`, 'success');
+    }
+    
+    /**
+     * Stop timing the active session without recording it
+     */
+    clearActiveSession() {
+        this.activeSession = null;
+        storageManager.removeItem(this.sessionKey);
+        this.renderSessionCard();
+    }
+    
+    /**
+     * Discard the active session after confirmation
+     */
+    discardSession() {
+        if (!this.activeSession || !confirm(`Discard this ${this.activeSession.type} session?`)) return;
+        
+        this.clearActiveSession();
+        utils.showToast('Session discarded', 'warning');
+    }
+    
+    /**
+     * Show the active session with its running time and label the session button
+     */
+    renderSessionCard() {
+        const { sessionCard: card, sessionButton: button } = this.elements;
+        clearInterval(this.sessionInterval);
+        this.sessionInterval = null;
+        
+        if (button) {
+            button.innerHTML = this.activeSession
+                ? '<i class="material-icons-round">stop</i> Finish Session'
+                : '<i class="material-icons-round">play_arrow</i> Start Session';
+        }
+        if (!card) return;
+        
+        if (!this.activeSession) {
+            card.style.display = 'none';
+            card.innerHTML = '';
+            return;
+        }
+        
+        card.style.display = '';
+        card.innerHTML = `
+            <i class="material-icons-round">timer</i>
+            <div class="workout-session-info">
+                <span class="workout-session-name"></span>
+                <span class="workout-session-elapsed"></span>
+            </div>
+            <button type="button" class="icon-btn workout-session-discard" aria-label="Discard session">
+                <i class="material-icons-round">close</i>
+            </button>
+        `;
+        card.querySelector('.workout-session-name').textContent = `${this.activeSession.type} session`;
+        card.querySelector('.workout-session-discard').addEventListener('click', () => this.discardSession());
+        
+        const elapsed = card.querySelector('.workout-session-elapsed');
+        const startedAt = Date.parse(this.activeSession.startedAt);
+        const update = () => {
+            elapsed.textContent = this.formatElapsed(Date.now() - startedAt);
+        };
+        update();
+        this.sessionInterval = setInterval(update, 1000);
+    }
+    
+    /**
+     * Format a running time as m:ss, or h:mm:ss from an hour on
+     * @param {number} milliseconds - Elapsed time
+     * @returns {string}
+     */
+    formatElapsed(milliseconds) {
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+    
+    /**
+     * Confirm the duration and effort of the active session and record it
+     */
+    showSessionFinisher() {
+        const session = this.activeSession;
+        if (!session) return;
+        
+        const finishModal = this.createDialog();
+        
+        finishModal.innerHTML = `
+            <div class="modal-content workout-log" style="position: relative; max-width: 360px;">
+                <div class="modal-header"></div>
+                <div class="modal-buttons">
+                    <button class="modal-button cancel workout-session-cancel">Cancel</button>
+                    <button class="modal-button confirm workout-session-save" style="background-color: var(--workout-primary);">Save</button>
+                </div>
+            </div>
+        `;
+        finishModal.querySelector('.modal-header').textContent = `Finish ${session.type} session`;
+        
+        const minutes = Math.max(1, Math.round((Date.now() - Date.parse(session.startedAt)) / 60000));
+        const detailsEditor = this.createSessionDetailsEditor(session.type, { duration: minutes });
+        finishModal.querySelector('.modal-buttons').before(detailsEditor);
+        
+        const close = () => finishModal.remove();
+        finishModal.querySelector('.workout-session-cancel').addEventListener('click', close);
+        finishModal.querySelector('.workout-session-save').addEventListener('click', () => {
+            const details = this.readSessionDetails(detailsEditor);
+            if (!details) return;
+            if (!details.duration) {
+                utils.showToast('Please enter how long the session lasted', 'error');
+                return;
+            }
+            
+            this.finishSession(details);
+            close();
+        });
+        
+        document.body.appendChild(finishModal);
+    }
+    
+    /**
+     * Record the active session as a completed workout
+     * @param {Object} details - { duration, rpe } of the session
+     */
+    finishSession(details) {
+        const { type, startedAt } = this.activeSession;
+        this.clearActiveSession();
+        
+        if (!this.workoutTypes.includes(type)) {
+            utils.showToast(`${type} was deleted, the session was not saved`, 'error');
+            return;
+        }
+        
+        this.toggleWorkout(type, { ...details, startedAt });
+    }
+    
+    /**
+     * Duration and perceived exertion fields with a live calorie estimate
+     * @param {string} type - Workout type, for its MET value
+     * @param {Object} entry - Current values ({ duration, rpe }, either may be missing)
+     * @returns {Element} Editor
+     */
+    createSessionDetailsEditor(type, entry) {
+        const editor = document.createElement('div');
+        editor.className = 'workout-log-details';
+        editor.innerHTML = `
+            <label>
+                <span>Minutes</span>
+                <input type="number" class="modal-input workout-log-session-duration" min="1" step="1">
+            </label>
+            <label>
+                <span>Effort (RPE)</span>
+                <select class="modal-input workout-log-rpe">
+                    <option value="">–</option>
+                    ${[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(rpe => `<option value="${rpe}">${rpe}</option>`).join('')}
+                </select>
+            </label>
+            <span class="workout-log-estimate"></span>
+        `;
+        
+        const durationInput = editor.querySelector('.workout-log-session-duration');
+        const rpeSelect = editor.querySelector('.workout-log-rpe');
+        const estimate = editor.querySelector('.workout-log-estimate');
+        if (entry.duration) durationInput.value = entry.duration;
+        if (entry.rpe) rpeSelect.value = entry.rpe;
+        
+        const updateEstimate = () => {
+            const duration = Number(durationInput.value);
+            estimate.textContent = duration > 0
+                ? `≈ ${this.estimateCalories(type, duration, parseInt(rpeSelect.value) || undefined)} kcal`
+                : '';
+        };
+        updateEstimate();
+        durationInput.addEventListener('input', updateEstimate);
+        rpeSelect.addEventListener('change', updateEstimate);
+        
+        return editor;
+    }
+    
+    /**
+     * Read the session details editor
+     * @param {Element} editor - Editor from createSessionDetailsEditor()
+     * @returns {Object|null} { duration, rpe } (undefined when left empty), or null if the duration is invalid
+     */
+    readSessionDetails(editor) {
+        const durationValue = editor.querySelector('.workout-log-session-duration').value.trim();
+        const duration = durationValue === '' ? undefined : Number(durationValue);
+        if (duration !== undefined && !(Number.isInteger(duration) && duration > 0)) {
+            utils.showToast('Please enter the duration in whole minutes', 'error');
+            return null;
+        }
+        
+        const rpe = parseInt(editor.querySelector('.workout-log-rpe').value) || undefined;
+        return { duration, rpe };
+    }
+    
+    /**
+     * Set the duration and effort of a session and estimate its energy burn.
+     * The stored estimate is kept while both are unchanged, so a later body
+     * weight doesn't rewrite past sessions. The caller saves the history.
+     * @param {Object} entry - Workout history entry
+     * @param {string} date - Date of the session (YYYY-MM-DD)
+     * @param {Object} details - { duration, rpe }, either may be undefined
+     */
+    applySessionDetails(entry, date, details) {
+        const changed = entry.duration !== details.duration || entry.rpe !== details.rpe;
+        ['duration', 'rpe'].forEach(field => {
+            if (details[field] !== undefined) {
+                entry[field] = details[field];
+            } else {
+                delete entry[field];
+            }
+        });
+        
+        if (!entry.duration) {
+            delete entry.calories;
+        } else if (changed || entry.calories === undefined) {
+            entry.calories = this.estimateCalories(entry.type, entry.duration, entry.rpe);
+        }
+        
+        this.syncCaloriesTracker(entry, date);
+    }
+    
+    /**
+     * MET value of a workout type: the one set in the workout settings, or
+     * the default for its name
+     * @param {string} type - Workout type
+     * @returns {number}
+     */
+    getMet(type) {
+        const mets = this.energySettings.mets || {};
+        return mets[type] || workoutEnergy.getDefaultMet(type);
+    }
+    
+    /**
+     * Estimated energy burn of a session at the current body weight
+     * @param {string} type - Workout type
+     * @param {number} minutes - Session duration
+     * @param {number} [rpe] - Perceived exertion (1-10)
+     * @returns {number} Whole kcal
+     */
+    estimateCalories(type, minutes, rpe) {
+        const bodyWeight = this.energySettings.bodyWeight || workoutEnergy.DEFAULT_BODY_WEIGHT;
+        return workoutEnergy.estimate(this.getMet(type), bodyWeight, minutes, rpe);
+    }
+    
+    /**
+     * Custom tracker that burned calories are added to
+     * @returns {Tracker|null} Tracker, or null if none is chosen or it was deleted
+     */
+    getCaloriesTracker() {
+        const type = this.energySettings.caloriesTracker;
+        return (type && window.customTrackers && window.customTrackers[type]) || null;
+    }
+    
+    /**
+     * Mirror a session's calories into the calories tracker. The tracker entry
+     * is linked to the session by its source and sessionTimestamp (its own
+     * timestamp can be edited in the tracker), so later edits update it
+     * instead of adding another; sessions without calories remove it.
+     * @param {Object} entry - Workout history entry
+     * @param {string} date - Date of the session (YYYY-MM-DD)
+     */
+    syncCaloriesTracker(entry, date) {
+        const tracker = this.getCaloriesTracker();
+        if (!tracker) return;
+        
+        const entries = tracker.dailyHistory[date] || [];
+        const index = entries.findIndex(trackerEntry =>
+            trackerEntry.source === 'workout' && trackerEntry.sessionTimestamp === entry.timestamp);
+        const previous = index === -1 ? 0 : entries[index].amount;
+        const calories = entry.calories || 0;
+        if (calories === previous) return;
+        
+        if (index === -1) {
+            entries.push({
+                id: utils.generateId('entry'),
+                amount: calories,
+                timestamp: entry.timestamp,
+                source: 'workout',
+                sessionTimestamp: entry.timestamp
+            });
+            tracker.sortEntries(entries);
+            tracker.dailyHistory[date] = entries;
+        } else if (calories > 0) {
+            entries[index].amount = calories;
+        } else {
+            entries.splice(index, 1);
+            if (entries.length === 0) delete tracker.dailyHistory[date];
+        }
+        
+        tracker.adjustTodayTotal(date, calories - previous);
+        tracker.saveHistory();
+        tracker.refreshEntryViews();
+    }
+    
+    /**
+     * Take the calories of removed sessions back out of the calories tracker
+     * @param {string} date - Date of the sessions (YYYY-MM-DD)
+     * @param {Array} entries - Removed workout history entries
+     */
+    removeTrackedCalories(date, entries) {
+        entries
+            .filter(entry => entry.calories)
+            .forEach(entry => this.syncCaloriesTracker({ ...entry, calories: 0 }, date));
+    }
+    
+    /**
+     * Fill the energy fields of the workout settings panel
+     */
+    renderEnergySettings() {
+        const { bodyWeightInput, caloriesTrackerSelect, metList } = this.elements;
+        
+        if (bodyWeightInput) {
+            bodyWeightInput.value = this.energySettings.bodyWeight || '';
+            bodyWeightInput.placeholder = `${workoutEnergy.DEFAULT_BODY_WEIGHT} if left empty`;
+        }
+        
+        if (caloriesTrackerSelect) {
+            caloriesTrackerSelect.innerHTML = '<option value="">Don\'t add</option>';
+            const configs = window.trackerManager ? window.trackerManager.customTrackers : [];
+            configs.forEach(config => {
+                const option = document.createElement('option');
+                option.value = config.type;
+                option.textContent = `${config.name} (${config.unit})`;
+                caloriesTrackerSelect.appendChild(option);
+            });
+            caloriesTrackerSelect.value = this.getCaloriesTracker() ? this.energySettings.caloriesTracker : '';
+        }
+        
+        if (!metList) return;
+        metList.innerHTML = '';
+        
+        if (this.workoutTypes.length === 0) {
+            const emptyMsg = document.createElement('p');
+            emptyMsg.className = 'workout-met-empty';
+            emptyMsg.textContent = 'Add workouts to adjust their MET values.';
+            metList.appendChild(emptyMsg);
+            return;
+        }
+        
+        const mets = this.energySettings.mets || {};
+        this.workoutTypes.forEach(type => {
+            const row = document.createElement('label');
+            row.className = 'workout-met-row';
+            row.innerHTML = `
+                <span></span>
+                <input type="number" min="0.5" max="25" step="0.1" aria-label="MET">
+            `;
+            row.querySelector('span').textContent = type;
+            
+            const input = row.querySelector('input');
+            input.dataset.type = type;
+            input.placeholder = workoutEnergy.getDefaultMet(type);
+            if (mets[type]) input.value = mets[type];
+            metList.appendChild(row);
+        });
+    }
+    
+    /**
+     * Save body weight, MET values and the calories tracker from the settings panel
+     */
+    saveEnergySettings() {
+        const { bodyWeightInput, caloriesTrackerSelect, metList } = this.elements;
+        const settings = { mets: {} };
+        
+        const bodyWeightValue = bodyWeightInput ? bodyWeightInput.value.trim() : '';
+        if (bodyWeightValue !== '') {
+            const bodyWeight = Number(bodyWeightValue);
+            if (!(bodyWeight > 0 && bodyWeight < 500)) {
+                utils.showToast('Please enter a valid body weight', 'error');
+                return;
+            }
+            settings.bodyWeight = bodyWeight;
+        }
+        
+        for (const input of metList ? metList.querySelectorAll('input') : []) {
+            if (input.value.trim() === '') continue;
+            const met = Number(input.value);
+            if (!(met > 0 && met <= 25)) {
+                utils.showToast(`Please enter a MET value between 0.5 and 25 for ${input.dataset.type}`, 'error');
+                return;
+            }
+            settings.mets[input.dataset.type] = met;
+        }
+        
+        if (caloriesTrackerSelect && caloriesTrackerSelect.value) {
+            settings.caloriesTracker = caloriesTrackerSelect.value;
+        }
+        
+        this.energySettings = settings;
+        storageManager.setItem(this.energyKey, JSON.stringify(settings));
+        utils.showToast('Energy settings saved', 'success');
+    }
+    
+    /**
+     * Create an open full-screen dialog; the caller fills and appends it
+     * @returns {HTMLElement} Dialog element
+     */
+    createDialog() {
+        const dialog = document.createElement('div');
+        dialog.className = 'modal workout-dialog';
+        dialog.style.display = 'flex';
+        return dialog;
+    }
+
+    /**
+     * Log the exercises of a workout session: sets of reps and weight, or
+     * duration and distance for cardio
+     * @param {string} date - Date of the session (YYYY-MM-DD)
+     * @param {number} index - Index of the session in that day's history
+     */
+    showSessionLogger(date, index) {
+        const entry = (this.workoutHistory[date] || [])[index];
+        if (!entry) return;
+        
+        const logModal = this.createDialog();
+        
+        logModal.innerHTML = `
+            <div class="modal-content workout-log" style="position: relative; max-width: 420px;">
+                <div class="modal-header"></div>
+                <datalist id="workout-exercise-names"></datalist>
+                <div class="workout-log-exercises"></div>
+                <button type="button" class="workout-log-add workout-log-add-exercise">+ Add exercise</button>
+                <div class="modal-buttons">
+                    <button class="modal-button cancel workout-log-cancel">Cancel</button>
+                    <button class="modal-button confirm workout-log-save" style="background-color: var(--workout-primary);">Save</button>
+                </div>
+            </div>
+        `;
+        
+        const time = entry.timestamp ? new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+        logModal.querySelector('.modal-header').textContent = [entry.type, date, time].filter(Boolean).join(' · ');
+        
+        const detailsEditor = this.createSessionDetailsEditor(entry.type, entry);
+        logModal.querySelector('.modal-header').after(detailsEditor);
+        
+        // Suggest exercises logged before with this workout type
+        const nameList = logModal.querySelector('#workout-exercise-names');
+        this.getExerciseNames(entry.type).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            nameList.appendChild(option);
+        });
+        
+        const exerciseList = logModal.querySelector('.workout-log-exercises');
+        const exercises = entry.exercises && entry.exercises.length > 0 ? entry.exercises : this.getTargetExercises(date, entry.type);
+        exercises.forEach(exercise => exerciseList.appendChild(this.createExerciseEditor(exercise)));
+        
+        logModal.querySelector('.workout-log-add-exercise').addEventListener('click', () => {
+            exerciseList.appendChild(this.createExerciseEditor({ name: '', sets: [{}] }));
+        });
+        
+        const close = () => logModal.remove();
+        logModal.querySelector('.workout-log-cancel').addEventListener('click', close);
+        logModal.querySelector('.workout-log-save').addEventListener('click', () => {
+            const details = this.readSessionDetails(detailsEditor);
+            const loggedExercises = details && this.readSessionForm(exerciseList);
+            if (!loggedExercises) return;
+            
+            this.saveSessionExercises(date, index, loggedExercises, details);
+            close();
+        });
+        
+        document.body.appendChild(logModal);
+    }
+    
+    /**
+     * Starting exercises for a new log: the program's targets when the
+     * session was scheduled that day, otherwise one blank exercise
+     * @param {string} date - Date of the session (YYYY-MM-DD)
+     * @param {string} type - Workout type of the session
+     * @returns {Array} Exercises for the logger
+     */
+    getTargetExercises(date, type) {
+        const scheduled = this.getScheduledDay(date);
+        if (!scheduled || scheduled.day.type !== type || scheduled.day.targets.length === 0) {
+            return [{ name: '', sets: [{}] }];
+        }
+        return scheduled.day.targets.map(target => ({
+            name: target.name,
+            sets: target.reps.map(reps => ({ reps }))
+        }));
+    }
+    
+    /**
+     * Editor for one exercise of the session logger
+     * @param {Object} exercise - Exercise to edit ({ name: '', sets: [{}] } for a new one)
+     * @returns {Element} Exercise editor
+     */
+    createExerciseEditor(exercise) {
+        const editor = document.createElement('div');
+        editor.className = 'workout-log-exercise';
+        editor.innerHTML = `
+            <div class="workout-log-exercise-header">
+                <input type="text" class="modal-input workout-log-name" list="workout-exercise-names" maxlength="40" placeholder="Exercise">
+                <select class="modal-input workout-log-kind" aria-label="Exercise type">
+                    <option value="strength">Sets</option>
+                    <option value="cardio">Cardio</option>
+                </select>
+                <button type="button" class="icon-btn workout-log-remove" aria-label="Remove exercise">
+                    <i class="material-icons-round">close</i>
+                </button>
+            </div>
+            <div class="workout-log-sets"></div>
+            <button type="button" class="workout-log-add workout-log-add-set">+ Add set</button>
+            <div class="workout-log-cardio">
+                <input type="number" class="modal-input workout-log-duration" min="0" step="any" placeholder="Minutes">
+                <input type="number" class="modal-input workout-log-distance" min="0" step="any" placeholder="${workoutLog.DISTANCE_UNIT}">
+            </div>
+        `;
+        
+        const kindSelect = editor.querySelector('.workout-log-kind');
+        const setList = editor.querySelector('.workout-log-sets');
+        const addSetButton = editor.querySelector('.workout-log-add-set');
+        const cardioFields = editor.querySelector('.workout-log-cardio');
+        const updateKind = () => {
+            const isCardio = kindSelect.value === 'cardio';
+            setList.style.display = isCardio ? 'none' : '';
+            addSetButton.style.display = isCardio ? 'none' : '';
+            cardioFields.style.display = isCardio ? '' : 'none';
+        };
+        
+        editor.querySelector('.workout-log-name').value = exercise.name || '';
+        kindSelect.value = exercise.sets ? 'strength' : 'cardio';
+        (exercise.sets || [{}]).forEach(set => setList.appendChild(this.createSetRow(set)));
+        if (exercise.duration) editor.querySelector('.workout-log-duration').value = exercise.duration;
+        if (exercise.distance) editor.querySelector('.workout-log-distance').value = exercise.distance;
+        updateKind();
+        
+        kindSelect.addEventListener('change', updateKind);
+        editor.querySelector('.workout-log-remove').addEventListener('click', () => editor.remove());
+        
+        // A new set starts as a copy of the last one
+        addSetButton.addEventListener('click', () => {
+            const lastRow = setList.lastElementChild;
+            setList.appendChild(this.createSetRow(lastRow ? {
+                reps: lastRow.querySelector('.workout-log-reps').value,
+                weight: lastRow.querySelector('.workout-log-weight').value
+            } : {}));
+        });
+        
+        return editor;
+    }
+    
+    /**
+     * Row for one set of a strength exercise
+     * @param {Object} set - { reps, weight }, either may be empty
+     * @returns {Element} Set row
+     */
+    createSetRow(set) {
+        const row = document.createElement('div');
+        row.className = 'workout-log-set';
+        row.innerHTML = `
+            <input type="number" class="modal-input workout-log-reps" min="1" step="1" placeholder="Reps" aria-label="Reps">
+            <span>×</span>
+            <input type="number" class="modal-input workout-log-weight" min="0" step="any" placeholder="${workoutLog.WEIGHT_UNIT}" aria-label="Weight">
+            <button type="button" class="icon-btn workout-log-set-done" aria-label="Set done">
+                <i class="material-icons-round">check</i>
+            </button>
+            <button type="button" class="icon-btn workout-log-remove-set" aria-label="Remove set">
+                <i class="material-icons-round">remove</i>
+            </button>
+        `;
+        if (set.reps !== undefined) row.querySelector('.workout-log-reps').value = set.reps;
+        if (set.weight !== undefined) row.querySelector('.workout-log-weight').value = set.weight;
+        row.querySelector('.workout-log-remove-set').addEventListener('click', () => row.remove());
+        
+        // Finishing a set starts the rest before the next one
+        row.querySelector('.workout-log-set-done').addEventListener('click', () => {
+            row.classList.toggle('done');
+            if (row.classList.contains('done')) this.timer.startRest();
+        });
+        return row;
+    }
+    
+    /**
+     * Read the exercises from the session logger. Blank exercises and sets
+     * without reps are left out.
+     * @param {Element} exerciseList - Container of the exercise editors
+     * @returns {Array|null} Exercises, or null if a field is invalid
+     */
+    readSessionForm(exerciseList) {
+        const exercises = [];
+        const readNumber = input => input.value.trim() === '' ? undefined : Number(input.value);
+        
+        for (const editor of exerciseList.querySelectorAll('.workout-log-exercise')) {
+            const name = editor.querySelector('.workout-log-name').value.trim();
+            let exercise;
+            
+            if (editor.querySelector('.workout-log-kind').value === 'cardio') {
+                exercise = { name };
+                const duration = readNumber(editor.querySelector('.workout-log-duration'));
+                const distance = readNumber(editor.querySelector('.workout-log-distance'));
+                if (duration !== undefined) exercise.duration = duration;
+                if (distance !== undefined) exercise.distance = distance;
+                if (!name && duration === undefined && distance === undefined) continue;
+            } else {
+                const sets = [...editor.querySelectorAll('.workout-log-set')]
+                    .filter(row => row.querySelector('.workout-log-reps').value.trim() !== '')
+                    .map(row => {
+                        const set = { reps: readNumber(row.querySelector('.workout-log-reps')) };
+                        const weight = readNumber(row.querySelector('.workout-log-weight'));
+                        if (weight) set.weight = weight;
+                        return set;
+                    });
+                if (!name && sets.length === 0) continue;
+                exercise = { name, sets };
+            }
+            
+            if (!name) {
+                utils.showToast('Please name every exercise', 'error');
+                return null;
+            }
+            if (!workoutLog.isValidExercise(exercise)) {
+                const hint = exercise.sets ? 'reps (whole numbers) and weights' : 'a duration or distance';
+                utils.showToast(`Please enter ${hint} for ${name}`, 'error');
+                return null;
+            }
+            exercises.push(exercise);
+        }
+        
+        return exercises;
+    }
+    
+    /**
+     * Store the exercises of a session; an empty list clears them
+     * @param {string} date - Date of the session (YYYY-MM-DD)
+     * @param {number} index - Index of the session in that day's history
+     * @param {Array} exercises - Logged exercises
+     * @param {Object} [details] - { duration, rpe } of the session
+     */
+    saveSessionExercises(date, index, exercises, details = null) {
+        const entry = this.workoutHistory[date][index];
+        const previousRecords = this.getExerciseRecords(null, entry);
+        if (exercises.length > 0) {
+            entry.exercises = exercises;
+        } else {
+            delete entry.exercises;
+        }
+        if (details) this.applySessionDetails(entry, date, details);
+        
+        storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        this.refreshEntryViews();
+        this.renderWorkoutAnalytics();
+        
+        const newRecords = exercises
+            .map(exercise => this.describeNewRecords(exercise, previousRecords[workoutLog.getKey(exercise.name)]))
+            .filter(Boolean);
+        if (newRecords.length > 0) {
+            utils.showToast(`New PR! ${newRecords.join('; ')}`, 'success', 6000);
+        } else {
+            utils.showToast(`${entry.type} session saved`, 'success');
+        }
+    }
+    
+    /**
+     * Personal records per exercise, built from every logged strength session
+     * @param {string|null} type - Only count sessions of this workout type (lowercase), null for all
+     * @param {Object|null} excludeEntry - History entry to leave out, e.g. the one being edited
+     * @returns {Object} Records keyed by exercise key: { name, heaviest: { weight, reps, date },
+     *   oneRepMax: { value, date }, volume: { value, date }, repsAtWeight: { [weight]: { reps, date } } }
+     */
+    getExerciseRecords(type = null, excludeEntry = null) {
+        const records = {};
+        
+        Object.keys(this.workoutHistory).sort().forEach(date => {
+            this.workoutHistory[date].forEach(entry => {
+                if (entry === excludeEntry || !entry.exercises) return;
+                if (type && entry.type.toLowerCase() !== type) return;
+                
+                entry.exercises.forEach(exercise => {
+                    if (!exercise.sets) return;
+                    
+                    const key = workoutLog.getKey(exercise.name);
+                    const record = records[key] || (records[key] = {
+                        name: exercise.name,
+                        heaviest: null,
+                        oneRepMax: null,
+                        volume: null,
+                        repsAtWeight: {}
+                    });
+                    record.name = exercise.name;
+                    
+                    exercise.sets.forEach(set => {
+                        const weight = set.weight || 0;
+                        if (weight > 0 && (!record.heaviest || weight > record.heaviest.weight ||
+                            (weight === record.heaviest.weight && set.reps > record.heaviest.reps))) {
+                            record.heaviest = { weight, reps: set.reps, date };
+                        }
+                        
+                        const oneRepMax = workoutLog.estimateOneRepMax(set);
+                        if (oneRepMax > 0 && (!record.oneRepMax || oneRepMax > record.oneRepMax.value)) {
+                            record.oneRepMax = { value: oneRepMax, date };
+                        }
+                        
+                        const repRecord = record.repsAtWeight[weight];
+                        if (!repRecord || set.reps > repRecord.reps) {
+                            record.repsAtWeight[weight] = { reps: set.reps, date };
+                        }
+                    });
+                    
+                    const volume = workoutLog.getVolume(exercise);
+                    if (volume > 0 && (!record.volume || volume > record.volume.value)) {
+                        record.volume = { value: volume, date };
+                    }
+                });
+            });
+        });
+        
+        return records;
+    }
+    
+    /**
+     * Describe the records an exercise beats. The first time an exercise is
+     * logged sets its records without announcing them.
+     * @param {Object} exercise - Logged exercise
+     * @param {Object|undefined} record - Records of the exercise before this session
+     * @returns {string} e.g. "Bench 100 kg, est. 1RM 110 kg", or '' if nothing was beaten
+     */
+    describeNewRecords(exercise, record) {
+        if (!exercise.sets || !record) return '';
+        
+        const unit = workoutLog.WEIGHT_UNIT;
+        const parts = [];
+        const heaviest = Math.max(...exercise.sets.map(set => set.weight || 0));
+        if (record.heaviest && heaviest > record.heaviest.weight) {
+            parts.push(`${heaviest} ${unit}`);
+        }
+        
+        const oneRepMax = Math.max(...exercise.sets.map(set => workoutLog.estimateOneRepMax(set)));
+        if (record.oneRepMax && oneRepMax > record.oneRepMax.value) {
+            parts.push(`est. 1RM ${oneRepMax} ${unit}`);
+        }
+        
+        // More reps than ever at a weight used before
+        exercise.sets.forEach(set => {
+            const weight = set.weight || 0;
+            const repRecord = record.repsAtWeight[weight];
+            const label = weight ? `${set.reps} reps @ ${weight} ${unit}` : `${set.reps} reps`;
+            if (repRecord && set.reps > repRecord.reps && !parts.includes(label)) {
+                parts.push(label);
+            }
+        });
+        
+        const volume = workoutLog.getVolume(exercise);
+        if (record.volume && volume > record.volume.value) {
+            parts.push(`volume ${volume} ${unit}`);
+        }
+        
+        return parts.length > 0 ? `${exercise.name} ${parts.join(', ')}` : '';
+    }
+    
+    /**
+     * Exercise names logged before with a workout type, most recent first
+     * @param {string} type - Workout type
+     * @returns {Array} Exercise names
+     */
+    getExerciseNames(type) {
+        const names = [];
+        Object.keys(this.workoutHistory).sort((a, b) => b.localeCompare(a)).forEach(date => {
+            this.workoutHistory[date].forEach(entry => {
+                if (entry.type !== type || !entry.exercises) return;
+                entry.exercises.forEach(exercise => {
+                    if (!names.includes(exercise.name)) names.push(exercise.name);
+                });
+            });
+        });
+        return names;
+    }
+    
+    /**
+     * List of a day's sessions of one workout type with their duration and exercises
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} type - Workout type
+     * @param {boolean} loggedOnly - Leave out sessions without a duration or exercises
+     * @returns {Element|null} List element, or null if there is nothing to show
+     */
+    createSessionList(date, type, loggedOnly = false) {
+        const sessions = (this.workoutHistory[date] || [])
+            .map((entry, index) => ({ entry, index }))
+            .filter(({ entry }) => entry.type === type && (!loggedOnly || entry.exercises || entry.duration));
+        if (sessions.length === 0) return null;
+        
+        const list = document.createElement('ul');
+        list.className = 'workout-session-list';
+        
+        sessions.forEach(({ entry, index }) => {
+            const item = document.createElement('li');
+            item.className = 'workout-session';
+            
+            const time = entry.timestamp ? new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+            const summary = document.createElement('span');
+            summary.textContent = [
+                time,
+                workoutLog.describeSession(entry),
+                (entry.exercises || []).map(exercise => workoutLog.describe(exercise)).join('; ')
+            ].filter(Boolean).join(' · ');
+            item.appendChild(summary);
+            
+            const logBtn = document.createElement('button');
+            logBtn.className = 'entries-toggle';
+            logBtn.textContent = entry.exercises || entry.duration ? 'Edit' : 'Log sets';
+            logBtn.addEventListener('click', () => this.showSessionLogger(date, index));
+            item.appendChild(logBtn);
+            
+            list.appendChild(item);
+        });
+        
+        return list;
+    }
+    
+    /**
+     * Program day scheduled on a date
+     * @param {string} dateKey - Date (YYYY-MM-DD)
+     * @returns {Object|null} Position from workoutProgram.getPosition(), or null without a program
+     */
+    getScheduledDay(dateKey) {
+        return this.program ? workoutProgram.getPosition(this.program, dateKey) : null;
+    }
+    
+    /**
+     * Check whether a day's scheduled session was done
+     * @param {string} dateKey - Date (YYYY-MM-DD)
+     * @param {string} type - Scheduled workout type
+     * @returns {boolean}
+     */
+    isScheduledSessionDone(dateKey, type) {
+        return (this.workoutHistory[dateKey] || []).some(entry => entry.type === type);
+    }
+    
+    /**
+     * Sessions done as planned since the program started. Today only counts
+     * once its session is done.
+     * @returns {Object} { scheduled, completed }
+     */
+    getProgramAdherence() {
+        const adherence = { scheduled: 0, completed: 0 };
+        if (!this.program) return adherence;
+        
+        const todayKey = utils.formatDate(new Date());
+        for (const date = new Date(`${this.program.startDate}T12:00:00`); utils.formatDate(date) <= todayKey; date.setDate(date.getDate() + 1)) {
+            const dateKey = utils.formatDate(date);
+            const { day } = this.getScheduledDay(dateKey);
+            if (!day.type) continue;
+            
+            const done = this.isScheduledSessionDone(dateKey, day.type);
+            if (dateKey === todayKey && !done) continue;
+            adherence.scheduled++;
+            if (done) adherence.completed++;
+        }
+        return adherence;
+    }
+    
+    /**
+     * Render the program card: position in the program, today's session with
+     * its targets and adherence so far
+     */
+    renderProgramCard() {
+        const card = this.elements.programCard;
+        if (!card) return;
+        
+        card.innerHTML = '';
+        const todayKey = utils.formatDate(new Date());
+        const position = this.getScheduledDay(todayKey);
+        if (!position) {
+            card.style.display = 'none';
+            if (this.program) {
+                card.style.display = '';
+                card.textContent = `${this.program.name} starts on ${this.program.startDate}`;
+            }
+            return;
+        }
+        card.style.display = '';
+        
+        const header = document.createElement('div');
+        header.className = 'workout-program-header';
+        const name = document.createElement('span');
+        name.className = 'workout-program-name';
+        name.textContent = this.program.name;
+        const progress = document.createElement('span');
+        const weeks = workoutProgram.getWeekCount(this.program);
+        progress.textContent = weeks > 1
+            ? `Week ${position.week} of ${weeks} · Day ${position.index % 7 + 1}`
+            : `Day ${position.index + 1} of ${this.program.days.length}`;
+        header.appendChild(name);
+        header.appendChild(progress);
+        card.appendChild(header);
+        
+        const { day } = position;
+        const today = document.createElement('div');
+        today.className = 'workout-program-today';
+        if (!day.type) {
+            today.textContent = 'Rest day';
+        } else {
+            const done = this.isScheduledSessionDone(todayKey, day.type);
+            today.textContent = `${done ? 'Done' : 'Today'}: ${day.type}`;
+            if (done) today.classList.add('done');
+            if (day.targets.length > 0) {
+                const targets = document.createElement('div');
+                targets.className = 'workout-program-targets';
+                targets.textContent = workoutProgram.formatTargets(day.targets).replace(/(\d)x(\d)/g, '$1×$2');
+                today.appendChild(targets);
+            }
+        }
+        card.appendChild(today);
+        
+        // The next training day
+        for (let offset = 1; offset <= this.program.days.length; offset++) {
+            const date = new Date();
+            date.setDate(date.getDate() + offset);
+            const next = this.getScheduledDay(utils.formatDate(date)).day;
+            if (!next.type) continue;
+            
+            const nextSession = document.createElement('div');
+            nextSession.className = 'workout-program-meta';
+            const when = offset === 1 ? 'tomorrow' : date.toLocaleDateString(undefined, { weekday: 'long' });
+            nextSession.textContent = `Next: ${next.type} ${when}`;
+            card.appendChild(nextSession);
+            break;
+        }
+        
+        const adherence = this.getProgramAdherence();
+        if (adherence.scheduled > 0) {
+            const adherenceLine = document.createElement('div');
+            adherenceLine.className = 'workout-program-meta';
+            const percent = Math.round(adherence.completed / adherence.scheduled * 100);
+            adherenceLine.textContent = `Adherence ${percent}% · ${adherence.completed} of ${adherence.scheduled} sessions`;
+            card.appendChild(adherenceLine);
+        }
     }
     
     /**
-     * NEW: Delete workout type
+     * Edit the workout program: start from a preset or lay out days by hand
      */
-    deleteWorkout(index) {
-        const workoutName = this.workoutTypes[index];
+    showProgramEditor() {
+        const editorModal = this.createDialog();
+        
+        editorModal.innerHTML = `
+            <div class="modal-content workout-log" style="position: relative; max-width: 440px;">
+                <div class="modal-header">Workout Program</div>
+                <select class="modal-input workout-program-preset" aria-label="Preset">
+                    <option value="">Start from a preset…</option>
+                    ${Object.entries(workoutProgram.PRESETS).map(([id, preset]) => `<option value="${id}">${preset.name}</option>`).join('')}
+                </select>
+                <input type="text" class="modal-input workout-program-name-input" maxlength="40" placeholder="Program name">
+                <label class="workout-program-label">Starts on
+                    <input type="date" class="modal-input workout-program-start">
+                </label>
+                <div class="workout-program-days"></div>
+                <button type="button" class="workout-log-add workout-program-add-day">+ Add day</button>
+                <div class="modal-buttons">
+                    ${this.program ? '<button class="modal-button cancel workout-program-remove">Remove</button>' : ''}
+                    <button class="modal-button cancel workout-program-cancel">Cancel</button>
+                    <button class="modal-button confirm workout-program-save" style="background-color: var(--workout-primary);">Save</button>
+                </div>
+            </div>
+        `;
+        
+        const nameInput = editorModal.querySelector('.workout-program-name-input');
+        const startInput = editorModal.querySelector('.workout-program-start');
+        const dayList = editorModal.querySelector('.workout-program-days');
+        const types = [...this.workoutTypes];
+        
+        const fillDays = (program) => {
+            nameInput.value = program.name;
+            startInput.value = program.startDate;
+            program.days.forEach(day => {
+                if (day.type && !types.includes(day.type)) types.push(day.type);
+            });
+            dayList.innerHTML = '';
+            program.days.forEach(day => dayList.appendChild(this.createProgramDayRow(day, types)));
+            this.numberProgramDays(dayList);
+        };
+        fillDays(this.program || { name: '', startDate: utils.formatDate(new Date()), days: [{ type: types[0] || null, targets: [] }] });
         
-        if (confirm(`Are you sure you want to delete "${workoutName}"? This will remove all its history.`)) {
-            // Remove from workout types
-            this.workoutTypes.splice(index, 1);
-            this.saveWorkoutTypes();
-            
-            // Remove from state and counts
-            delete this.workoutState[workoutName];
-            delete this.workoutCounts[workoutName];
-            
-            // Remove from history
-            Object.keys(this.workoutHistory).forEach(date => {
-                this.workoutHistory[date] = this.workoutHistory[date].filter(entry => entry.type !== workoutName);
-                if (this.workoutHistory[date].length === 0) {
-                    delete this.workoutHistory[date];
-                }
+        editorModal.querySelector('.workout-program-preset').addEventListener('change', (e) => {
+            const preset = workoutProgram.fromPreset(e.target.value, startInput.value || utils.formatDate(new Date()));
+            if (preset) fillDays(preset);
+        });
+        editorModal.querySelector('.workout-program-add-day').addEventListener('click', () => {
+            dayList.appendChild(this.createProgramDayRow({ type: null, targets: [] }, types));
+            this.numberProgramDays(dayList);
+        });
+        dayList.addEventListener('click', (e) => {
+            if (!e.target.closest('.workout-program-remove-day')) return;
+            e.target.closest('.workout-program-day').remove();
+            this.numberProgramDays(dayList);
+        });
+        
+        const close = () => editorModal.remove();
+        editorModal.querySelector('.workout-program-cancel').addEventListener('click', close);
+        const removeBtn = editorModal.querySelector('.workout-program-remove');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                if (!confirm(`Remove the "${this.program.name}" program? Your workout history is kept.`)) return;
+                this.saveProgram(null);
+                close();
             });
-            
-            // Save updated data
-            this.saveState();
-            localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
-            
-            // Update UI
-            this.renderWorkoutTabs();
-            this.renderWorkoutList();
-            this.initializeWorkoutAnalytics(); // Refresh analytics dropdown
-            this.refreshHistory();
-            
-            utils.showToast(`Deleted ${workoutName} workout`, 'warning');
         }
+        editorModal.querySelector('.workout-program-save').addEventListener('click', () => {
+            const program = this.readProgramForm(nameInput, startInput, dayList);
+            if (!program) return;
+            
+            this.saveProgram(program);
+            close();
+        });
+        
+        document.body.appendChild(editorModal);
     }
     
     /**
-     * Render workout tabs in the container
+     * Row for one day of the program editor
+     * @param {Object} day - Program day
+     * @param {Array} types - Workout types to choose from
+     * @returns {Element} Day row
      */
-    renderWorkoutTabs() {
-        if (!this.elements.tabsContainer) return;
+    createProgramDayRow(day, types) {
+        const row = document.createElement('div');
+        row.className = 'workout-program-day';
+        row.innerHTML = `
+            <div class="workout-log-exercise-header">
+                <span class="workout-program-day-number"></span>
+                <select class="modal-input workout-program-type" aria-label="Workout">
+                    <option value="">Rest</option>
+                </select>
+                <button type="button" class="icon-btn workout-program-remove-day" aria-label="Remove day">
+                    <i class="material-icons-round">close</i>
+                </button>
+            </div>
+            <input type="text" class="modal-input workout-program-targets-input" placeholder="Targets, e.g. Squat 3x5, Bench Press 5/3/1">
+        `;
+        
+        const typeSelect = row.querySelector('.workout-program-type');
+        types.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = day.type || '';
         
-        this.elements.tabsContainer.innerHTML = '';
+        const targetsInput = row.querySelector('.workout-program-targets-input');
+        targetsInput.value = workoutProgram.formatTargets(day.targets);
+        const updateTargets = () => {
+            targetsInput.style.display = typeSelect.value ? '' : 'none';
+        };
+        typeSelect.addEventListener('change', updateTargets);
+        updateTargets();
         
-        if (this.workoutTypes.length === 0) {
-            const emptyMsg = document.createElement('div');
-            emptyMsg.style.cssText = `
-                text-align: center;
-                padding: var(--spacing-xl);
-                color: var(--text-secondary);
-            `;
-            emptyMsg.innerHTML = `
-                <p style="margin-bottom: var(--spacing-md);">No workouts added yet</p>
-                <p style="font-size: 0.9rem;">Use "Manage Workouts" button to add your first workout</p>
-            `;
-            this.elements.tabsContainer.appendChild(emptyMsg);
-            return;
+        return row;
+    }
+    
+    /**
+     * Label program days with their week and day number
+     * @param {Element} dayList - Container of the day rows
+     */
+    numberProgramDays(dayList) {
+        dayList.querySelectorAll('.workout-program-day-number').forEach((label, index) => {
+            label.textContent = `W${Math.floor(index / 7) + 1} D${index % 7 + 1}`;
+        });
+    }
+    
+    /**
+     * Read the program from the editor
+     * @returns {Object|null} Program, or null if a field is invalid
+     */
+    readProgramForm(nameInput, startInput, dayList) {
+        const name = nameInput.value.trim();
+        if (!name) {
+            utils.showToast('Please enter a program name', 'error');
+            return null;
+        }
+        if (!startInput.value) {
+            utils.showToast('Please choose a start date', 'error');
+            return null;
         }
         
-        // Sort workout types by completed status and then by order
-        const sortedWorkouts = Object.entries(this.workoutState)
-        .filter(([type]) => this.workoutTypes.includes(type)) // Only include current workout types
-        .sort(([, a], [, b]) => {
-            // Completed workouts go to the bottom
-            if (a.completed !== b.completed) {
-                return a.completed ? 1 : -1;
+        const days = [];
+        for (const [index, row] of [...dayList.querySelectorAll('.workout-program-day')].entries()) {
+            const type = row.querySelector('.workout-program-type').value || null;
+            const targets = type ? workoutProgram.parseTargets(row.querySelector('.workout-program-targets-input').value) : [];
+            if (!targets) {
+                utils.showToast(`Couldn't read the targets of day ${index + 1}. Use e.g. "Squat 3x5, Bench Press 5/3/1".`, 'error');
+                return null;
             }
-            // Otherwise, maintain original order
-            return a.order - b.order;
-        })
-        .map(([type]) => type);
+            days.push({ type, targets });
+        }
         
-        // Create tabs for each workout type
-        sortedWorkouts.forEach(type => {
-            const tab = document.createElement('button');
-            tab.className = `workout-tab ${this.workoutState[type].completed ? 'completed' : ''}`;
-            tab.dataset.type = type;
-            
-            const icon = document.createElement('i');
-            icon.className = 'material-icons-round';
-            icon.textContent = this.workoutState[type].completed ? 'check_circle' : 'radio_button_unchecked';
-            
-            const text = document.createElement('span');
-            text.textContent = type;
-            
-            // Add count badge if clicked more than once
-            if (this.workoutCounts[type] > 1) {
-                const badge = document.createElement('span');
-                badge.className = 'count-badge';
-                badge.textContent = this.workoutCounts[type];
-                tab.appendChild(badge);
-            }
-            
-            tab.appendChild(icon);
-            tab.appendChild(text);
-            
-            // Add click event
-            tab.addEventListener('click', () => this.toggleWorkout(type));
-            
-            this.elements.tabsContainer.appendChild(tab);
-        });
+        if (!days.some(day => day.type)) {
+            utils.showToast('Please schedule at least one workout', 'error');
+            return null;
+        }
+        
+        return { name, startDate: startInput.value, days };
     }
     
     /**
-     * Toggle workout completion status
-     * @param {string} type - Workout type
+     * Store the program, adding workout types it schedules that don't exist yet
+     * @param {Object|null} program - Program, or null to remove it
      */
-    toggleWorkout(type) {
-        // Increase count
-        this.workoutCounts[type] += 1;
-        
-        // Update completion status
-        this.workoutState[type].completed = true;
+    saveProgram(program) {
+        this.program = program;
         
-        // Record in history
-        this.saveWorkoutHistory(type);
+        if (!program) {
+            storageManager.removeItem(this.programKey);
+            this.renderWorkoutTabs();
+            utils.showToast('Program removed', 'warning');
+            return;
+        }
         
-        // Check if all workouts are completed
-        const allCompleted = Object.values(this.workoutState).every(state => state.completed);
-        if (allCompleted) {
-            this.resetWorkoutTabs();
-            utils.showToast('All workouts completed! Tabs have been reset.', 'success');
-        } else {
-            // Save state and update display
+        const newTypes = [...new Set(program.days.map(day => day.type))]
+            .filter(type => type && !this.workoutTypes.includes(type));
+        newTypes.forEach(type => {
+            this.workoutTypes.push(type);
+            this.workoutState[type] = { completed: false, order: this.workoutTypes.length - 1 };
+            this.workoutCounts[type] = 0;
+        });
+        if (newTypes.length > 0) {
+            this.saveWorkoutTypes();
             this.saveState();
-            this.renderWorkoutTabs();
-            this.refreshHistory();
-            
-            utils.showToast(`${type} workout marked as complete!`, 'success');
+            this.initializeWorkoutAnalytics(); // Refresh analytics dropdown
         }
+        
+        storageManager.setItem(this.programKey, JSON.stringify(program));
+        this.renderWorkoutTabs();
+        utils.showToast(`${program.name} program saved`, 'success');
     }
     
     /**
-     * Save the current state to localStorage
+     * Save the current state to storage
      */
     saveState() {
-        localStorage.setItem(this.stateKey, JSON.stringify(this.workoutState));
-        localStorage.setItem(this.countKey, JSON.stringify(this.workoutCounts));
+        storageManager.setItem(this.stateKey, JSON.stringify(this.workoutState));
+        storageManager.setItem(this.countKey, JSON.stringify(this.workoutCounts));
     }
     
     /**
@@ -448,7 +2067,10 @@ class WorkoutTracker {
             timestamp: new Date().toISOString()
         });
         
-        localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        
+        // Training day goals on the intake trackers depend on this
+        refreshTrackerGoals();
     }
     
     /**
@@ -460,6 +2082,14 @@ class WorkoutTracker {
         this.renderWorkoutAnalytics(); // Add analytics rendering
     }
     
+    /**
+     * Re-render history views without switching the active history tab
+     */
+    refreshEntryViews() {
+        this.showDailyHistory(false);
+        this.showCurrentWorkouts();
+    }
+    
   /**
  * Enhanced showDailyHistory method with simple workout type filtering
  * Add this to the WorkoutTracker class in workouts-scripts.js
@@ -467,8 +2097,9 @@ class WorkoutTracker {
 
 /**
  * Show daily history with workout type filtering (simplified version)
+ * @param {boolean} activate - Switch the history popup to this tab
  */
-showDailyHistory() {
+showDailyHistory(activate = true) {
     if (!this.elements.dailyHistoryTab) return;
     
     this.elements.dailyHistoryTab.innerHTML = '';
@@ -594,6 +2225,18 @@ showDailyHistory() {
                 workoutSummary.textContent = `Completed workouts: ${Object.keys(workoutsByType).length} types`;
                 dayEntry.appendChild(workoutSummary);
                 
+                // Time and energy of the day's timed sessions
+                const dayTotals = workoutLog.describeSession({
+                    duration: displayEntries.reduce((sum, entry) => sum + (entry.duration || 0), 0),
+                    calories: displayEntries.reduce((sum, entry) => sum + (entry.calories || 0), 0)
+                });
+                if (dayTotals) {
+                    const totalsText = document.createElement('p');
+                    totalsText.className = 'workout-day-totals';
+                    totalsText.textContent = `Total: ${dayTotals}`;
+                    dayEntry.appendChild(totalsText);
+                }
+                
                 // List each workout type (original format)
                 const workoutList = document.createElement('ul');
                 workoutList.style.paddingLeft = '20px';
@@ -602,6 +2245,11 @@ showDailyHistory() {
                 Object.entries(workoutsByType).forEach(([type, count]) => {
                     const workoutItem = document.createElement('li');
                     workoutItem.textContent = `${type}: ${count} ${count === 1 ? 'time' : 'times'}`;
+                    
+                    // Sessions logged with exercises
+                    const sessionList = this.createSessionList(date, type, true);
+                    if (sessionList) workoutItem.appendChild(sessionList);
+                    
                     workoutList.appendChild(workoutItem);
                 });
                 
@@ -618,6 +2266,9 @@ showDailyHistory() {
     renderFilteredHistory();
     
     this.elements.dailyHistoryTab.appendChild(fragment);
+    
+    if (!activate) return;
+    
     this.elements.dailyHistoryTab.classList.add('active');
     
     if (this.elements.currentWorkoutsTab) {
@@ -662,6 +2313,9 @@ showDailyHistory() {
                 const lastEntry = typeEntries[typeEntries.length - 1];
                 const time = new Date(lastEntry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
                 entryItem.innerHTML = `<b>${type}</b>: ${typeEntries.length} ${typeEntries.length === 1 ? 'time' : 'times'} (last at ${time})`;
+                
+                // Each session with its exercises and a button to log them
+                entryItem.appendChild(this.createSessionList(currentDate, type));
                 entriesList.appendChild(entryItem);
             });
             
@@ -676,12 +2330,12 @@ showDailyHistory() {
      */
     checkAndResetDailyWorkouts() {
         const currentDate = utils.formatDate(new Date());
-        const lastResetDate = localStorage.getItem(this.lastResetKey);
+        const lastResetDate = storageManager.getItem(this.lastResetKey);
         
         // Only record the date check, but don't reset unless all workouts are completed
         if (lastResetDate !== currentDate) {
             // Just update the last reset date without resetting workouts
-            localStorage.setItem(this.lastResetKey, currentDate);
+            storageManager.setItem(this.lastResetKey, currentDate);
             
             this.preserveTodaysWorkoutData();
         }
@@ -698,7 +2352,7 @@ showDailyHistory() {
         // Make sure current date's data structure exists
         if (!this.workoutHistory[currentDate]) {
             this.workoutHistory[currentDate] = [];
-            localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+            storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
         }
     }
 
@@ -715,6 +2369,7 @@ showDailyHistory() {
         // Set timeout for midnight reset
         setTimeout(() => {
             this.checkAndResetDailyWorkouts();
+            this.renderWorkoutTabs(); // Move on to the next program day
             this.setupMidnightReset(); // Set up next day's reset
         }, msUntilMidnight);
     }
@@ -729,20 +2384,26 @@ showDailyHistory() {
         // Remove today's history
         const currentDate = utils.formatDate(new Date());
         if (this.workoutHistory[currentDate]) {
+            this.removeTrackedCalories(currentDate, this.workoutHistory[currentDate]);
             delete this.workoutHistory[currentDate];
-            localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+            storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
         }
+        
+        refreshTrackerGoals();
     }
     
     /**
      * Reset all data for this tracker
      */
     resetAllData() {
-        localStorage.removeItem(this.stateKey);
-        localStorage.removeItem(this.countKey);
-        localStorage.removeItem(this.historyKey);
-        localStorage.removeItem(this.workoutTypesKey); // NEW: Also remove custom workout types
-        localStorage.removeItem(this.lastResetKey);
+        storageManager.removeItem(this.stateKey);
+        storageManager.removeItem(this.countKey);
+        storageManager.removeItem(this.historyKey);
+        storageManager.removeItem(this.workoutTypesKey); // NEW: Also remove custom workout types
+        storageManager.removeItem(this.programKey);
+        storageManager.removeItem(this.energyKey);
+        storageManager.removeItem(this.sessionKey);
+        storageManager.removeItem(this.lastResetKey);
         
         utils.showToast('All workout tracking data has been reset.', 'warning');
         
@@ -792,6 +2453,20 @@ showDailyHistory() {
             });
         }
         
+        // Graph metric and the exercise shown for estimated 1RM
+        if (this.elements.graphMetricSelect) {
+            this.elements.graphMetricSelect.addEventListener('change', (e) => {
+                this.selectedGraphMetric = e.target.value;
+                this.renderWorkoutGraph();
+            });
+        }
+        if (this.elements.graphExerciseSelect) {
+            this.elements.graphExerciseSelect.addEventListener('change', (e) => {
+                this.selectedExercise = e.target.value;
+                this.renderWorkoutGraph();
+            });
+        }
+        
         // Initialize view
         this.renderWorkoutAnalytics();
     }
@@ -801,7 +2476,155 @@ showDailyHistory() {
      */
     renderWorkoutAnalytics() {
         this.renderWorkoutGraph();
+        this.renderSessionStats();
+        this.renderWorkoutRecords();
         this.renderWorkoutStreaks();
+        this.renderWorkoutHeatmap();
+    }
+    
+    /**
+     * Type filter of the analytics view for session data
+     * @returns {string|null} Lowercase workout type, or null for all workouts
+     */
+    getSelectedWorkoutType() {
+        const view = this.selectedWorkoutView;
+        return view === 'all' || view === 'comparison' ? null : view;
+    }
+    
+    /**
+     * Render time, effort and energy of the timed sessions in the selected
+     * view over the graph's time period
+     */
+    renderSessionStats() {
+        const container = this.elements.sessionStats;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const type = this.getSelectedWorkoutType();
+        const [firstPeriod] = this.getGraphPeriods();
+        const sessions = [];
+        Object.entries(this.workoutHistory).forEach(([date, entries]) => {
+            if (date < firstPeriod.start) return;
+            entries.forEach(entry => {
+                if (entry.duration && (!type || entry.type.toLowerCase() === type)) sessions.push(entry);
+            });
+        });
+        
+        if (sessions.length === 0) {
+            const noSessions = document.createElement('p');
+            noSessions.textContent = 'Time your workouts with "Start Session" to see duration and calories.';
+            container.appendChild(noSessions);
+            return;
+        }
+        
+        const totalMinutes = sessions.reduce((sum, entry) => sum + entry.duration, 0);
+        const calories = sessions.reduce((sum, entry) => sum + (entry.calories || 0), 0);
+        const rated = sessions.filter(entry => entry.rpe);
+        const stats = [
+            { label: 'Sessions', value: sessions.length },
+            { label: 'Total time', value: totalMinutes >= 60 ? `${Math.floor(totalMinutes / 60)} h ${totalMinutes % 60} min` : `${totalMinutes} min` },
+            { label: 'Average', value: `${Math.round(totalMinutes / sessions.length)} min` },
+            { label: 'Average RPE', value: rated.length > 0 ? (rated.reduce((sum, entry) => sum + entry.rpe, 0) / rated.length).toFixed(1) : '–' },
+            { label: 'Burned', value: `${calories.toLocaleString()} kcal` }
+        ];
+        
+        stats.forEach(stat => {
+            const item = document.createElement('div');
+            item.className = 'workout-session-stat';
+            
+            const value = document.createElement('span');
+            value.className = 'workout-session-stat-value';
+            value.textContent = stat.value;
+            item.appendChild(value);
+            
+            const label = document.createElement('span');
+            label.className = 'workout-session-stat-label';
+            label.textContent = stat.label;
+            item.appendChild(label);
+            
+            container.appendChild(item);
+        });
+    }
+    
+    /**
+     * Render personal records of every lifted exercise in the selected view
+     */
+    renderWorkoutRecords() {
+        const container = this.elements.workoutRecords;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const unit = workoutLog.WEIGHT_UNIT;
+        const records = Object.values(this.getExerciseRecords(this.getSelectedWorkoutType()))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        
+        if (records.length === 0) {
+            const noRecords = document.createElement('p');
+            noRecords.textContent = 'Log sets with your workouts to see personal records.';
+            container.appendChild(noRecords);
+            return;
+        }
+        
+        records.forEach(record => {
+            const item = document.createElement('div');
+            item.className = 'workout-record';
+            
+            const name = document.createElement('div');
+            name.className = 'workout-record-name';
+            name.textContent = record.name;
+            item.appendChild(name);
+            
+            const stats = [];
+            if (record.heaviest) stats.push(`Heaviest ${record.heaviest.weight} ${unit} × ${record.heaviest.reps}`);
+            if (record.oneRepMax) stats.push(`Est. 1RM ${record.oneRepMax.value} ${unit}`);
+            if (record.volume) stats.push(`Best volume ${record.volume.value} ${unit}`);
+            
+            const repRecords = Object.entries(record.repsAtWeight)
+                .map(([weight, repRecord]) => ({ weight: Number(weight), reps: repRecord.reps }))
+                .sort((a, b) => b.weight - a.weight)
+                .slice(0, 4)
+                .map(({ weight, reps }) => weight ? `${reps} @ ${weight} ${unit}` : `${reps} bodyweight`);
+            stats.push(`Most reps: ${repRecords.join(', ')}`);
+            
+            const details = document.createElement('div');
+            details.className = 'workout-record-stats';
+            details.textContent = stats.join(' · ');
+            item.appendChild(details);
+            
+            container.appendChild(item);
+        });
+    }
+    
+    /**
+     * Render the year heatmap of workout days for the selected view, shaded by
+     * the number of workouts logged that day (3 or more is full intensity)
+     */
+    renderWorkoutHeatmap() {
+        if (!this.elements.workoutHeatmap) return;
+        
+        const view = this.selectedWorkoutView;
+        const firstDate = Object.keys(this.workoutHistory).sort()[0];
+        const options = {
+            color: THEME_COLORS.workout,
+            firstYear: firstDate ? parseInt(firstDate) : undefined,
+            getDay: (date) => {
+                const entries = (this.workoutHistory[date] || []).filter(entry =>
+                    view === 'all' || view === 'comparison' || entry.type.toLowerCase() === view);
+                if (entries.length === 0) return { level: 0, label: 'No workouts' };
+                
+                const types = [...new Set(entries.map(entry => entry.type))];
+                const label = `${entries.length} workout${entries.length === 1 ? '' : 's'}: ${types.join(', ')}`;
+                return { level: Math.min(1, entries.length / 3), label };
+            },
+            summary: (days) => `${days.active} workout day${days.active === 1 ? '' : 's'}`
+        };
+        
+        if (this.yearHeatmap) {
+            this.yearHeatmap.setOptions(options);
+        } else {
+            this.yearHeatmap = new YearHeatmap(this.elements.workoutHeatmap, options);
+        }
+        this.yearHeatmap.render();
     }
 
     /**
@@ -1136,6 +2959,19 @@ showDailyHistory() {
             return;
         }
         
+        this.updateGraphExerciseOptions();
+        
+        // Volume and estimated 1RM come from logged sets, time and calories from timed sessions
+        if (this.selectedGraphMetric !== 'consistency') {
+            const progressPoints = this.getProgressDataByTimePeriod();
+            const maxValue = Math.ceil(Math.max(...progressPoints.map(point => point.value)) / 40) * 40 || 40;
+            const units = { duration: 'min', calories: 'kcal' };
+            const unit = units[this.selectedGraphMetric] || workoutLog.WEIGHT_UNIT;
+            this.renderSingleLineChart(progressPoints, chartContainer, maxValue, value => `${value} ${unit}`);
+            this.renderChartLabels();
+            return;
+        }
+        
         // Render based on view type
         if (this.selectedWorkoutView === 'all' || 
             this.selectedWorkoutView !== 'comparison') {
@@ -1151,15 +2987,120 @@ showDailyHistory() {
     }
     
     /**
-     * Render single line chart using consistency scores
-     * @param {Array} dataPoints - Consistency data points
-     * @param {Element} container - Chart container
+     * Fill the exercise dropdown with the lifted exercises of the selected view;
+     * it is only shown for the estimated 1RM graph
      */
-    renderSingleLineChart(dataPoints, container) {
-        // We're using consistency scores (0-100) so max value is fixed
-        const maxValue = 100;
+    updateGraphExerciseOptions() {
+        const select = this.elements.graphExerciseSelect;
+        if (!select) return;
+        
+        const records = this.getExerciseRecords(this.getSelectedWorkoutType());
+        const keys = Object.keys(records).filter(key => records[key].oneRepMax).sort();
+        if (!keys.includes(this.selectedExercise)) {
+            this.selectedExercise = keys[0] || null;
+        }
+        
+        select.innerHTML = '';
+        keys.forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = records[key].name;
+            select.appendChild(option);
+        });
+        select.value = this.selectedExercise || '';
+        select.style.display = this.selectedGraphMetric === 'oneRepMax' && keys.length > 0 ? '' : 'none';
+    }
+    
+    /**
+     * Periods of the selected time period that the progress graph plots
+     * @returns {Array} { start, end, date } per point, oldest first; start and end are YYYY-MM-DD
+     */
+    getGraphPeriods() {
+        const today = new Date();
+        const periods = [];
+        
+        // Points end on the same dates as the consistency graph: days for
+        // weekly, weeks for monthly and quarterly, months for yearly
+        const layouts = {
+            weekly: { count: 7, days: 1 },
+            monthly: { count: 5, days: 7 },
+            quarterly: { count: 12, days: 7 },
+            yearly: { count: 12, days: 30 }
+        };
+        const layout = layouts[this.selectedTimePeriod] || layouts.weekly;
+        for (let i = layout.count - 1; i >= 0; i--) {
+            const end = new Date(today);
+            if (this.selectedTimePeriod === 'yearly') {
+                end.setMonth(today.getMonth() - i);
+            } else {
+                end.setDate(today.getDate() - i * layout.days);
+            }
+            
+            const start = new Date(end);
+            start.setDate(end.getDate() - layout.days + 1);
+            periods.push({ start: utils.formatDate(start), end: utils.formatDate(end), date: end });
+        }
+        
+        return periods;
+    }
+    
+    /**
+     * Get volume, session time, calories or estimated 1RM data points for the
+     * selected time period. Totals are summed over each point's period; the
+     * 1RM line carries the last estimate forward through periods without that exercise.
+     * @returns {Array} Data points
+     */
+    getProgressDataByTimePeriod() {
+        const type = this.getSelectedWorkoutType();
+        const periods = this.getGraphPeriods();
+        
+        // Totals and best estimated 1RM of the selected exercise per day
+        const days = {};
+        Object.entries(this.workoutHistory).forEach(([date, entries]) => {
+            entries.forEach(entry => {
+                if (!(entry.exercises || entry.duration) || (type && entry.type.toLowerCase() !== type)) return;
+                const day = days[date] || (days[date] = { volume: 0, duration: 0, calories: 0, oneRepMax: 0 });
+                day.duration += entry.duration || 0;
+                day.calories += entry.calories || 0;
+                (entry.exercises || []).forEach(exercise => {
+                    day.volume += workoutLog.getVolume(exercise);
+                    if (exercise.sets && workoutLog.getKey(exercise.name) === this.selectedExercise) {
+                        exercise.sets.forEach(set => {
+                            day.oneRepMax = Math.max(day.oneRepMax, workoutLog.estimateOneRepMax(set));
+                        });
+                    }
+                });
+            });
+        });
+        
+        const dates = Object.keys(days).sort();
+        let lastOneRepMax = 0;
+        dates.filter(date => periods.length > 0 && date < periods[0].start).forEach(date => {
+            lastOneRepMax = days[date].oneRepMax || lastOneRepMax;
+        });
         
-        // Update y-axis labels with fixed 0-100 scale
+        return periods.map(period => {
+            const periodDays = dates.filter(date => date >= period.start && date <= period.end).map(date => days[date]);
+            if (this.selectedGraphMetric !== 'oneRepMax') {
+                const metric = this.selectedGraphMetric;
+                return { date: period.date, value: periodDays.reduce((sum, day) => sum + day[metric], 0) };
+            }
+            
+            const best = Math.max(0, ...periodDays.map(day => day.oneRepMax));
+            lastOneRepMax = best || lastOneRepMax;
+            return { date: period.date, value: lastOneRepMax };
+        });
+    }
+    
+    /**
+     * Render single line chart, by default of consistency scores
+     * @param {Array} dataPoints - Data points
+     * @param {Element} container - Chart container
+     * @param {number} maxValue - Top of the y-axis (100 for consistency scores)
+     * @param {Function} formatValue - Tooltip text for a point's value
+     */
+    renderSingleLineChart(dataPoints, container, maxValue = 100, formatValue = value => `Score: ${value}`) {
+        // Update y-axis labels with the chart's scale
         this.updateYAxisLabels(maxValue);
         
         // Calculate coordinates for smooth curve
@@ -1195,8 +3136,8 @@ showDailyHistory() {
             pointElement.style.left = `${x}px`;
             pointElement.style.top = `${y}px`;
             
-            // Add tooltip with the actual score value
-            pointElement.setAttribute('title', `Score: ${point.value}`);
+            // Add tooltip with the actual value
+            pointElement.setAttribute('title', formatValue(point.value));
             
             container.appendChild(pointElement);
         });